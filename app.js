@@ -1,200 +1,122 @@
 // ============================================
-// CONSTANTS
-// ============================================
-const NOTES = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
-const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
-
-// Flat to sharp conversion
-const FLAT_TO_SHARP = {
-  'Db': 'C#', 'Eb': 'D#', 'Fb': 'E', 'Gb': 'F#',
-  'Ab': 'G#', 'Bb': 'A#', 'Cb': 'B'
-};
-
-// ============================================
-// MUSIC THEORY FUNCTIONS
+// UI RENDERING FUNCTIONS
 // ============================================
 
 /**
- * Convert note name to index (0-11)
+ * Escape text for use inside innerHTML
  */
-function noteToIndex(noteName) {
-  // Normalize the note name
-  let note = noteName.trim().toUpperCase();
-
-  // Handle flats - convert to sharps
-  if (note.includes('B') && note.length > 1 && note[1] === 'B') {
-    // It's a flat (e.g., "BB" for Bb, or "DB" for Db)
-    // This handles case like "Bb" becoming "BB" after toUpperCase
-  }
-
-  // Check for flat notation (letter followed by 'b' or 'B')
-  if (note.length >= 2) {
-    const possibleFlat = note[0] + 'b';
-    if (FLAT_TO_SHARP[possibleFlat]) {
-      note = FLAT_TO_SHARP[possibleFlat];
-    }
-  }
-
-  // Find index
-  const index = NOTES.indexOf(note);
-  return index;
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
 }
 
 /**
- * Get the root note of a flute's scale
- * Flute name is the 4th scale degree, so root = fluteName - 5 semitones
+ * Get current orientation based on screen width
  */
-function getRootNoteIndex(fluteName) {
-  const fluteIndex = noteToIndex(fluteName);
-  if (fluteIndex === -1) return -1;
-  // Subtract 5 semitones (mod 12 for wrap-around)
-  return (fluteIndex - 5 + 12) % 12;
+function getOrientation() {
+  return window.innerWidth < 600 ? 'vertical' : 'horizontal';
 }
 
 /**
- * Get all notes in a major scale given the root note index
+ * Let the arrow keys, Home and End move focus between items, keeping only one of them
+ * in the tab order so a diagram is a single tab stop
  */
-function getScaleNotes(rootIndex) {
-  return MAJOR_SCALE_INTERVALS.map(interval => {
-    const noteIndex = (rootIndex + interval) % 12;
-    return NOTES[noteIndex];
+function setupRovingFocus(items) {
+  items.forEach((item, i) => {
+    item.tabIndex = i === 0 ? 0 : -1;
+    item.addEventListener('keydown', (e) => {
+      const next = { ArrowRight: i + 1, ArrowDown: i + 1, ArrowLeft: i - 1, ArrowUp: i - 1, Home: 0, End: items.length - 1 }[e.key];
+      if (next === undefined || !items[next]) return;
+      e.preventDefault();
+      item.tabIndex = -1;
+      items[next].tabIndex = 0;
+      items[next].focus();
+    });
   });
 }
 
 /**
- * Parse user note input (space or comma separated)
- * Handles sharps (#) and flats (b), converts flats to sharps
+ * Read a message out to screen readers through the page's live region
  */
-function parseNoteInput(inputString) {
-  if (!inputString || !inputString.trim()) return [];
-
-  // Replace commas with spaces, then split by spaces
-  const parts = inputString.replace(/,/g, ' ').split(/\s+/);
-  const notes = [];
-
-  for (const part of parts) {
-    if (!part.trim()) continue;
-
-    let note = part.trim();
-
-    // Normalize: capitalize first letter, handle sharp/flat
-    if (note.length >= 1) {
-      note = note[0].toUpperCase() + note.slice(1).toLowerCase();
-    }
-
-    // Handle flats
-    if (note.length >= 2 && note[1] === 'b') {
-      const flatKey = note[0].toUpperCase() + 'b';
-      if (FLAT_TO_SHARP[flatKey]) {
-        note = FLAT_TO_SHARP[flatKey];
-      }
-    }
-
-    // Handle sharps - normalize to uppercase #
-    if (note.includes('#')) {
-      note = note[0].toUpperCase() + '#';
-    }
-
-    // Validate it's a real note
-    if (NOTES.includes(note)) {
-      // Only add if not already in the list (avoid duplicates)
-      if (!notes.includes(note)) {
-        notes.push(note);
-      }
-    }
-  }
-
-  return notes;
+function announce(message) {
+  const region = document.getElementById('announcer');
+  // Clear first so the same message is read again when repeated
+  region.textContent = '';
+  clearTimeout(announce.timer);
+  announce.timer = setTimeout(() => { region.textContent = message; }, 100);
 }
 
 /**
- * Score a flute against a set of input notes
- * Returns { fluteName, rootNote, scaleNotes, matchCount, matchPercent, matchingNotes, extraNotes }
+ * Get the note under each hole, from the blow hole down
  */
-function scoreFlute(fluteName, inputNotes) {
-  const rootIndex = getRootNoteIndex(fluteName);
-  const rootNote = NOTES[rootIndex];
-  const scaleNotes = getScaleNotes(rootIndex);
-
-  let matchCount = 0;
-  const matchingNotes = [];
-  const extraNotes = [];
-
-  for (const note of inputNotes) {
-    if (scaleNotes.includes(note)) {
-      matchCount++;
-      matchingNotes.push(note);
-    } else {
-      extraNotes.push(note);
-    }
-  }
-
-  const matchPercent = inputNotes.length > 0
-    ? Math.round((matchCount / inputNotes.length) * 100)
-    : 0;
-
-  return {
-    fluteName,
-    rootNote,
-    scaleNotes,
-    matchCount,
-    matchPercent,
-    matchingNotes,
-    extraNotes
-  };
+function getHoleNotes(rootIndex, profile = activeProfile) {
+  return getHoleIntervals(profile).map(hole => NOTES[(rootIndex + hole.interval) % 12]);
 }
 
 /**
- * Find best flutes for given input notes
- * Returns array sorted by match percentage (descending)
+ * Sort notes outside the scale into the gaps between holes
+ * Gap i lies between hole i and hole i + 1 (see getHoleNotes)
+ * Returns one list of notes per gap
  */
-function findBestFlutes(inputNotes) {
-  const results = [];
+function groupExtraNotesByGap(holeNotes, extraNotes) {
+  // Get chromatic indices for hole notes (descending pitch order)
+  const holeIndices = holeNotes.map(n => noteToIndex(n));
 
-  for (const fluteName of NOTES) {
-    const score = scoreFlute(fluteName, inputNotes);
-    results.push(score);
+  // Helper: check if noteIdx falls between highIdx and lowIdx chromatically
+  function isBetweenChromatic(noteIdx, highIdx, lowIdx) {
+    if (highIdx > lowIdx) {
+      return noteIdx < highIdx && noteIdx > lowIdx;
+    } else {
+      return noteIdx < highIdx || noteIdx > lowIdx;
+    }
   }
 
-  // Sort by matchPercent descending, then by matchCount descending
-  results.sort((a, b) => {
-    if (b.matchPercent !== a.matchPercent) {
-      return b.matchPercent - a.matchPercent;
+  const gapNotes = Array(holeNotes.length - 1).fill(null).map(() => []);
+  for (const extraNote of extraNotes) {
+    const extraIdx = noteToIndex(extraNote);
+    for (let i = 0; i < gapNotes.length; i++) {
+      if (isBetweenChromatic(extraIdx, holeIndices[i], holeIndices[i + 1])) {
+        gapNotes[i].push(extraNote);
+        break;
+      }
     }
-    return b.matchCount - a.matchCount;
-  });
-
-  return results;
-}
-
-// ============================================
-// UI RENDERING FUNCTIONS
-// ============================================
-
-/**
- * Get current orientation based on screen width
- */
-function getOrientation() {
-  return window.innerWidth < 600 ? 'vertical' : 'horizontal';
+  }
+  return gapNotes;
 }
 
 /**
  * Render a flute visualization
  * @param {HTMLElement} container - Container element
- * @param {string[]} scaleNotes - The 7 notes of the flute's scale
+ * @param {string[]} scaleNotes - The notes of the flute's natural scale (see getScaleNotes)
  * @param {string[]} inputNotes - User's input notes (optional)
+ * @param {Object} options - Optional extras
+ * @param {Object} options.noteRegisters - Map of note name to the registers it is played in
+ * @param {Object} options.raga - Thaat or raga view from getRagaFingerings: labels swaras from
+ *   the raga's Sa, fades notes the raga leaves out and marks half-holed holes
+ * @param {Object} options.spellings - How the user spelled input notes (see getInputSpellings)
+ * @param {Object} options.fingering - { pattern, onToggle(holeIndex) }: draws the finger holes as
+ *   buttons closed, half-open or open as in the pattern, numbered instead of named
  */
-function renderFlute(container, scaleNotes, inputNotes = []) {
+function renderFlute(container, scaleNotes, inputNotes = [], options = {}) {
+  const noteRegisters = options.noteRegisters || {};
+  const raga = options.raga || null;
+  const spellings = options.spellings || {};
   const orientation = getOrientation();
   const hasInput = inputNotes.length > 0;
+  const rootIndex = noteToIndex(scaleNotes[0]);
+  const saIndex = raga ? raga.saIndex : rootIndex;
 
   // Create flute element
   const flute = document.createElement('div');
   flute.className = `flute ${orientation}`;
+  flute.setAttribute('role', 'group');
+  flute.setAttribute('aria-label', `Flute with Sa = ${getKeyName(saIndex)}, holes from the blow hole down`);
 
   // Create flute body (background)
   const body = document.createElement('div');
   body.className = 'flute-body';
+  body.setAttribute('aria-hidden', 'true');
   flute.appendChild(body);
 
   // The scale notes correspond to holes:
@@ -253,38 +175,76 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
   // D# - C# - B - A - G# - F# - E (for A flute)
   // Ni - Dha - Pa - Ma - Ga - Re - Sa
 
-  const holeNotes = [
-    scaleNotes[6], // Blow hole (Ni - 7th note)
-    scaleNotes[5], // Hole 1 (Dha - 6th note)
-    scaleNotes[4], // Hole 2 (Pa - 5th note)
-    scaleNotes[3], // Hole 3 (Ma - 4th note, flute name)
-    scaleNotes[2], // Hole 4 (Ga - 3rd note)
-    scaleNotes[1], // Hole 5 (Re - 2nd note)
-    scaleNotes[0], // Hole 6 (Sa - 1st note, root)
-  ];
+  const holes = getHoleIntervals();
+  const holeNotes = getHoleNotes(rootIndex);
+  const lastHole = holeNotes.length - 1;
+
+  // Swara under each hole, named from the raga's Sa in a raga view (mandra notes get a leading dot)
+  const holeLabels = holeNotes.map((note, i) =>
+    (holes[i].register < 0 ? '.' : '') + SWARA_SHORT_NAMES[(noteToIndex(note) - saIndex + 12) % 12]);
+  const notation = options.notation || notationMode;
+  const fingering = options.fingering || null;
 
-  const holeLabels = ['Ni', 'Dha', 'Pa', 'Ma', 'Ga', 'Re', 'Sa'];
+  // Spoken description of a hole: its note, the fingering that plays it and what its colour shows
+  function describeHole(i, note, name) {
+    const swara = SWARA_NAMES[(noteToIndex(note) - saIndex + 12) % 12];
+    let closed = `holes 1 to ${i} closed`;
+    if (i === 0) closed = 'all holes open';
+    else if (i === 1) closed = 'hole 1 closed';
+    else if (i === lastHole) closed = 'all holes closed';
+    const parts = [`${i === 0 ? 'Blow hole' : `Hole ${i}`}: ${name}, ${holes[i].register < 0 ? 'mandra ' : ''}${swara}, ${closed}`];
+    if (hasInput) parts.push(inputNotes.includes(note) ? 'in your notes' : 'not in your notes');
+    if (noteRegisters[note] && noteRegisters[note].length > 0) parts.push(`played in ${noteRegisters[note].join(', ')}`);
+    if (raga && !raga.notes.includes(note)) parts.push('not in this raga');
+    if (raga && raga.halfHoles[i]) parts.push(`half-open for ${raga.halfHoles[i].join(', ')}`);
+    return parts.join(', ');
+  }
 
   // Create holes
-  for (let i = 0; i < 7; i++) {
+  for (let i = 0; i < holeNotes.length; i++) {
     const wrapper = document.createElement('div');
     wrapper.className = 'hole-wrapper';
 
     if (i === 0) {
       wrapper.classList.add('blow-hole');
-    } else if (i === 6) {
-      wrapper.classList.add('hole-6');
+    } else if (i === lastHole) {
+      wrapper.classList.add('last-hole');
     }
 
-    const hole = document.createElement('div');
+    const hole = document.createElement(fingering && i > 0 ? 'button' : 'div');
     hole.className = 'hole';
 
     if (i === 0) {
       hole.classList.add('blow-hole');
     }
 
+    // Fingering mode: finger holes are buttons showing whether they are closed, half-open or open
+    if (fingering) {
+      if (i > 0) {
+        hole.type = 'button';
+        hole.classList.add('finger-hole');
+        setFingerHoleState(hole, i, fingering.pattern[i - 1]);
+        hole.addEventListener('click', () => fingering.onToggle(i - 1));
+      }
+      wrapper.appendChild(hole);
+
+      const label = document.createElement('div');
+      label.className = 'hole-label';
+      label.textContent = i === 0 ? 'BLOW' : i;
+      label.setAttribute('aria-hidden', 'true');
+      wrapper.appendChild(label);
+      flute.appendChild(wrapper);
+      continue;
+    }
+
     const note = holeNotes[i];
-    hole.textContent = note;
+    const name = spellNote(note, saIndex);
+    hole.textContent = notation === 'sargam' ? holeLabels[i] : name;
+    hole.dataset.note = note;
+
+    if (noteRegisters[note] && noteRegisters[note].length > 0) {
+      hole.title = `${name}: ${noteRegisters[note].join(', ')}`;
+    }
 
     // Apply color based on input state
     if (!hasInput) {
@@ -299,17 +259,35 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
       }
     }
 
+    if (raga) {
+      if (!raga.notes.includes(note)) {
+        hole.classList.add('omitted');
+        hole.title = hole.title ? `${hole.title} (not in this raga)` : `${name}: not in this raga`;
+      }
+      if (raga.halfHoles[i]) {
+        hole.classList.add('half-holed');
+        hole.title = `${hole.title ? `${hole.title}; ` : ''}half-open for ${raga.halfHoles[i].join(', ')}`;
+      }
+    }
+
+    hole.setAttribute('role', 'img');
+    hole.setAttribute('aria-label', describeHole(i, note, name));
     wrapper.appendChild(hole);
 
-    // Add label below/beside the hole
+    // Add label below/beside the hole (the hole's description already says it)
     const label = document.createElement('div');
     label.className = 'hole-label';
+    label.setAttribute('aria-hidden', 'true');
     if (i === 0) {
       label.textContent = 'BLOW';
       label.style.fontWeight = 'bold';
       label.style.fontSize = '0.65rem';
-    } else {
+    } else if (notation === 'both') {
       label.textContent = holeLabels[i];
+    } else {
+      // The hole already shows the name; keep the label's space so layouts stay aligned
+      label.textContent = '\u00a0';
+      label.classList.add('empty');
     }
     wrapper.appendChild(label);
 
@@ -320,6 +298,34 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
   const extraNotes = hasInput ? inputNotes.filter(n => !scaleNotes.includes(n)) : [];
   let extraContainer = null;
 
+  // Text shown inside an extra note's hole for the current notation, as the user spelled it
+  function extraNoteText(note) {
+    return notation === 'sargam' ? SWARA_SHORT_NAMES[(noteToIndex(note) - saIndex + 12) % 12] : spellings[note] || spellNote(note, saIndex);
+  }
+  // An extra note's hole, drawn square-cornered to tell it apart from the flute's own holes
+  function createExtraHole(note) {
+    const extraHole = document.createElement('div');
+    extraHole.className = 'hole extra off-scale';
+    extraHole.textContent = extraNoteText(note);
+    extraHole.dataset.note = note;
+    if (extraHole.textContent.length > 3) extraHole.classList.add('compact');
+    extraHole.title = extraNoteTitle(note);
+    extraHole.setAttribute('role', 'img');
+    extraHole.setAttribute('aria-label', `${spellings[note] || spellNote(note, saIndex)}, ${extraNoteTitle(note)}, in your notes but outside the scale`);
+    return extraHole;
+  }
+  // Tooltip explaining how to play a note outside the scale
+  function extraNoteTitle(note) {
+    const { fingerings } = getNoteFingerings(note, rootIndex);
+    const swara = SWARA_NAMES[(noteToIndex(note) - saIndex + 12) % 12];
+    const easiest = fingerings[0];
+    let title = `${swara}: ${describeFingering(easiest.pattern)} (${easiest.technique}, ${DIFFICULTY_LABELS[easiest.difficulty]})`;
+    if (noteRegisters[note]) {
+      title += ` - ${noteRegisters[note].join(', ')}`;
+    }
+    return title;
+  }
+
   if (hasInput && extraNotes.length > 0 && orientation === 'horizontal') {
     extraContainer = document.createElement('div');
     extraContainer.className = 'extra-notes-container';
@@ -328,34 +334,12 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
     extraContainer.style.alignItems = 'center';
     extraContainer.style.marginBottom = '0.5rem';
 
-    // Get chromatic indices for hole notes (descending pitch order)
-    const holeIndices = holeNotes.map(n => noteToIndex(n));
-
-    // Helper: check if noteIdx falls between highIdx and lowIdx chromatically
-    function isBetweenChromatic(noteIdx, highIdx, lowIdx) {
-      if (highIdx > lowIdx) {
-        return noteIdx < highIdx && noteIdx > lowIdx;
-      } else {
-        return noteIdx < highIdx || noteIdx > lowIdx;
-      }
-    }
-
     // Find which gap each extra note belongs to (gap i is between hole[i] and hole[i+1])
-    const gapNotes = Array(6).fill(null).map(() => []);
-
-    for (const extraNote of extraNotes) {
-      const extraIdx = noteToIndex(extraNote);
-      for (let i = 0; i < 6; i++) {
-        if (isBetweenChromatic(extraIdx, holeIndices[i], holeIndices[i + 1])) {
-          gapNotes[i].push(extraNote);
-          break;
-        }
-      }
-    }
+    const gapNotes = groupExtraNotesByGap(holeNotes, extraNotes);
 
     // Create wrappers that EXACTLY match hole-wrapper structure
     // Extra notes are positioned at the right edge of each wrapper (in the gap area)
-    for (let i = 0; i < 7; i++) {
+    for (let i = 0; i < holeNotes.length; i++) {
       const wrapper = document.createElement('div');
       wrapper.style.position = 'relative';
       wrapper.style.width = '34px';
@@ -363,15 +347,15 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
       wrapper.style.margin = '0 12px';
       wrapper.style.flexShrink = '0';
 
-      // Match special margins for blow-hole and hole-6
+      // Match special margins for the blow hole and the last hole
       if (i === 0) {
         wrapper.style.marginRight = '80px';
-      } else if (i === 6) {
+      } else if (i === lastHole) {
         wrapper.style.marginLeft = '30px';
       }
 
       // If this gap (after hole i) has extra notes, position them at the right edge
-      if (i < 6 && gapNotes[i].length > 0) {
+      if (i < lastHole && gapNotes[i].length > 0) {
         const noteContainer = document.createElement('div');
         noteContainer.style.position = 'absolute';
         noteContainer.style.right = '0';
@@ -381,10 +365,10 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
         noteContainer.style.gap = '4px';
 
         // Calculate offset to center in the gap
-        // Gap after blow hole is 80px, others are 24px (12+12), gap 5 is 42px (12+30)
+        // Gap after blow hole is 80px, others are 24px (12+12), the gap before the last hole is 42px (12+30)
         let gapWidth = 24;
         if (i === 0) gapWidth = 80 + 12; // 80px margin + 12px next margin
-        else if (i === 5) gapWidth = 12 + 30; // 12px margin + 30px next margin
+        else if (i === lastHole - 1) gapWidth = 12 + 30; // 12px margin + 30px next margin
         else gapWidth = 12 + 12; // normal margins
 
         // Offset to center: half the gap width minus half the note width
@@ -393,11 +377,7 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
         noteContainer.style.marginLeft = offset + 'px';
 
         for (const note of gapNotes[i]) {
-          const extraHole = document.createElement('div');
-          extraHole.className = 'hole extra';
-          extraHole.textContent = note;
-          extraHole.title = 'This note is not in the scale';
-          noteContainer.appendChild(extraHole);
+          noteContainer.appendChild(createExtraHole(note));
         }
 
         wrapper.appendChild(noteContainer);
@@ -416,14 +396,19 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
     extraContainer.style.alignItems = 'center';
 
     for (const note of extraNotes) {
-      const extraHole = document.createElement('div');
-      extraHole.className = 'hole extra';
-      extraHole.textContent = note;
-      extraHole.title = 'This note is not in the scale';
-      extraContainer.appendChild(extraHole);
+      extraContainer.appendChild(createExtraHole(note));
     }
   }
 
+  // Each diagram is one tab stop; the arrow keys then step through its holes and extra notes
+  if (extraContainer) {
+    extraContainer.setAttribute('role', 'group');
+    extraContainer.setAttribute('aria-label', 'Notes outside the scale');
+  }
+  if (!fingering) {
+    setupRovingFocus([...flute.querySelectorAll('.hole'), ...(extraContainer ? extraContainer.querySelectorAll('.hole') : [])]);
+  }
+
   container.innerHTML = '';
 
   // For horizontal orientation, stack extra notes above flute using column layout
@@ -442,6 +427,99 @@ function renderFlute(container, scaleNotes, inputNotes = []) {
   }
 }
 
+/**
+ * Build a small fingering diagram: blow hole followed by the finger holes
+ */
+function createFingeringDiagram(pattern) {
+  const diagram = document.createElement('div');
+  diagram.className = 'mini-flute';
+  diagram.title = describeFingering(pattern);
+
+  const blowHole = document.createElement('span');
+  blowHole.className = 'mini-hole blow';
+  diagram.appendChild(blowHole);
+
+  const states = { x: 'closed', h: 'half', o: 'open' };
+  for (const state of pattern) {
+    const hole = document.createElement('span');
+    hole.className = `mini-hole ${states[state]}`;
+    diagram.appendChild(hole);
+  }
+
+  return diagram;
+}
+
+/**
+ * Render fingering diagrams for notes outside the flute's scale
+ * @param {HTMLElement} container - Container element
+ * @param {number} rootIndex - Index of the flute's Sa
+ * @param {string[]} extraNotes - Notes that need a half-hole or cross-fingering
+ * @param {number} saIndex - Index of the Sa used to name the notes (a raga's Sa may sit elsewhere)
+ * @param {Object} spellings - How the user spelled input notes (see getInputSpellings)
+ */
+function renderFingeringChart(container, rootIndex, extraNotes, saIndex = rootIndex, spellings = {}) {
+  container.innerHTML = '';
+  container.style.display = extraNotes.length > 0 ? 'flex' : 'none';
+
+  for (const note of extraNotes) {
+    const { fingerings } = getNoteFingerings(note, rootIndex);
+
+    fingerings.forEach((fingering, i) => {
+      const row = document.createElement('div');
+      row.className = 'fingering-row';
+
+      const name = document.createElement('span');
+      name.className = 'fingering-note';
+      name.textContent = i === 0 ? formatNote(note, saIndex, notationMode, spellings) : 'alternative';
+      row.appendChild(name);
+
+      // The technique below says the same in words
+      const diagram = createFingeringDiagram(fingering.pattern);
+      diagram.setAttribute('aria-hidden', 'true');
+      row.appendChild(diagram);
+
+      const technique = document.createElement('span');
+      technique.className = 'fingering-technique';
+      technique.textContent = `${fingering.technique}: ${describeFingering(fingering.pattern)}`;
+      row.appendChild(technique);
+
+      const difficulty = document.createElement('span');
+      difficulty.className = `difficulty difficulty-${fingering.difficulty}`;
+      difficulty.textContent = DIFFICULTY_LABELS[fingering.difficulty];
+      row.appendChild(difficulty);
+
+      container.appendChild(row);
+    });
+  }
+}
+
+/**
+ * Work out the register of each pitch on a flute
+ * Returns { labels: ["G5 taar", ...], noteRegisters: { G: ['taar'] } }
+ */
+function describeRegisters(fluteName, pitches, octaveShift = 0, size = 'medium') {
+  const saMidi = getFluteSaMidi(fluteName, size);
+  const labels = [];
+  const noteRegisters = {};
+
+  for (const pitch of pitches) {
+    let offset = getPitchOffset(pitch, saMidi);
+    if (offset === null) continue;
+    if (pitch.midi !== null) offset += 12 * octaveShift;
+
+    const register = getRegisterName(offset);
+    const label = `${pitch.label} ${register}`;
+    if (!labels.includes(label)) labels.push(label);
+
+    if (!noteRegisters[pitch.note]) noteRegisters[pitch.note] = [];
+    if (!noteRegisters[pitch.note].includes(register)) {
+      noteRegisters[pitch.note].push(register);
+    }
+  }
+
+  return { labels, noteRegisters };
+}
+
 /**
  * Update the visualizer section
  */
@@ -454,154 +532,3544 @@ function updateVisualizer() {
 
   const fluteName = fluteSelect.value;
   const rootIndex = getRootNoteIndex(fluteName);
-  const rootNote = NOTES[rootIndex];
+  const rootNote = getKeyName(rootIndex);
   const scaleNotes = getScaleNotes(rootIndex);
-  const inputNotes = parseNoteInput(notesInput.value);
+  const pitches = parsePitchInput(notesInput.value, rootIndex);
+  const inputNotes = parseNoteInput(notesInput.value, rootIndex);
+  const spellings = getInputSpellings(pitches);
+  const range = checkFluteRange(fluteName, pitches);
+  const registers = describeRegisters(fluteName, pitches, range.octaveShift);
+  const raga = getSelectedRaga();
+  const ragaView = raga ? getRagaFingerings(rootIndex, raga.mode, raga.placement) : null;
 
   // Update scale info
   scaleInfo.innerHTML = `
-    <strong>${fluteName} Flute</strong> plays <strong>${rootNote} Major</strong><br>
-    Scale: ${scaleNotes.join(' - ')}
+    <strong>${spellFluteName(fluteName)} Flute</strong> plays <strong>${rootNote} Major</strong> (Sa = ${rootNote})<br>
+    Scale: ${formatNotes(scaleNotes, rootIndex, ' - ')}<br>
+    ${ragaView ? `${describeRagaView(raga.mode, ragaView, raga.placement)}<br>` : ''}
+    Range: ${spellMidi(range.lowMidi, rootIndex)} (mandra Pa) to ${spellMidi(range.highMidi, rootIndex)} (ati-taar Sa)
+    ${registers.labels.length > 0 ? `<br>Registers: ${registers.labels.join(', ')}` : ''}
+    ${range.octaveShift !== 0 ? `<br>Play ${describeOctaveShift(range.octaveShift)} to fit the range` : ''}
+    ${range.outOfRange.length > 0 ? `<br><span class="range-warning">Out of range: ${range.outOfRange.join(', ')}</span>` : ''}
   `;
 
   // Show/hide legend based on whether notes are entered
   if (legend) {
-    legend.style.display = inputNotes.length > 0 ? 'flex' : 'none';
+    legend.style.display = inputNotes.length > 0 || ragaView ? 'flex' : 'none';
   }
 
   // Render flute
-  renderFlute(fluteContainer, scaleNotes, inputNotes);
+  renderFlute(fluteContainer, scaleNotes, inputNotes, { noteRegisters: registers.noteRegisters, raga: ragaView, spellings });
+
+  // Show how to play notes outside the scale (in raga mode, the raga's half-hole notes first)
+  const extraNotes = inputNotes.filter(n => !scaleNotes.includes(n));
+  const chartNotes = ragaView
+    ? [...ragaView.halfHoleNotes.map(n => n.note), ...extraNotes.filter(n => !ragaView.notes.includes(n))]
+    : extraNotes;
+  renderFingeringChart(document.getElementById('visualizer-fingerings'), rootIndex, chartNotes,
+    ragaView ? ragaView.saIndex : rootIndex, spellings);
+  refreshTuningFlutes();
+  renderFingeringExplorer();
+
+  scheduleUrlSync();
+}
+
+/**
+ * Fill the visualizer's raga select with the thaats and ragas in the library
+ */
+function initRagaSelect() {
+  const select = document.getElementById('raga-select');
+  const groups = [['Thaats', THAATS, 'thaat'], ['Ragas', RAGAS, 'raga']];
+
+  for (const [label, entries, type] of groups) {
+    const group = document.createElement('optgroup');
+    group.label = label;
+    for (const entry of entries) {
+      const option = document.createElement('option');
+      option.value = `${type}:${entry.name}`;
+      option.textContent = type === 'thaat' ? `${entry.name} thaat` : `${entry.name} (${entry.thaat})`;
+      group.appendChild(option);
+    }
+    select.appendChild(group);
+  }
+}
+
+/**
+ * Get the thaat or raga chosen in the visualizer
+ * Returns { mode, placement } or null for the plain major scale
+ */
+function getSelectedRaga() {
+  const mode = getRagaMode(document.getElementById('raga-select').value);
+  if (!mode) return null;
+  const placement = parseInt(document.getElementById('sa-placement').value, 10);
+  return { mode, placement: SA_PLACEMENTS.some(p => p.interval === placement) ? placement : 0 };
+}
+
+/**
+ * Describe how a flute plays a thaat or raga (HTML lines for a scale-info block)
+ */
+function describeRagaView(mode, ragaView, placement) {
+  const sa = getKeyName(ragaView.saIndex);
+  const placementName = SA_PLACEMENTS.find(p => p.interval === placement).name;
+  const lines = [
+    `<strong>${describeRagaMode(mode)}</strong> with Sa = ${sa} (the flute's ${placementName})`,
+    `Aroha: ${formatRagaPhrase(mode.aroha, ragaView.saIndex)}`,
+    `Avaroha: ${formatRagaPhrase(mode.avaroha, ragaView.saIndex)}`
+  ];
+  if (mode.vadi !== null) {
+    const vadi = NOTES[(ragaView.saIndex + mode.vadi) % 12];
+    const samvadi = NOTES[(ragaView.saIndex + mode.samvadi) % 12];
+    lines.push(`Vadi: ${formatNote(vadi, ragaView.saIndex)}, Samvadi: ${formatNote(samvadi, ragaView.saIndex)}`);
+  }
+  lines.push(ragaView.halfHoleNotes.length > 0
+    ? `Half-holes: ${ragaView.halfHoleNotes.map(n => `${formatNote(n.note, ragaView.saIndex)}: ${DIFFICULTY_LABELS[n.difficulty]}`).join(', ')}`
+    : 'No half-holes needed');
+  if (ragaView.omittedNotes.length > 0) {
+    lines.push(`Left out: ${formatNotes(ragaView.omittedNotes, ragaView.saIndex, ', ')}`);
+  }
+  return lines.join('<br>');
+}
+
+/**
+ * Format an aroha or avaroha for display with the raga's Sa at saIndex
+ * Western names get octave marks ("B'" for taar, ".B" for mandra)
+ */
+function formatRagaPhrase(phrase, saIndex) {
+  return phrase.map(({ interval, register }) => {
+    const note = spellNote(NOTES[(saIndex + interval) % 12], saIndex);
+    const marks = register > 0 ? "'".repeat(register) : '';
+    const prefix = register < 0 ? '.'.repeat(-register) : '';
+    if (notationMode === 'western') return `${prefix}${note}${marks}`;
+    const swara = SWARA_SHORT_NAMES[interval];
+    return notationMode === 'sargam' ? `${prefix}${swara}${marks}` : `${prefix}${note}${marks} (${swara})`;
+  }).join(' ');
 }
 
 // ============================================
-// FLUTE FINDER
+// FINGERING EXPLORER
 // ============================================
+// A flute diagram whose holes can be closed, half-opened and opened by hand to hear
+// and see the note that results, or set to the fingering of a chosen note.
 
-let finderResults = [];
-let displayedResultCount = 0;
+// Hole states of a fingering pattern, and the state a click moves each one to
+const FINGER_HOLE_STATES = { x: 'closed', h: 'half-open', o: 'open' };
+const NEXT_HOLE_STATE = { x: 'h', h: 'o', o: 'x' };
+
+// Delay between holes moving when the diagram is set to a note's fingering
+const FINGERING_STEP_MS = 150;
+
+let explorerPattern = null;
+let explorerTimers = [];
 
 /**
- * Run flute recommendation
+ * Show a finger hole button as closed, half-open or open
  */
-function recommendFlutes() {
-  const notesInput = document.getElementById('finder-notes');
-  const resultsContainer = document.getElementById('finder-results');
-  const addNextBtn = document.getElementById('add-next-btn');
+function setFingerHoleState(hole, number, state) {
+  const name = FINGER_HOLE_STATES[state];
+  hole.classList.remove('closed', 'half', 'open');
+  hole.classList.add(state === 'h' ? 'half' : name);
+  hole.setAttribute('aria-pressed', state === 'x' ? 'true' : state === 'h' ? 'mixed' : 'false');
+  hole.setAttribute('aria-label', `Hole ${number}: ${name}`);
+  hole.title = `Hole ${number}: ${name}`;
+}
 
-  const inputNotes = parseNoteInput(notesInput.value);
+/**
+ * Get the note the explorer's fingering plays on the visualizer's flute
+ * Returns the getFingeringNote result plus { midi, registerName }
+ */
+function getExplorerNote() {
+  const fluteName = document.getElementById('flute-select').value;
+  const blowRegister = parseInt(document.getElementById('fingering-register').value, 10);
+  const result = getFingeringNote(explorerPattern, getRootNoteIndex(fluteName), blowRegister);
+  const offset = result.interval + 12 * result.register;
+  return { ...result, midi: getFluteSaMidi(fluteName) + offset, registerName: getRegisterName(offset) };
+}
 
-  if (inputNotes.length === 0) {
-    resultsContainer.innerHTML = '<p style="color: var(--text-secondary);">Please enter some notes to get recommendations.</p>';
-    addNextBtn.style.display = 'none';
-    return;
+/**
+ * Draw the explorer for the visualizer's flute, keeping the fingering when the hole count allows
+ */
+function renderFingeringExplorer() {
+  const rootIndex = getSelectedRootIndex();
+  if (!explorerPattern || explorerPattern.length !== activeProfile.holes) {
+    explorerPattern = 'x'.repeat(activeProfile.holes);
   }
 
-  finderResults = findBestFlutes(inputNotes);
-  displayedResultCount = 0;
-  resultsContainer.innerHTML = '';
-
-  // Show first result
-  addNextResult(inputNotes);
+  // Notes to look up, named for this flute
+  const select = document.getElementById('fingering-note');
+  const selected = select.value;
+  select.innerHTML = '<option value="">Pick a note</option>';
+  Object.keys(activeProfile.fingerings).map(Number).forEach(interval => {
+    const option = document.createElement('option');
+    option.value = interval;
+    option.textContent = `${spellNote(NOTES[(rootIndex + interval) % 12], rootIndex)} (${SWARA_NAMES[interval]})`;
+    select.appendChild(option);
+  });
+  select.value = selected;
 
-  // Show "Add Next" button if there are more results
-  addNextBtn.style.display = displayedResultCount < finderResults.length ? 'block' : 'none';
+  renderFlute(document.getElementById('fingering-flute'), getScaleNotes(rootIndex), [], {
+    fingering: { pattern: explorerPattern, onToggle: toggleExplorerHole }
+  });
+  renderFingeringResult();
 }
 
 /**
- * Add next result card
+ * Bring the explorer's hole buttons in line with its pattern without redrawing them (keeps focus)
  */
-function addNextResult(inputNotes) {
-  if (displayedResultCount >= finderResults.length) return;
+function updateExplorerHoles() {
+  document.querySelectorAll('#fingering-flute .finger-hole').forEach((hole, i) => {
+    setFingerHoleState(hole, i + 1, explorerPattern[i]);
+  });
+}
 
-  const resultsContainer = document.getElementById('finder-results');
-  const addNextBtn = document.getElementById('add-next-btn');
-  const result = finderResults[displayedResultCount];
+/**
+ * Describe the note the explorer's fingering plays
+ */
+function renderFingeringResult() {
+  const container = document.getElementById('fingering-result');
+  const rootIndex = getSelectedRootIndex();
+  const result = getExplorerNote();
 
-  // If inputNotes not provided, parse from input
-  if (!inputNotes) {
-    inputNotes = parseNoteInput(document.getElementById('finder-notes').value);
-  }
+  container.innerHTML = '';
+  const note = document.createElement('div');
+  note.className = 'fingering-result-note';
+  note.textContent = `${spellMidi(result.midi, rootIndex)}: ${result.swara}, ${result.registerName}`;
+  container.appendChild(note);
 
-  const card = document.createElement('div');
-  card.className = 'result-card';
+  const detail = document.createElement('div');
+  detail.className = 'fingering-result-detail';
+  detail.textContent = result.exact
+    ? `${describeFingering(explorerPattern)} (${result.fingering.technique}, ${DIFFICULTY_LABELS[result.fingering.difficulty]})`
+    : `${describeFingering(explorerPattern)}: not a standard fingering. The first hole that is not closed sets the note; closed holes below it flatten it a little.`;
+  container.appendChild(detail);
+}
 
-  const header = document.createElement('h3');
-  header.innerHTML = `
-    #${displayedResultCount + 1} ${result.fluteName} Flute
-    <span class="match-badge">${result.matchPercent}% match</span>
-  `;
-  card.appendChild(header);
+/**
+ * Move one hole to its next state (closed, half-open, open) after a click or key press
+ */
+function toggleExplorerHole(index) {
+  explorerTimers.forEach(timer => clearTimeout(timer));
+  explorerTimers = [];
+  explorerPattern = explorerPattern.slice(0, index) + NEXT_HOLE_STATE[explorerPattern[index]] + explorerPattern.slice(index + 1);
+  document.getElementById('fingering-note').value = '';
+  updateExplorerHoles();
+  renderFingeringResult();
+  if (document.getElementById('fingering-autoplay').checked) playExplorerNote();
+}
 
-  const info = document.createElement('div');
-  info.className = 'scale-info';
-  info.innerHTML = `
-    Plays <strong>${result.rootNote} Major</strong><br>
-    Scale: ${result.scaleNotes.join(' - ')}<br>
-    Matching: ${result.matchingNotes.length > 0 ? result.matchingNotes.join(', ') : 'none'}
-    ${result.extraNotes.length > 0 ? `<br>Not in scale: ${result.extraNotes.join(', ')}` : ''}
-  `;
-  card.appendChild(info);
+/**
+ * Set the diagram to the easiest fingering of a note, moving the holes one at a time
+ * @param {number} interval - Semitones above the flute's Sa
+ */
+function showNoteFingering(interval) {
+  explorerTimers.forEach(timer => clearTimeout(timer));
+  explorerTimers = [];
 
-  const fluteContainer = document.createElement('div');
-  fluteContainer.className = 'flute-container';
-  renderFlute(fluteContainer, result.scaleNotes, inputNotes);
-  card.appendChild(fluteContainer);
+  const fingerings = activeProfile.fingerings[interval];
+  const target = (fingerings.find(f => !f.register) || fingerings[0]).pattern;
+  const changed = [...target].map((state, i) => i).filter(i => target[i] !== explorerPattern[i]);
+  const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-  resultsContainer.appendChild(card);
-  displayedResultCount++;
+  const finish = () => {
+    explorerPattern = target;
+    updateExplorerHoles();
+    renderFingeringResult();
+    if (document.getElementById('fingering-autoplay').checked) playExplorerNote();
+  };
+  if (reduceMotion || changed.length === 0) {
+    finish();
+    return;
+  }
 
-  // Update button visibility
-  addNextBtn.style.display = displayedResultCount < finderResults.length ? 'block' : 'none';
+  changed.forEach((holeIndex, step) => {
+    explorerTimers.push(setTimeout(() => {
+      explorerPattern = explorerPattern.slice(0, holeIndex) + target[holeIndex] + explorerPattern.slice(holeIndex + 1);
+      if (step === changed.length - 1) {
+        finish();
+      } else {
+        updateExplorerHoles();
+      }
+    }, step * FINGERING_STEP_MS));
+  });
 }
 
-// ============================================
-// THEME MANAGEMENT
-// ============================================
-
-function initTheme() {
-  const saved = localStorage.getItem('bansuri-theme') || 'light';
-  document.documentElement.setAttribute('data-theme', saved);
+/**
+ * Play the note the explorer's fingering gives
+ */
+function playExplorerNote() {
+  const button = document.getElementById('fingering-play');
+  const { midi, note } = getExplorerNote();
+  try {
+    // Starting a sequence stops anything playing and resets its play button
+    playSequence([{ midi, duration: 1.5, note }], { tempo: 90, a4: referenceA4 });
+    button.title = '';
+  } catch (err) {
+    button.title = err.message;
+  }
 }
 
-function toggleTheme() {
-  const current = document.documentElement.getAttribute('data-theme');
-  const next = current === 'dark' ? 'light' : 'dark';
-  document.documentElement.setAttribute('data-theme', next);
-  localStorage.setItem('bansuri-theme', next);
+function initFingeringExplorer() {
+  document.getElementById('fingering-register').addEventListener('change', () => {
+    renderFingeringResult();
+    if (document.getElementById('fingering-autoplay').checked) playExplorerNote();
+  });
+  document.getElementById('fingering-note').addEventListener('change', (e) => {
+    if (e.target.value !== '') showNoteFingering(parseInt(e.target.value, 10));
+  });
+  document.getElementById('fingering-play').addEventListener('click', playExplorerNote);
 }
 
 // ============================================
-// EVENT LISTENERS & INITIALIZATION
+// PRACTICE MODE
 // ============================================
+// Listen to the microphone while the player works through the scale or a melody on
+// the visualizer's flute, one note at a time (see practice.js).
 
-// Debounce helper
-function debounce(func, wait) {
-  let timeout;
-  return function executedFunction(...args) {
-    const later = () => {
-      clearTimeout(timeout);
-      func(...args);
-    };
-    clearTimeout(timeout);
-    timeout = setTimeout(later, wait);
-  };
-}
-
-// Initialize on DOM ready
-document.addEventListener('DOMContentLoaded', () => {
-  // Initialize theme
-  initTheme();
+// The tuner's needle spans this many cents either side of the target
+const TUNER_RANGE = 50;
 
-  // Theme toggle
-  document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+let practiceSession = null;
+let practiceInput = null;
+let practiceTargets = [];
+let practiceLastTime = 0;
+let practiceWorkletLoaded = false;
 
-  // Visualizer controls
-  document.getElementById('flute-select').addEventListener('change', updateVisualizer);
+/**
+ * Fill the practice select with the scale, the visualizer's melody and the saved songs
+ */
+function refreshPracticeSources() {
+  const select = document.getElementById('practice-source');
+  const selected = select.value;
+  select.innerHTML = `
+    <option value="scale">Scale (or the raga's aroha and avaroha)</option>
+    <option value="melody">Melody in the visualizer</option>
+  `;
+  if (savedSongs.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Saved songs';
+    savedSongs.forEach(song => {
+      const option = document.createElement('option');
+      option.value = `song:${song.id}`;
+      option.textContent = song.title;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  }
+  select.value = selected;
+  if (!select.value) select.value = 'scale';
+}
+
+/**
+ * Get the notes to practice on the visualizer's flute, in order
+ * Returns [{ midi, note, label }]; throws an Error when the chosen melody has no notes
+ */
+function getPracticeTargets() {
+  const fluteName = document.getElementById('flute-select').value;
+  const rootIndex = getRootNoteIndex(fluteName);
+  const saMidi = getFluteSaMidi(fluteName);
+  const source = document.getElementById('practice-source').value;
+
+  let pitches = [];
+  if (source === 'melody') {
+    pitches = parsePitchInput(document.getElementById('visualizer-notes').value, rootIndex);
+    if (pitches.length === 0) throw new Error('Enter a melody in the visualizer first.');
+  } else if (source.startsWith('song:')) {
+    // Sargam in a saved song is read with Sa on the song's flute
+    const song = savedSongs.find(s => `song:${s.id}` === source);
+    if (song) pitches = parsePitchInput(song.notes, getRootNoteIndex(song.flute));
+    if (pitches.length === 0) throw new Error('This song has no notes.');
+  }
+
+  return buildPlaybackEvents(fluteName, pitches, source === 'scale' ? 'scale' : 'melody', source === 'scale' ? getSelectedRaga() : null)
+    .filter(event => event.midi !== null)
+    .map(event => ({
+      midi: event.midi,
+      note: midiToNoteName(event.midi),
+      label: `${spellMidi(event.midi, rootIndex)} (${SWARA_NAMES[((event.midi - saMidi) % 12 + 12) % 12]})`
+    }));
+}
+
+function setPracticeStatus(message, isError = false) {
+  const status = document.getElementById('practice-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Open the microphone and feed it through the pitch-detection worklet
+ * Returns { stream, source, node }
+ */
+async function openPracticeInput(onFrame) {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw new Error('This browser cannot use the microphone here (it needs a secure https:// page).');
+  }
+  const context = getAudioContext();
+  if (!context.audioWorklet) throw new Error('This browser cannot analyse live audio.');
+  if (!practiceWorkletLoaded) {
+    // The worklet uses pitch.js's tracker, so pitch.js goes into the worklet first
+    await context.audioWorklet.addModule('pitch.js');
+    await context.audioWorklet.addModule('pitch-worklet.js');
+    practiceWorkletLoaded = true;
+  }
+
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+  });
+  const source = context.createMediaStreamSource(stream);
+  const node = new AudioWorkletNode(context, 'pitch-detector', { numberOfInputs: 1, numberOfOutputs: 0 });
+  node.port.onmessage = event => onFrame(event.data);
+  source.connect(node);
+  return { stream, source, node };
+}
+
+/**
+ * Start practising the chosen notes, or stop if a session is running
+ */
+async function togglePractice() {
+  if (practiceSession || practiceInput) {
+    stopPractice();
+    return;
+  }
+
+  const button = document.getElementById('practice-start');
+  try {
+    practiceTargets = getPracticeTargets();
+  } catch (err) {
+    setPracticeStatus(err.message, true);
+    return;
+  }
+
+  stopPlayback();
+  button.disabled = true;
+  setPracticeStatus('Waiting for the microphone...');
+  try {
+    practiceInput = await openPracticeInput(handlePracticeFrame);
+  } catch (err) {
+    button.disabled = false;
+    setPracticeStatus(err.name === 'NotAllowedError'
+      ? 'Microphone access was blocked. Allow it in the browser to practise.'
+      : `Could not use the microphone: ${err.message}`, true);
+    return;
+  }
+
+  practiceSession = createPracticeSession(practiceTargets, {
+    tolerance: parseFloat(document.getElementById('practice-tolerance').value),
+    holdTime: parseFloat(document.getElementById('practice-hold').value),
+    a4: referenceA4
+  });
+  practiceLastTime = 0;
+  button.disabled = false;
+  button.textContent = STOP_LABEL;
+  button.classList.add('playing');
+  document.getElementById('practice-skip').disabled = false;
+  document.getElementById('practice-tuner').hidden = false;
+  document.getElementById('practice-summary').innerHTML = '';
+  setPracticeStatus('');
+  renderPracticeState({ index: 0, total: practiceTargets.length, target: practiceTargets[0], frequency: null, cents: null, inTune: false });
+}
+
+/**
+ * Move the session on with one pitch frame from the worklet
+ */
+function handlePracticeFrame(frame) {
+  if (!practiceSession) return;
+  practiceLastTime = frame.time;
+  const state = practiceSession.update(frame);
+  renderPracticeState(state);
+  if (state.done) stopPractice();
+}
+
+function skipPracticeNote() {
+  if (!practiceSession) return;
+  const state = practiceSession.skip(practiceLastTime);
+  renderPracticeState(state);
+  if (state.done) stopPractice();
+}
+
+/**
+ * Show the target, the tuner needle and the heard note, and light up the matching holes
+ */
+function renderPracticeState(state) {
+  const rootIndex = getSelectedRootIndex();
+  const targetText = state.target ? `Note ${state.index + 1} of ${state.total}: play ${state.target.label}` : '';
+  const target = document.getElementById('practice-target');
+  // Only touch the live region when the target changes
+  if (target.textContent !== targetText) target.textContent = targetText;
+
+  const near = state.cents !== null && Math.abs(state.cents) <= TUNER_RANGE;
+  const meter = document.getElementById('practice-meter');
+  const needle = document.getElementById('practice-needle');
+  const tolerance = parseFloat(document.getElementById('practice-tolerance').value);
+  const zone = document.getElementById('practice-zone');
+  zone.style.left = `${50 - tolerance / TUNER_RANGE * 50}%`;
+  zone.style.width = `${tolerance / TUNER_RANGE * 100}%`;
+  needle.hidden = !near;
+  needle.classList.toggle('in-tune', state.inTune);
+  if (near) needle.style.left = `${50 + state.cents / TUNER_RANGE * 50}%`;
+  meter.setAttribute('aria-valuenow', near ? Math.round(state.cents) : 0);
+  meter.setAttribute('aria-valuetext', near ? formatCents(state.cents) : 'No note near the target');
+
+  const heard = document.getElementById('practice-heard');
+  if (!state.frequency) {
+    heard.textContent = 'Listening...';
+  } else if (near) {
+    heard.textContent = `Hearing ${formatFrequency(state.frequency)}: ${state.inTune ? 'in tune' : state.cents > 0 ? 'sharp' : 'flat'} (${formatCents(state.cents)})`;
+  } else {
+    heard.textContent = `Hearing ${spellMidi(state.midi, rootIndex)} (${formatFrequency(state.frequency)})`;
+  }
+
+  const container = document.getElementById('visualizer-flute');
+  highlightPlayingHole(container, state.frequency ? midiToNoteName(state.midi) : null);
+  container.querySelectorAll('.hole.practice-target').forEach(hole => hole.classList.remove('practice-target'));
+  if (state.target) {
+    container.querySelectorAll(`.hole[data-note="${state.target.note}"]`).forEach(hole => hole.classList.add('practice-target'));
+  }
+}
+
+/**
+ * Close the microphone and show how the session went
+ */
+function stopPractice() {
+  if (practiceInput) {
+    practiceInput.node.port.onmessage = null;
+    practiceInput.source.disconnect();
+    practiceInput.stream.getTracks().forEach(track => track.stop());
+    practiceInput = null;
+  }
+  if (practiceSession) {
+    renderPracticeSummary(practiceSession.getSummary());
+    practiceSession = null;
+  }
+
+  const button = document.getElementById('practice-start');
+  button.textContent = 'Start';
+  button.classList.remove('playing');
+  document.getElementById('practice-skip').disabled = true;
+  document.getElementById('practice-tuner').hidden = true;
+  const container = document.getElementById('visualizer-flute');
+  highlightPlayingHole(container, null);
+  container.querySelectorAll('.hole.practice-target').forEach(hole => hole.classList.remove('practice-target'));
+}
+
+/**
+ * Show each note's time, average cents and share of time in tune after a session
+ */
+function renderPracticeSummary(summary) {
+  const container = document.getElementById('practice-summary');
+  const played = summary.filter(note => note.completed);
+  const measured = summary.filter(note => note.cents !== null);
+  const average = measured.length > 0 ? measured.reduce((sum, note) => sum + Math.abs(note.cents), 0) / measured.length : null;
+
+  const heading = document.createElement('p');
+  heading.className = 'practice-summary-heading';
+  heading.textContent = `${played.length} of ${summary.length} notes played in tune` +
+    (average !== null ? `, ${Math.round(average * 10) / 10}¢ off on average.` : '.');
+
+  const table = document.createElement('table');
+  table.className = 'transpose-table practice-table';
+  table.innerHTML = '<thead><tr><th>#</th><th>Note</th><th>Time to play</th><th>Average</th><th>In tune</th></tr></thead>';
+  const body = document.createElement('tbody');
+  summary.forEach((note, i) => {
+    const row = document.createElement('tr');
+    const reached = note.completed ? `${note.time.toFixed(1)} s` : note.skipped ? 'skipped' : 'not reached';
+    row.innerHTML = `
+      <td>${i + 1}</td>
+      <td>${escapeHtml(note.label)}</td>
+      <td${note.completed ? '' : ' class="range-warning"'}>${reached}</td>
+      <td>${note.cents !== null ? formatCents(note.cents) : '—'}</td>
+      <td>${note.accuracy !== null ? `${note.accuracy}%` : '—'}</td>
+    `;
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+
+  container.innerHTML = '';
+  container.appendChild(heading);
+  container.appendChild(table);
+}
+
+function initPractice() {
+  refreshPracticeSources();
+  document.getElementById('practice-start').addEventListener('click', togglePractice);
+  document.getElementById('practice-skip').addEventListener('click', skipPracticeNote);
+}
+
+// ============================================
+// DIAGRAM EXPORT
+// ============================================
+
+/**
+ * Build the document chosen in the visualizer's export menu from the visualizer's settings
+ * Returns { pages, filename } or { error }
+ */
+function getExportDocument(kind) {
+  const fluteName = document.getElementById('flute-select').value;
+  const rootIndex = getRootNoteIndex(fluteName);
+  const scaleNotes = getScaleNotes(rootIndex);
+  const notesValue = document.getElementById('visualizer-notes').value;
+  const fileStem = `bansuri-${fluteName.toLowerCase().replace('#', '-sharp')}`;
+
+  if (kind === 'chart') {
+    return { pages: buildReferenceChartPages({ notation: notationMode }), filename: 'bansuri-reference-chart' };
+  }
+
+  if (kind === 'tablature') {
+    const pitches = parsePitchInput(notesValue, rootIndex);
+    if (pitches.length === 0) {
+      return { error: 'Enter the notes of a melody above to export its tablature.' };
+    }
+    return {
+      pages: buildTablaturePages(fluteName, pitches, { notation: notationMode }),
+      filename: `${fileStem}-tablature`
+    };
+  }
+
+  const raga = getSelectedRaga();
+  const ragaView = raga ? getRagaFingerings(rootIndex, raga.mode, raga.placement) : null;
+  const title = `${spellFluteName(fluteName)} Flute (Sa = ${getKeyName(rootIndex)})${raga ? `: ${describeRagaMode(raga.mode)}` : ''}`;
+  const spellings = getInputSpellings(parsePitchInput(notesValue, rootIndex));
+  return {
+    pages: buildFluteDiagramPages(scaleNotes, parseNoteInput(notesValue, rootIndex),
+      { raga: ragaView, notation: notationMode, title, spellings }),
+    filename: `${fileStem}-flute`
+  };
+}
+
+/**
+ * Save a Blob as a download
+ */
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+function setExportStatus(message, isError = false) {
+  const status = document.getElementById('export-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Export the chosen diagram in a format ('svg', 'png' or 'pdf')
+ */
+async function exportDiagram(format) {
+  const exported = getExportDocument(document.getElementById('export-content').value);
+  if (exported.error) {
+    setExportStatus(exported.error, true);
+    return;
+  }
+
+  const buttons = document.querySelectorAll('.export-btn');
+  buttons.forEach(button => { button.disabled = true; });
+  setExportStatus(`Preparing ${format.toUpperCase()}...`);
+  try {
+    const blob = await renderExport(exported.pages, format);
+    downloadBlob(blob, `${exported.filename}.${format}`);
+    const pageCount = exported.pages.length;
+    setExportStatus(`Saved ${exported.filename}.${format}${format === 'pdf' && pageCount > 1 ? ` (${pageCount} pages)` : ''}.`);
+  } catch (err) {
+    setExportStatus(err.message, true);
+  } finally {
+    buttons.forEach(button => { button.disabled = false; });
+  }
+}
+
+// ============================================
+// FLUTE FINDER
+// ============================================
+
+let finderResults = [];
+let displayedResultCount = 0;
+
+/**
+ * Run flute recommendation
+ */
+function recommendFlutes() {
+  const notesInput = document.getElementById('finder-notes');
+  const resultsContainer = document.getElementById('finder-results');
+  const addNextBtn = document.getElementById('add-next-btn');
+
+  const sargamRoot = getSelectedRootIndex();
+  const pitches = parsePitchInput(notesInput.value, sargamRoot);
+  const inputNotes = parseNoteInput(notesInput.value, sargamRoot);
+  rerenderComparison();
+
+  // Clear earlier results so a message below is not replaced by them on re-render
+  finderResults = [];
+  displayedResultCount = 0;
+
+  if (inputNotes.length === 0) {
+    resultsContainer.innerHTML = '<p style="color: var(--text-secondary);">Please enter some notes to get recommendations.</p>';
+    announce(resultsContainer.textContent);
+    addNextBtn.style.display = 'none';
+    scheduleUrlSync();
+    return;
+  }
+
+  const ownedOnly = document.getElementById('owned-only').checked;
+  if (ownedOnly && myFlutes.length === 0) {
+    resultsContainer.innerHTML = '<p style="color: var(--text-secondary);">Add your flutes under My Flutes to rank only the flutes you own.</p>';
+    announce(resultsContainer.textContent);
+    addNextBtn.style.display = 'none';
+    scheduleUrlSync();
+    return;
+  }
+
+  const weighted = document.getElementById('sequence-mode').checked;
+  const flutes = ownedOnly ? getOwnedFlutes() : undefined;
+  const tolerance = parseFloat(document.getElementById('cents-tolerance').value) || 0;
+  finderResults = document.getElementById('match-mode').value === 'raga'
+    ? findBestRagaFits(inputNotes, pitches, { weighted, flutes, tolerance })
+    : findBestFlutes(inputNotes, pitches, { weighted, flutes, tolerance });
+  displayedResultCount = 0;
+  resultsContainer.innerHTML = '';
+
+  // Show first result
+  const card = addNextResult(inputNotes);
+  if (card) announceResult(card);
+
+  // Show "Add Next" button if there are more results
+  addNextBtn.style.display = displayedResultCount < finderResults.length ? 'block' : 'none';
+  scheduleUrlSync();
+}
+
+/**
+ * Tell screen readers which flute a new result card shows, and whether there are more
+ */
+function announceResult(card) {
+  const remaining = finderResults.length - displayedResultCount;
+  const heading = card.querySelector('h3').textContent.replace(/\s+/g, ' ').trim();
+  announce(`${heading}. ${remaining > 0 ? `${remaining} more with Add Next.` : 'No more flutes to add.'}`);
+}
+
+/**
+ * Add the next result card for the "Add Next" button and announce it
+ * Once the last card is shown the button hides, so focus moves to that card's heading
+ */
+function showNextResult() {
+  const addNextBtn = document.getElementById('add-next-btn');
+  const card = addNextResult();
+  if (!card) return;
+  announceResult(card);
+  if (addNextBtn.style.display === 'none' && document.activeElement === addNextBtn) {
+    card.querySelector('h3').focus();
+  }
+}
+
+/**
+ * Add next result card
+ * Returns the card, or null when every result is shown
+ */
+function addNextResult(inputNotes) {
+  if (displayedResultCount >= finderResults.length) return null;
+
+  const resultsContainer = document.getElementById('finder-results');
+  const addNextBtn = document.getElementById('add-next-btn');
+  const result = finderResults[displayedResultCount];
+
+  // If inputNotes not provided, parse from input
+  const finderInput = document.getElementById('finder-notes').value;
+  const sargamRoot = getSelectedRootIndex();
+  if (!inputNotes) {
+    inputNotes = parseNoteInput(finderInput, sargamRoot);
+  }
+  const pitches = parsePitchInput(finderInput, sargamRoot);
+  const spellings = getInputSpellings(pitches);
+  const registers = describeRegisters(result.fluteName, pitches, result.octaveShift, result.size);
+  const rootIndex = noteToIndex(result.rootNote);
+  const ragaView = result.mode ? getRagaFingerings(rootIndex, result.mode, result.placement) : null;
+  const saIndex = ragaView ? ragaView.saIndex : rootIndex;
+
+  const card = document.createElement('div');
+  card.className = 'result-card';
+
+  const header = document.createElement('h3');
+  header.tabIndex = -1;
+  header.innerHTML = ragaView ? `
+    #${displayedResultCount + 1} ${escapeHtml(describeFlute(result))}: ${result.mode.type === 'raga' ? `Raga ${result.mode.name}` : `${result.mode.name} thaat`}
+    <span class="match-badge">${result.score}% fit</span>
+    ${result.extraNotes.length > 0 ? `<span class="match-badge effort-badge">${result.playablePercent}% playable</span>` : ''}
+    ${describeDifficultyBadge(result.difficulty)}
+    ${result.inRange ? '' : '<span class="match-badge range-badge">out of range</span>'}
+  ` : `
+    #${displayedResultCount + 1} ${escapeHtml(describeFlute(result))}
+    ${document.getElementById('sequence-mode').checked ? `<span class="match-badge weighted-badge">${result.weightedPercent}% weighted</span>` : ''}
+    <span class="match-badge">${result.matchPercent}% match</span>
+    ${result.extraNotes.length > 0 ? `<span class="match-badge effort-badge">${result.playablePercent}% playable</span>` : ''}
+    ${describeDifficultyBadge(result.difficulty)}
+    ${result.inRange ? '' : '<span class="match-badge range-badge">out of range</span>'}
+  `;
+  card.appendChild(header);
+
+  const info = document.createElement('div');
+  info.className = 'scale-info';
+  info.innerHTML = `
+    Plays <strong>${getKeyName(rootIndex)} Major</strong> (Sa = ${getKeyName(rootIndex)})<br>
+    ${ragaView ? `${describeRagaView(result.mode, ragaView, result.placement)}<br>
+    In the raga: ${result.fitPercent}% of your notes, using ${result.coveragePercent}% of the raga's notes
+    ${result.outsideNotes.length > 0 ? `<br>Outside the raga: ${formatNotes(result.outsideNotes, saIndex, ', ', notationMode, spellings)}` : ''}` : `
+    Scale: ${formatNotes(result.scaleNotes, rootIndex, ' - ')}<br>
+    Matching: ${result.matchingNotes.length > 0 ? formatNotes(result.matchingNotes, rootIndex, ', ', notationMode, spellings) : 'none'}`}
+    ${document.getElementById('sequence-mode').checked ? `<br>Melody on natural fingerings: ${result.eventPercent}% of notes, ${result.timePercent}% of time (unique notes: ${result.matchPercent}%)` : ''}
+    ${result.effortNotes.length > 0 && !ragaView ? `<br>Playable with effort: ${result.effortNotes.map(n => `${formatNote(n.note, rootIndex, notationMode, spellings)}: ${DIFFICULTY_LABELS[n.difficulty]}`).join(', ')}` : ''}
+    ${result.outOfTuneNotes.length > 0 ? `<br>Out of tune against A4 = ${referenceA4} Hz: ${result.outOfTuneNotes.map(n => `${formatNote(n.note, rootIndex, notationMode, spellings)} ${formatCents(n.cents)}`).join(', ')}` : ''}
+    ${registers.labels.length > 0 ? `<br>Registers: ${registers.labels.join(', ')}` : ''}
+    ${result.octaveShift !== 0 ? `<br>Play ${describeOctaveShift(result.octaveShift)} to fit the range` : ''}
+    ${result.outOfRangeNotes.length > 0 ? `<br><span class="range-warning">Out of range: ${result.outOfRangeNotes.join(', ')}</span>` : ''}
+  `;
+  card.appendChild(info);
+  card.appendChild(createDifficultyBreakdown(result.difficulty));
+
+  const fluteContainer = document.createElement('div');
+  fluteContainer.className = 'flute-container';
+  renderFlute(fluteContainer, result.scaleNotes, inputNotes, { noteRegisters: registers.noteRegisters, raga: ragaView, spellings });
+  card.appendChild(fluteContainer);
+
+  const playButton = document.createElement('button');
+  playButton.className = 'play-btn';
+  playButton.textContent = PLAY_LABEL;
+  const raga = ragaView ? { mode: result.mode, placement: result.placement } : null;
+  playButton.addEventListener('click', () => togglePlayback(playButton, result.fluteName, pitches, fluteContainer, raga, result.size));
+  card.appendChild(playButton);
+
+  const compareButton = document.createElement('button');
+  compareButton.className = 'secondary-btn compare-btn';
+  compareButton.textContent = 'Compare';
+  compareButton.setAttribute('aria-label', `Compare the ${describeFlute(result)}`);
+  compareButton.addEventListener('click', () => addToComparison(result));
+  card.appendChild(compareButton);
+
+  const fingeringChart = document.createElement('div');
+  fingeringChart.className = 'fingering-chart';
+  const chartNotes = ragaView
+    ? [...ragaView.halfHoleNotes.map(n => n.note), ...result.extraNotes.filter(n => !ragaView.notes.includes(n))]
+    : result.extraNotes;
+  renderFingeringChart(fingeringChart, rootIndex, chartNotes, saIndex, spellings);
+  card.appendChild(fingeringChart);
+
+  resultsContainer.appendChild(card);
+  displayedResultCount++;
+
+  // Update button visibility
+  addNextBtn.style.display = displayedResultCount < finderResults.length ? 'block' : 'none';
+  return card;
+}
+
+/**
+ * Get the badge for a result's playing difficulty (see scoreDifficulty)
+ */
+function describeDifficultyBadge(difficulty) {
+  return `<span class="match-badge difficulty-${difficulty.level}">difficulty ${difficulty.score} (${DIFFICULTY_LABELS[difficulty.level]})</span>`;
+}
+
+/**
+ * List what makes a melody hard on a result's flute, with the points each part adds
+ */
+function createDifficultyBreakdown(difficulty) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+  const parts = [
+    [difficulty.halfHoles, `Half-holes and cross-fingerings: ${plural(difficulty.halfHoles.count, 'note')}`],
+    [difficulty.fingerChanges, `Awkward finger changes (${AWKWARD_FINGER_CHANGES} or more holes at once): ${difficulty.fingerChanges.count}`],
+    [difficulty.registerJumps, `Jumps across the register break: ${difficulty.registerJumps.count}`],
+    [difficulty.taar, `Taar register: ${difficulty.taar.percent}% of the time`],
+    [difficulty.outOfRange, `Out of range: ${plural(difficulty.outOfRange.count, 'note')}`]
+  ].filter(([part]) => part.count > 0);
+
+  const container = document.createElement('div');
+  container.className = 'difficulty-breakdown';
+  container.textContent = `Difficulty ${difficulty.score} of 100 (${DIFFICULTY_LABELS[difficulty.level]})` +
+    (parts.length > 0 ? `, from ${difficulty.points} points:` : ': no half-holes, awkward changes, register jumps or taar notes.');
+
+  if (parts.length > 0) {
+    const list = document.createElement('ul');
+    for (const [part, text] of parts) {
+      const item = document.createElement('li');
+      item.textContent = `${text} (+${Math.round(part.points * 10) / 10})`;
+      list.appendChild(item);
+    }
+    container.appendChild(list);
+  }
+  return container;
+}
+
+/**
+ * Re-render the finder result cards currently shown
+ */
+function rerenderFinderResults() {
+  if (displayedResultCount === 0) return;
+
+  const inputNotes = parseNoteInput(document.getElementById('finder-notes').value, getSelectedRootIndex());
+  const resultsContainer = document.getElementById('finder-results');
+  resultsContainer.innerHTML = '';
+  const tempCount = displayedResultCount;
+  displayedResultCount = 0;
+  for (let i = 0; i < tempCount; i++) {
+    addNextResult(inputNotes);
+  }
+}
+
+// ============================================
+// FLUTE SETS
+// ============================================
+
+// Last flute set shown, kept so it can be redrawn: { plan, marked }
+let fluteSetView = null;
+
+/**
+ * Recommend a set of flutes for the finder's melody when it changes key
+ * Sections marked with "||" are kept as written; without marks, key changes are detected
+ */
+function findFluteSet() {
+  const container = document.getElementById('flute-set-results');
+  const input = document.getElementById('finder-notes').value;
+  const sargamRoot = getSelectedRootIndex();
+  const pitches = parsePitchInput(input, sargamRoot);
+  fluteSetView = null;
+
+  if (pitches.length === 0) {
+    container.innerHTML = '<p style="color: var(--text-secondary);">Please enter some notes above to find a flute set.</p>';
+    return;
+  }
+
+  const ownedOnly = document.getElementById('owned-only').checked;
+  if (ownedOnly && myFlutes.length === 0) {
+    container.innerHTML = '<p style="color: var(--text-secondary);">Add your flutes under My Flutes to choose only from the flutes you own.</p>';
+    return;
+  }
+
+  const flutes = ownedOnly ? getOwnedFlutes() : getAllFlutes();
+  const marked = input.includes(SECTION_MARKER);
+  const sections = marked ? parseSectionInput(input, sargamRoot) : detectSections(pitches, flutes);
+  fluteSetView = { plan: planFluteSet(sections, flutes, { merge: !marked }), marked };
+  renderFluteSet(container, fluteSetView.plan, marked);
+}
+
+/**
+ * Redraw the flute set shown, e.g. after the notation or screen width changes
+ */
+function rerenderFluteSet() {
+  if (fluteSetView) renderFluteSet(document.getElementById('flute-set-results'), fluteSetView.plan, fluteSetView.marked);
+}
+
+/**
+ * Render a flute set: summary, timeline of sections, where to change flute and a card per section
+ * @param {HTMLElement} container - Container element
+ * @param {Object} plan - Result of planFluteSet
+ * @param {boolean} marked - Whether the sections were marked by the user rather than detected
+ */
+function renderFluteSet(container, plan, marked) {
+  container.innerHTML = '';
+  const melody = plan.sections.flatMap(section => section.pitches);
+  const spellings = getInputSpellings(melody);
+  const fluteNames = plan.flutes.map(flute => `the ${describeFlute(flute)}`).join(', ');
+
+  const summary = document.createElement('p');
+  summary.className = 'flute-set-summary';
+  if (!marked && plan.sections.length === 1) {
+    summary.textContent = `No key change found: ${fluteNames} covers the whole melody.`;
+  } else {
+    const found = marked ? `${plan.sections.length} marked sections` : `${plan.sections.length} key areas found`;
+    summary.textContent = `${found}, covered by ${plan.flutes.length === 1 ? 'one flute' : `${plan.flutes.length} flutes`}: ${fluteNames}.`;
+  }
+  container.appendChild(summary);
+
+  // Timeline: one segment per section, as wide as its share of the melody's duration
+  const timeline = document.createElement('div');
+  timeline.className = 'flute-set-timeline';
+  plan.sections.forEach((section, i) => {
+    const duration = section.pitches.reduce((sum, pitch) => sum + pitch.duration, 0);
+    const segment = document.createElement('div');
+    segment.className = `timeline-segment flute-${plan.flutes.indexOf(section.flute) % 4}`;
+    segment.style.flex = `${duration} 1 0`;
+    segment.textContent = `${i + 1}. ${spellFluteName(section.flute.fluteName)}`;
+    segment.title = `Section ${i + 1}, notes ${section.start + 1}-${section.end}: ${describeFlute(section.flute)}, ${section.share}% playable`;
+    timeline.appendChild(segment);
+  });
+  container.appendChild(timeline);
+
+  if (plan.switches.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'switch-list';
+    for (const change of plan.switches) {
+      const fromRoot = getRootNoteIndex(change.from.fluteName);
+      const last = melody[change.index - 1];
+      const item = document.createElement('li');
+      item.textContent = `Change to the ${describeFlute(change.to)} after note ${change.index} ` +
+        `(${formatNote(last.note, fromRoot, notationMode, spellings)})` +
+        (change.earliest < change.latest ? `; anywhere after notes ${change.earliest}-${change.latest} works` : '');
+      list.appendChild(item);
+    }
+    container.appendChild(list);
+  }
+
+  plan.sections.forEach((section, i) => {
+    const { flute, score } = section;
+    const rootIndex = noteToIndex(score.rootNote);
+    const registers = describeRegisters(flute.fluteName, section.pitches, score.octaveShift, flute.size);
+
+    const card = document.createElement('div');
+    card.className = 'result-card';
+
+    const header = document.createElement('h3');
+    header.innerHTML = `
+      Section ${i + 1}: ${escapeHtml(describeFlute(flute))}
+      <span class="match-badge">${score.matchPercent}% match</span>
+      ${section.share < 100 ? `<span class="match-badge effort-badge">${section.share}% playable</span>` : ''}
+      ${score.inRange ? '' : '<span class="match-badge range-badge">out of range</span>'}
+    `;
+    card.appendChild(header);
+
+    const info = document.createElement('div');
+    info.className = 'scale-info';
+    info.innerHTML = `
+      Notes ${section.start + 1}-${section.end}: ${escapeHtml(section.pitches.map(pitch => pitch.label).join(' '))}<br>
+      Plays <strong>${getKeyName(rootIndex)} Major</strong> (Sa = ${getKeyName(rootIndex)})<br>
+      Matching: ${score.matchingNotes.length > 0 ? formatNotes(score.matchingNotes, rootIndex, ', ', notationMode, spellings) : 'none'}
+      ${score.effortNotes.length > 0 ? `<br>Playable with effort: ${score.effortNotes.map(n => `${formatNote(n.note, rootIndex, notationMode, spellings)}: ${DIFFICULTY_LABELS[n.difficulty]}`).join(', ')}` : ''}
+      ${registers.labels.length > 0 ? `<br>Registers: ${registers.labels.join(', ')}` : ''}
+      ${score.octaveShift !== 0 ? `<br>Play ${describeOctaveShift(score.octaveShift)} to fit the range` : ''}
+      ${score.outOfRangeNotes.length > 0 ? `<br><span class="range-warning">Out of range: ${score.outOfRangeNotes.join(', ')}</span>` : ''}
+    `;
+    card.appendChild(info);
+
+    const fluteContainer = document.createElement('div');
+    fluteContainer.className = 'flute-container';
+    renderFlute(fluteContainer, score.scaleNotes, section.notes, { noteRegisters: registers.noteRegisters, spellings });
+    card.appendChild(fluteContainer);
+
+    const playButton = document.createElement('button');
+    playButton.className = 'play-btn';
+    playButton.textContent = PLAY_LABEL;
+    playButton.addEventListener('click', () => togglePlayback(playButton, flute.fluteName, section.pitches, fluteContainer, null, flute.size));
+    card.appendChild(playButton);
+
+    const fingeringChart = document.createElement('div');
+    fingeringChart.className = 'fingering-chart';
+    renderFingeringChart(fingeringChart, rootIndex, score.extraNotes, rootIndex, spellings);
+    card.appendChild(fingeringChart);
+
+    container.appendChild(card);
+  });
+}
+
+// ============================================
+// FLUTE COMPARISON
+// ============================================
+// Two to four flutes side by side: their notes on one chromatic axis (C to B) and their
+// ranges on one absolute-pitch axis, for the finder's notes (see compareFlutes).
+
+// Text for a note cell by how the flute plays it, and what it means
+const COMPARE_CELL_TITLES = {
+  shared: 'natural fingering, on every flute compared',
+  unique: 'natural fingering, only on this flute',
+  scale: 'natural fingering, also on some other flutes compared',
+  missing: 'in the melody but not in this flute\'s scale'
+};
+
+/**
+ * Fill the comparison selects with every key and size and the owned flutes
+ * Values are a key ("G"), a key and size ("G/base") or an owned flute ("owned:<id>")
+ */
+function refreshCompareFlutes() {
+  document.querySelectorAll('.compare-flute').forEach((select, slot) => {
+    const current = select.value;
+    select.innerHTML = '';
+
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = slot < 2 ? 'Pick a flute' : 'None';
+    select.appendChild(none);
+
+    for (const [size, label] of [['medium', 'All flutes'], ['base', 'Base flutes'], ['small', 'Small flutes']]) {
+      const group = document.createElement('optgroup');
+      group.label = label;
+      for (const note of NOTES) {
+        const option = document.createElement('option');
+        option.value = size === 'medium' ? note : `${note}/${size}`;
+        option.textContent = describeFlute({ fluteName: note, size });
+        group.appendChild(option);
+      }
+      select.appendChild(group);
+    }
+
+    if (myFlutes.length > 0) {
+      const owned = document.createElement('optgroup');
+      owned.label = 'My flutes';
+      for (const flute of myFlutes) {
+        const option = document.createElement('option');
+        option.value = `owned:${flute.id}`;
+        option.textContent = describeFlute({ fluteName: flute.key, size: flute.size, nickname: flute.nickname });
+        owned.appendChild(option);
+      }
+      select.appendChild(owned);
+    }
+
+    select.value = [...select.options].some(option => option.value === current) ? current : '';
+  });
+}
+
+/**
+ * Get the flutes picked for comparison, leaving out empty slots and repeats
+ * Returns [{ fluteName, size, nickname, tuning, holeCents }]
+ */
+function getComparedFlutes() {
+  const values = [...document.querySelectorAll('.compare-flute')].map(select => select.value).filter(Boolean);
+  return [...new Set(values)].map(value => {
+    if (value.startsWith('owned:')) {
+      const owned = getOwnedFlutes()[myFlutes.findIndex(flute => flute.id === value.slice(6))];
+      if (owned) return owned;
+    }
+    const [note, size] = value.split('/');
+    return { fluteName: NOTES[Math.max(0, noteToIndex(note))], size: size || 'medium' };
+  });
+}
+
+/**
+ * Put a finder result's flute in the first empty comparison slot (or the last slot) and compare
+ */
+function addToComparison(result) {
+  const owned = myFlutes.find(flute => flute.key === result.fluteName && flute.size === result.size &&
+    (flute.nickname || null) === result.nickname);
+  const value = owned ? `owned:${owned.id}` : result.size === 'medium' ? result.fluteName : `${result.fluteName}/${result.size}`;
+  const selects = [...document.querySelectorAll('.compare-flute')];
+
+  if (!selects.some(select => select.value === value)) {
+    (selects.find(select => !select.value) || selects[selects.length - 1]).value = value;
+  }
+  renderComparison();
+  document.getElementById('compare-panel').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Compare the picked flutes for the finder's notes
+ */
+function renderComparison() {
+  const container = document.getElementById('compare-results');
+  const flutes = getComparedFlutes();
+  container.innerHTML = '';
+
+  if (flutes.length < 2) {
+    const message = document.createElement('p');
+    message.className = 'playback-note';
+    message.textContent = 'Pick at least two different flutes to compare.';
+    container.appendChild(message);
+    return;
+  }
+
+  const text = document.getElementById('finder-notes').value;
+  const sargamRoot = getSelectedRootIndex();
+  const pitches = parsePitchInput(text, sargamRoot);
+  const tolerance = parseFloat(document.getElementById('cents-tolerance').value) || 0;
+  const comparison = compareFlutes(flutes, parseNoteInput(text, sargamRoot), pitches, { tolerance });
+  const spellings = getInputSpellings(pitches);
+  const orientation = getOrientation();
+
+  const summary = document.createElement('p');
+  summary.className = 'flute-set-summary';
+  const shared = comparison.sharedNotes.map(note => spellings[note] || spellFluteName(note));
+  summary.textContent = `${shared.length > 0 ? `All ${flutes.length} flutes play ${shared.join(', ')} naturally` : 'No natural note is common to every flute'}.` +
+    (comparison.inputNotes.length > 0
+      ? ` ${comparison.flutes.map(f => `${describeFlute(f)}: ${f.playablePercent}% playable, difficulty ${f.difficulty.score}`).join('; ')}.`
+      : '');
+  container.appendChild(summary);
+
+  container.appendChild(createComparisonTable(comparison, orientation, spellings));
+  container.appendChild(createRangeChart(comparison, orientation, spellings));
+
+  const legend = document.createElement('div');
+  legend.className = 'legend compare-legend';
+  legend.innerHTML = `
+    <div class="legend-item"><span class="compare-swatch shared" aria-hidden="true"></span> On every flute</div>
+    <div class="legend-item"><span class="compare-swatch unique" aria-hidden="true"></span> Only on this flute</div>
+    <div class="legend-item"><span class="compare-swatch scale" aria-hidden="true"></span> On some flutes</div>
+    <div class="legend-item"><span class="compare-swatch missing" aria-hidden="true"></span> Melody note this flute misses</div>
+  `;
+  container.appendChild(legend);
+}
+
+/**
+ * Build the note table: one row per flute and one column per pitch class (C to B), turned
+ * into one column per flute with the highest note on top in the vertical layout
+ */
+function createComparisonTable(comparison, orientation, spellings) {
+  const axis = NOTES.map((note, i) => NOTES[(i + DEFAULT_SARGAM_ROOT) % 12]);
+  if (orientation === 'vertical') axis.reverse();
+
+  const table = document.createElement('table');
+  table.className = `compare-table ${orientation}`;
+
+  const noteHeader = (note, scope) => {
+    const th = document.createElement('th');
+    th.scope = scope;
+    th.textContent = spellings[note] || spellFluteName(note);
+    if (comparison.inputNotes.includes(note)) {
+      th.classList.add('in-melody');
+      th.title = 'In the melody';
+    }
+    return th;
+  };
+  const fluteHeader = (flute, scope) => {
+    const th = document.createElement('th');
+    th.scope = scope;
+    th.textContent = describeFlute(flute);
+    const detail = document.createElement('span');
+    detail.className = 'compare-detail';
+    detail.textContent = `Sa = ${getKeyName(noteToIndex(flute.rootNote))}`;
+    th.appendChild(detail);
+    return th;
+  };
+  const noteCell = (flute, note) => {
+    const td = document.createElement('td');
+    const rootIndex = noteToIndex(flute.rootNote);
+    const interval = (noteToIndex(note) - rootIndex + 12) % 12;
+    const missing = flute.missingNotes.find(n => n.note === note);
+    let kind = null;
+    if (flute.scaleNotes.includes(note)) {
+      kind = comparison.sharedNotes.includes(note) ? 'shared' : flute.uniqueNotes.includes(note) ? 'unique' : 'scale';
+    } else if (missing) {
+      kind = 'missing';
+    }
+    if (!kind) return td;
+
+    td.className = kind;
+    if (comparison.inputNotes.includes(note)) td.classList.add('in-melody');
+    td.textContent = SWARA_SHORT_NAMES[interval];
+    const meaning = COMPARE_CELL_TITLES[kind] + (missing ? `; ${missing.technique}, ${DIFFICULTY_LABELS[missing.difficulty]}` : '');
+    td.title = `${spellNote(note, rootIndex)} (${SWARA_NAMES[interval]}): ${meaning}`;
+    // Screen readers get the meaning the colour shows
+    const hidden = document.createElement('span');
+    hidden.className = 'visually-hidden';
+    hidden.textContent = `, ${meaning}`;
+    td.appendChild(hidden);
+    return td;
+  };
+
+  const head = document.createElement('thead');
+  const headRow = document.createElement('tr');
+  headRow.appendChild(document.createElement('td'));
+  const body = document.createElement('tbody');
+
+  if (orientation === 'horizontal') {
+    axis.forEach(note => headRow.appendChild(noteHeader(note, 'col')));
+    for (const flute of comparison.flutes) {
+      const row = document.createElement('tr');
+      row.appendChild(fluteHeader(flute, 'row'));
+      axis.forEach(note => row.appendChild(noteCell(flute, note)));
+      body.appendChild(row);
+    }
+  } else {
+    comparison.flutes.forEach(flute => headRow.appendChild(fluteHeader(flute, 'col')));
+    for (const note of axis) {
+      const row = document.createElement('tr');
+      row.appendChild(noteHeader(note, 'row'));
+      comparison.flutes.forEach(flute => row.appendChild(noteCell(flute, note)));
+      body.appendChild(row);
+    }
+  }
+
+  head.appendChild(headRow);
+  table.appendChild(head);
+  table.appendChild(body);
+  return table;
+}
+
+/**
+ * Build the range chart: each flute's range (mandra Pa to ati-taar Sa) and the melody's
+ * written range as bars on one absolute-pitch axis, rising to the right or upwards
+ */
+function createRangeChart(comparison, orientation, spellings) {
+  const span = comparison.highMidi - comparison.lowMidi + 1;
+  const horizontal = orientation === 'horizontal';
+  // Bars start at the low edge of their lowest semitone and end at the high edge of their highest
+  const place = (element, low, high) => {
+    element.style[horizontal ? 'left' : 'bottom'] = `${(low - comparison.lowMidi) / span * 100}%`;
+    element.style[horizontal ? 'width' : 'height'] = `${(high - low + 1) / span * 100}%`;
+  };
+
+  const chart = document.createElement('div');
+  chart.className = `compare-ranges ${orientation}`;
+
+  const addRow = (label, low, high, className, saMidi = null) => {
+    const row = document.createElement('div');
+    row.className = 'range-row';
+    const name = document.createElement('div');
+    name.className = 'range-label';
+    name.textContent = label;
+    row.appendChild(name);
+
+    const track = document.createElement('div');
+    track.className = 'range-track';
+    const bar = document.createElement('div');
+    bar.className = `range-bar ${className}`;
+    place(bar, low, high);
+    track.appendChild(bar);
+    if (saMidi !== null) {
+      const sa = document.createElement('div');
+      sa.className = 'range-sa';
+      sa.title = `Madhya Sa: ${midiToScientific(saMidi)}`;
+      place(sa, saMidi, saMidi);
+      track.appendChild(sa);
+    }
+    row.appendChild(track);
+    chart.appendChild(row);
+  };
+
+  for (const flute of comparison.flutes) {
+    const rootIndex = noteToIndex(flute.rootNote);
+    const fit = !flute.inRange ? ', melody out of range'
+      : flute.octaveShift !== 0 ? `, melody ${describeOctaveShift(flute.octaveShift)}` : '';
+    addRow(`${describeFlute(flute)}: ${spellMidi(flute.lowMidi, rootIndex)}–${spellMidi(flute.highMidi, rootIndex)}${fit}`,
+      flute.lowMidi, flute.highMidi, flute.inRange ? '' : 'out-of-range', flute.saMidi);
+  }
+  if (comparison.melody) {
+    const name = midi => spellMidi(midi, DEFAULT_SARGAM_ROOT, spellings[midiToNoteName(midi)]);
+    addRow(`Melody as written: ${name(comparison.melody.lowMidi)}–${name(comparison.melody.highMidi)}`,
+      comparison.melody.lowMidi, comparison.melody.highMidi, 'melody');
+  }
+
+  // Octave marks at each C on the axis
+  const axis = document.createElement('div');
+  axis.className = 'range-axis';
+  axis.setAttribute('aria-hidden', 'true');
+  for (let midi = comparison.lowMidi; midi <= comparison.highMidi; midi++) {
+    if (midi % 12 !== 0) continue;
+    const tick = document.createElement('span');
+    tick.className = 'range-tick';
+    tick.textContent = midiToScientific(midi);
+    place(tick, midi, midi);
+    axis.appendChild(tick);
+  }
+  chart.appendChild(axis);
+  return chart;
+}
+
+/**
+ * Redraw the comparison if one is shown (after the notes, settings or layout change)
+ */
+function rerenderComparison() {
+  if (document.getElementById('compare-results').hasChildNodes()) renderComparison();
+}
+
+function initComparison() {
+  refreshCompareFlutes();
+  document.querySelectorAll('.compare-flute').forEach(select => select.addEventListener('change', renderComparison));
+}
+
+// ============================================
+// TRANSPOSITION PANEL
+// ============================================
+
+let transposeResults = [];
+
+/**
+ * Describe a shift in semitones, e.g. "+2 (up a whole tone)" or "as written"
+ */
+function describeShift(semitones) {
+  if (semitones === 0) return 'as written';
+  const size = Math.abs(semitones) === 1 ? '1 semitone' : `${Math.abs(semitones)} semitones`;
+  return `${semitones > 0 ? '+' : '\u2212'}${Math.abs(semitones)} (${size} ${semitones > 0 ? 'up' : 'down'})`;
+}
+
+/**
+ * Get the flute chosen for transposition: a standard flute ("G") or an owned one ("owned:<id>")
+ */
+function getTransposeFlute() {
+  const value = document.getElementById('transpose-flute').value;
+  if (value.startsWith('owned:')) {
+    const owned = myFlutes.find(flute => flute.id === value.slice(6));
+    if (owned) return { fluteName: owned.key, size: owned.size, nickname: owned.nickname };
+  }
+  return { fluteName: NOTES[Math.max(0, noteToIndex(value))], size: 'medium' };
+}
+
+/**
+ * Fill the transposition flute and key selects (owned flutes change as the collection does)
+ */
+function refreshTransposeOptions() {
+  const select = document.getElementById('transpose-flute');
+  const current = select.value;
+  select.innerHTML = '';
+
+  const standard = document.createElement('optgroup');
+  standard.label = 'All flutes';
+  for (const note of NOTES) {
+    const option = document.createElement('option');
+    option.value = note;
+    option.textContent = `${spellFluteName(note)} Flute`;
+    standard.appendChild(option);
+  }
+  select.appendChild(standard);
+
+  if (myFlutes.length > 0) {
+    const owned = document.createElement('optgroup');
+    owned.label = 'My flutes';
+    for (const flute of myFlutes) {
+      const option = document.createElement('option');
+      option.value = `owned:${flute.id}`;
+      option.textContent = describeFlute({ fluteName: flute.key, size: flute.size, nickname: flute.nickname });
+      owned.appendChild(option);
+    }
+    select.appendChild(owned);
+  }
+
+  if ([...select.options].some(option => option.value === current)) select.value = current;
+
+  const keySelect = document.getElementById('transpose-key');
+  if (keySelect.options.length === 0) {
+    for (const note of NOTES) {
+      const option = document.createElement('option');
+      option.value = note;
+      keySelect.appendChild(option);
+    }
+    keySelect.value = NOTES[DEFAULT_SARGAM_ROOT];
+  }
+  for (const option of keySelect.options) {
+    option.textContent = getKeyName(noteToIndex(option.value));
+  }
+}
+
+/**
+ * Run the transposition search for the current mode
+ */
+function runTransposition() {
+  const mode = document.getElementById('transpose-mode').value;
+  const text = document.getElementById('transpose-notes').value;
+  const table = document.getElementById('transpose-table');
+  const detail = document.getElementById('transpose-detail');
+
+  let pitches;
+  if (mode === 'shift') {
+    const flute = getTransposeFlute();
+    pitches = parsePitchInput(text, getRootNoteIndex(flute.fluteName));
+    transposeResults = pitches.length > 0 ? findBestTranspositions(pitches, flute) : [];
+  } else {
+    const keyIndex = noteToIndex(document.getElementById('transpose-key').value);
+    pitches = parsePitchInput(text, keyIndex);
+    const flutes = document.getElementById('transpose-owned').checked ? getOwnedFlutes() : getAllFlutes();
+    transposeResults = pitches.length > 0 ? findFlutesForKey(pitches, keyIndex, flutes) : [];
+  }
+
+  table.innerHTML = '';
+  detail.innerHTML = '';
+  if (transposeResults.length === 0) {
+    const message = document.createElement('p');
+    message.className = 'collection-empty';
+    if (pitches.length === 0) {
+      message.textContent = 'Please enter a melody to transpose.';
+    } else if (document.getElementById('transpose-owned').checked && myFlutes.length === 0) {
+      message.textContent = 'Add your flutes under My Flutes to search only the flutes you own.';
+    } else {
+      message.textContent = 'None of these flutes has its Sa, Ma or Pa on this key.';
+    }
+    table.appendChild(message);
+    return;
+  }
+
+  renderTranspositionTable(mode);
+  showTransposition(0);
+}
+
+/**
+ * Render the ranked transpositions (or flutes) as a table; a row's button shows its details
+ */
+function renderTranspositionTable(mode) {
+  const table = document.createElement('table');
+  table.className = 'transpose-table';
+
+  const headings = mode === 'shift'
+    ? ['#', 'Shift', 'Melody', 'Playable', 'Half-holes', 'Range', '']
+    : ['#', 'Flute', 'Sa on', 'Playable', 'Half-holes', 'Range', ''];
+  const head = table.createTHead().insertRow();
+  for (const heading of headings) {
+    const th = document.createElement('th');
+    th.textContent = heading;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  transposeResults.forEach((result, i) => {
+    const row = body.insertRow();
+    row.dataset.index = i;
+    const cells = mode === 'shift'
+      ? [i + 1, describeShift(result.semitones), result.pitches.slice(0, 6).map(p => p.label).join(' ') + (result.pitches.length > 6 ? ' \u2026' : '')]
+      : [i + 1, describeFlute(result), `the flute's ${SA_PLACEMENTS.find(p => p.interval === result.placement).name}`];
+    cells.push(`${result.playablePercent}%`, result.halfHoleCount, result.inRange ? 'fits' : 'out of range');
+    for (const value of cells) {
+      row.insertCell().textContent = value;
+    }
+
+    const button = document.createElement('button');
+    button.className = 'chip-btn';
+    button.textContent = 'Show';
+    button.setAttribute('aria-label', `Show result ${i + 1}`);
+    row.insertCell().appendChild(button);
+  });
+
+  const container = document.getElementById('transpose-table');
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+/**
+ * Show one transposition (or flute) with the moved melody and its fingerings
+ */
+function showTransposition(index) {
+  const result = transposeResults[index];
+  const detail = document.getElementById('transpose-detail');
+  if (!result) return;
+
+  document.querySelectorAll('.transpose-table tbody tr').forEach(row => {
+    row.classList.toggle('selected', parseInt(row.dataset.index, 10) === index);
+  });
+
+  const rootIndex = noteToIndex(result.rootNote);
+  const registers = describeRegisters(result.fluteName, result.pitches, result.octaveShift, result.size);
+  const placement = result.placement === undefined ? null : SA_PLACEMENTS.find(p => p.interval === result.placement);
+  detail.innerHTML = '';
+
+  const card = document.createElement('div');
+  card.className = 'result-card';
+
+  const header = document.createElement('h3');
+  header.innerHTML = `
+    ${escapeHtml(describeFlute(result))}${placement ? `, Sa on the flute's ${placement.name}` : `, ${describeShift(result.semitones)}`}
+    <span class="match-badge">${result.playablePercent}% playable</span>
+    ${result.halfHoleCount > 0 ? `<span class="match-badge effort-badge">${result.halfHoleCount} half-hole ${result.halfHoleCount === 1 ? 'note' : 'notes'}</span>` : ''}
+    ${result.inRange ? '' : '<span class="match-badge range-badge">out of range</span>'}
+  `;
+  card.appendChild(header);
+
+  const info = document.createElement('div');
+  info.className = 'scale-info';
+  info.innerHTML = `
+    Plays <strong>${getKeyName(rootIndex)} Major</strong> (Sa = ${getKeyName(rootIndex)})<br>
+    Melody: ${escapeHtml(result.pitches.map(p => p.label).join(' '))}
+    ${result.effortNotes.length > 0 ? `<br>Half-holes and cross-fingerings: ${result.effortNotes.map(n => `${formatNote(n.note, rootIndex)}: ${DIFFICULTY_LABELS[n.difficulty]}`).join(', ')}` : ''}
+    ${registers.labels.length > 0 ? `<br>Registers: ${registers.labels.join(', ')}` : ''}
+    ${result.octaveShift !== 0 ? `<br>Play ${describeOctaveShift(result.octaveShift)} to fit the range` : ''}
+    ${result.outOfRangeNotes.length > 0 ? `<br><span class="range-warning">Out of range: ${result.outOfRangeNotes.join(', ')}</span>` : ''}
+  `;
+  card.appendChild(info);
+
+  const fluteContainer = document.createElement('div');
+  fluteContainer.className = 'flute-container';
+  renderFlute(fluteContainer, result.scaleNotes, result.notes, { noteRegisters: registers.noteRegisters });
+  card.appendChild(fluteContainer);
+
+  const playButton = document.createElement('button');
+  playButton.className = 'play-btn';
+  playButton.textContent = PLAY_LABEL;
+  playButton.addEventListener('click', () => togglePlayback(playButton, result.fluteName, result.pitches, fluteContainer, null, result.size));
+  card.appendChild(playButton);
+
+  const fingeringChart = document.createElement('div');
+  fingeringChart.className = 'fingering-chart';
+  renderFingeringChart(fingeringChart, rootIndex, result.extraNotes);
+  card.appendChild(fingeringChart);
+
+  detail.appendChild(card);
+}
+
+/**
+ * Show the controls that apply to the chosen transposition mode
+ */
+function updateTransposeMode() {
+  const shift = document.getElementById('transpose-mode').value === 'shift';
+  document.getElementById('transpose-flute-group').hidden = !shift;
+  document.getElementById('transpose-key-group').hidden = shift;
+  document.getElementById('transpose-owned-label').hidden = shift;
+}
+
+function initTransposition() {
+  refreshTransposeOptions();
+  updateTransposeMode();
+
+  document.getElementById('transpose-mode').addEventListener('change', () => {
+    updateTransposeMode();
+    if (transposeResults.length > 0) runTransposition();
+  });
+  document.getElementById('transpose-btn').addEventListener('click', runTransposition);
+  document.getElementById('transpose-notes').addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') runTransposition();
+  });
+  document.getElementById('transpose-copy-btn').addEventListener('click', () => {
+    document.getElementById('transpose-notes').value = document.getElementById('finder-notes').value;
+    runTransposition();
+  });
+  document.getElementById('transpose-table').addEventListener('click', (e) => {
+    const row = e.target.closest('tr[data-index]');
+    if (row && e.target.closest('button')) showTransposition(parseInt(row.dataset.index, 10));
+  });
+}
+
+// ============================================
+// AUDIO PLAYBACK
+// ============================================
+
+const PLAY_LABEL = '\u25B6 Play';
+const STOP_LABEL = '\u25A0 Stop';
+let activePlayButton = null;
+
+/**
+ * Build the notes to play on a flute: its scale (Sa up to taar Sa), the melody, or both
+ * With a raga ({ mode, placement }), the scale is its aroha then avaroha from the raga's Sa.
+ * Melody notes without octave information are played in the madhya register
+ * Returns [{ midi, duration, note }] with durations in beats (midi null is a rest)
+ */
+function buildPlaybackEvents(fluteName, pitches, content, raga = null, size = 'medium') {
+  const range = checkFluteRange(fluteName, pitches, size);
+  const saMidi = range.saMidi;
+  const events = [];
+
+  if (content !== 'melody' || pitches.length === 0) {
+    const steps = raga
+      ? [...raga.mode.aroha, ...raga.mode.avaroha.slice(1)].map(step => raga.placement + step.interval + 12 * step.register)
+      : [...getNaturalIntervals(), 12];
+    for (const interval of steps) {
+      events.push({ midi: saMidi + interval, duration: 1, note: midiToNoteName(saMidi + interval) });
+    }
+  }
+
+  if (content !== 'scale' && pitches.length > 0) {
+    if (events.length > 0) events.push({ midi: null, duration: 1, note: null });
+
+    for (const pitch of pitches) {
+      let offset = getPitchOffset(pitch, saMidi);
+      if (offset === null) {
+        offset = getPitchOffset({ ...pitch, register: 0 }, saMidi);
+      } else if (pitch.midi !== null) {
+        offset += 12 * range.octaveShift;
+      }
+      events.push({ midi: saMidi + offset, duration: pitch.duration, note: pitch.note });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Highlight the hole (or extra note) that plays the given note
+ */
+function highlightPlayingHole(container, note) {
+  container.querySelectorAll('.hole.playing').forEach(hole => hole.classList.remove('playing'));
+  if (!note) return;
+  container.querySelectorAll(`.hole[data-note="${note}"]`).forEach(hole => hole.classList.add('playing'));
+}
+
+/**
+ * Start playing a flute's scale and/or melody, or stop if this button is already playing
+ * @param {HTMLElement} button - The play button that was clicked
+ * @param {string} fluteName - Flute to play on
+ * @param {Object[]} pitches - Parsed melody (may be empty)
+ * @param {HTMLElement} container - Flute container whose holes light up in sync
+ * @param {Object} raga - Optional { mode, placement } to play the raga's aroha and avaroha
+ * @param {string} size - Flute size (see FLUTE_SIZES)
+ */
+function togglePlayback(button, fluteName, pitches, container, raga = null, size = 'medium') {
+  const wasPlaying = activePlayButton === button;
+  stopPlayback();
+  if (wasPlaying) return;
+
+  const content = document.getElementById('play-content').value;
+  const tempo = parseInt(document.getElementById('play-tempo').value, 10);
+  const drone = document.getElementById('play-drone').checked;
+  const events = buildPlaybackEvents(fluteName, pitches, content, raga, size);
+
+  activePlayButton = button;
+  button.textContent = STOP_LABEL;
+  button.classList.add('playing');
+
+  try {
+    playSequence(events, {
+      tempo,
+      droneMidi: drone ? getFluteSaMidi(fluteName, size) + (raga ? raga.placement : 0) : null,
+      a4: referenceA4,
+      onNote: event => highlightPlayingHole(container, event.note),
+      onEnd: () => {
+        button.textContent = PLAY_LABEL;
+        button.classList.remove('playing');
+        highlightPlayingHole(container, null);
+        if (activePlayButton === button) activePlayButton = null;
+      }
+    });
+  } catch (err) {
+    activePlayButton = null;
+    button.textContent = PLAY_LABEL;
+    button.classList.remove('playing');
+    button.title = err.message;
+  }
+}
+
+// ============================================
+// FILE IMPORT
+// ============================================
+
+/**
+ * Let the keyboard open the "choose a file" labels: their file inputs are hidden, so
+ * the label takes focus instead and opens the file picker on Enter or Space
+ */
+function initFileButtons() {
+  document.querySelectorAll('.file-button').forEach(label => {
+    label.tabIndex = 0;
+    label.setAttribute('role', 'button');
+    label.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      label.querySelector('input[type="file"]').click();
+    });
+  });
+}
+
+/**
+ * Wire up a drop zone and file picker that fill a note input from a melody file
+ * @param {string} zoneId - Drop zone element; holds the file input, source select and status
+ * @param {string} inputId - Note input to fill
+ * @param {Function} onImport - Called after the input has been filled
+ */
+function setupFileImport(zoneId, inputId, onImport) {
+  const zone = document.getElementById(zoneId);
+  const fileInput = zone.querySelector('input[type="file"]');
+  const sourceSelect = zone.querySelector('.source-select');
+  const status = zone.querySelector('.import-status');
+  let imported = null;
+
+  function applySource(index) {
+    const source = imported.sources[index];
+    document.getElementById(inputId).value = melodyToInputText(source.notes);
+    const title = imported.title ? `"${imported.title}"` : 'melody';
+    status.textContent = `Imported ${title}: ${source.notes.length} notes from ${source.name}`;
+    status.classList.remove('error');
+    onImport();
+  }
+
+  async function importFile(file) {
+    if (!file) return;
+    try {
+      imported = parseMelodyFile(file.name, await file.arrayBuffer());
+    } catch (err) {
+      imported = null;
+      sourceSelect.hidden = true;
+      status.textContent = err.message;
+      status.classList.add('error');
+      return;
+    }
+
+    // Let the user pick a track, channel or part when there is more than one
+    sourceSelect.innerHTML = '';
+    imported.sources.forEach((source, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = `${source.name} (${source.notes.length} notes)`;
+      sourceSelect.appendChild(option);
+    });
+    sourceSelect.hidden = imported.sources.length < 2;
+    applySource(0);
+  }
+
+  fileInput.addEventListener('change', () => {
+    importFile(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  sourceSelect.addEventListener('change', () => applySource(parseInt(sourceSelect.value, 10)));
+
+  zone.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    zone.classList.add('dragging');
+  });
+  zone.addEventListener('dragleave', () => zone.classList.remove('dragging'));
+  zone.addEventListener('drop', (e) => {
+    e.preventDefault();
+    zone.classList.remove('dragging');
+    importFile(e.dataTransfer.files[0]);
+  });
+}
+
+// ============================================
+// RECORDING ANALYSIS
+// ============================================
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+let detectedFrames = [];
+let detectedNotes = [];
+
+/**
+ * Create an SVG element with attributes
+ */
+function createSvgElement(tag, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    element.setAttribute(name, value);
+  }
+  return element;
+}
+
+/**
+ * Draw the detected pitch contour with the detected notes as bars on a semitone grid
+ * @param {HTMLElement} container - Container element
+ * @param {Object[]} frames - Pitch track from analyzePitchTrack
+ * @param {Object[]} notes - Notes from segmentNotes (possibly edited)
+ */
+function renderPitchContour(container, frames, notes) {
+  container.innerHTML = '';
+  if (notes.length === 0) return;
+
+  const exact = frames.map(f => (f.frequency ? 69 + 12 * Math.log2(f.frequency / referenceA4) : null));
+  const midis = notes.map(n => n.midi);
+  const lowest = Math.min(...midis) - 1;
+  const highest = Math.max(...midis) + 1;
+  const duration = Math.max(...notes.map(n => n.end), frames.length > 0 ? frames[frames.length - 1].time : 0);
+
+  const rowHeight = 14;
+  const labelWidth = 40;
+  const pixelsPerSecond = 120;
+  const width = labelWidth + Math.max(560, duration * pixelsPerSecond);
+  const height = (highest - lowest + 1) * rowHeight;
+  const x = time => labelWidth + time * pixelsPerSecond;
+  const y = midi => (highest - midi + 0.5) * rowHeight;
+
+  const svg = createSvgElement('svg', {
+    class: 'pitch-contour',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': 'Detected pitch contour'
+  });
+
+  // Semitone grid with note names
+  for (let midi = lowest; midi <= highest; midi++) {
+    const isNatural = !midiToNoteName(midi).includes('#');
+    svg.appendChild(createSvgElement('line', {
+      class: isNatural ? 'grid-line natural' : 'grid-line',
+      x1: labelWidth, x2: width, y1: y(midi), y2: y(midi)
+    }));
+    const label = createSvgElement('text', { class: 'grid-label', x: 4, y: y(midi) + 4 });
+    label.textContent = midiToScientific(midi);
+    svg.appendChild(label);
+  }
+
+  // Detected notes
+  notes.forEach((note, i) => {
+    const bar = createSvgElement('rect', {
+      class: 'note-bar',
+      x: x(note.start),
+      y: y(note.midi) - rowHeight / 2 + 1,
+      width: Math.max(2, (note.end - note.start) * pixelsPerSecond),
+      height: rowHeight - 2,
+      rx: 3,
+      'data-index': i
+    });
+    const title = createSvgElement('title');
+    title.textContent = `${midiToScientific(note.midi)} ${note.cents >= 0 ? '+' : ''}${note.cents}¢`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+  });
+
+  // Raw contour, broken where the recording is unvoiced
+  let points = [];
+  const flush = () => {
+    if (points.length > 1) {
+      svg.appendChild(createSvgElement('polyline', { class: 'contour-line', points: points.join(' ') }));
+    }
+    points = [];
+  };
+  exact.forEach((value, i) => {
+    if (value === null || value < lowest - 0.5 || value > highest + 0.5) {
+      flush();
+    } else {
+      points.push(`${x(frames[i].time).toFixed(1)},${y(value).toFixed(1)}`);
+    }
+  });
+  flush();
+
+  container.appendChild(svg);
+}
+
+/**
+ * Render the editable list of detected notes
+ */
+function renderDetectedNotes() {
+  const list = document.getElementById('recording-notes');
+  list.innerHTML = '';
+
+  detectedNotes.forEach((note, i) => {
+    const chip = document.createElement('div');
+    chip.className = 'detected-note';
+    chip.dataset.index = i;
+
+    const name = document.createElement('span');
+    name.className = 'detected-name';
+    name.textContent = midiToScientific(note.midi);
+    chip.appendChild(name);
+
+    const detail = document.createElement('span');
+    detail.className = 'detected-detail';
+    detail.textContent = `${note.cents >= 0 ? '+' : ''}${note.cents}¢ ${(note.end - note.start).toFixed(2)}s`;
+    chip.appendChild(detail);
+
+    for (const [action, text, label] of [
+      ['octave-down', '\u21938', 'Down an octave'],
+      ['down', '\u2212', 'Down a semitone'],
+      ['up', '+', 'Up a semitone'],
+      ['octave-up', '\u21918', 'Up an octave'],
+      ['remove', '\u2715', 'Remove note']
+    ]) {
+      const button = document.createElement('button');
+      button.className = 'chip-btn';
+      button.dataset.action = action;
+      button.textContent = text;
+      button.title = label;
+      button.setAttribute('aria-label', `${label}: ${midiToScientific(note.midi)}`);
+      chip.appendChild(button);
+    }
+
+    list.appendChild(chip);
+  });
+
+  document.getElementById('recording-use-btn').hidden = detectedNotes.length === 0;
+  renderPitchContour(document.getElementById('recording-contour'), detectedFrames, detectedNotes);
+}
+
+/**
+ * Apply a correction from a detected note's buttons
+ */
+function editDetectedNote(index, action) {
+  const note = detectedNotes[index];
+  if (!note) return;
+
+  const steps = { 'octave-down': -12, 'down': -1, 'up': 1, 'octave-up': 12 };
+  if (action === 'remove') {
+    detectedNotes.splice(index, 1);
+  } else if (steps[action]) {
+    note.midi += steps[action];
+  }
+  renderDetectedNotes();
+}
+
+/**
+ * Decode a recording and detect its notes
+ */
+async function analyzeRecording(file) {
+  if (!file) return;
+  const status = document.getElementById('recording-status');
+  status.classList.remove('error');
+
+  try {
+    status.textContent = 'Decoding audio...';
+    const audioBuffer = await getAudioContext().decodeAudioData(await file.arrayBuffer());
+
+    detectedFrames = await analyzePitchTrack(mixToMono(audioBuffer), audioBuffer.sampleRate, (fraction) => {
+      status.textContent = `Detecting pitch... ${Math.round(fraction * 100)}%`;
+    });
+    detectedNotes = segmentNotes(detectedFrames, { a4: referenceA4 });
+
+    status.textContent = detectedNotes.length > 0
+      ? `Detected ${detectedNotes.length} notes in ${audioBuffer.duration.toFixed(1)}s. Fix any wrong notes below, then use them.`
+      : 'No clear notes were found. Try a recording of a single melody line with little background noise.';
+  } catch (err) {
+    detectedFrames = [];
+    detectedNotes = [];
+    status.textContent = `Could not read this recording: ${err.message || 'unsupported format'}`;
+    status.classList.add('error');
+  }
+
+  renderDetectedNotes();
+}
+
+/**
+ * Send the (corrected) detected notes to the finder
+ * Durations are in seconds, i.e. beats at 60 BPM
+ */
+function useDetectedNotes() {
+  document.getElementById('finder-notes').value = detectedNotes
+    .map(note => `${midiToScientific(note.midi)}:${Math.round((note.end - note.start) * 100) / 100}`)
+    .join(' ');
+  recommendFlutes();
+}
+
+// ============================================
+// MY FLUTES
+// ============================================
+
+// A4 references accepted for an owned flute's tuning, in Hz
+const TUNING_RANGE = { min: 415, max: 466 };
+
+// Measured hole offsets accepted, in cents from the flute's own equal-tempered pitch
+const HOLE_CENTS_RANGE = { min: -100, max: 100 };
+
+let myFlutes = [];
+let tuningFluteId = null;
+
+/**
+ * Read a list saved in localStorage, or an empty list if it is missing or unreadable
+ */
+function readStoredList(key) {
+  try {
+    const list = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(list) ? list : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function createId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 7);
+}
+
+/**
+ * Add a flute to the collection
+ * @param {Object} flute - { key, size, tuning, nickname } with tuning as the A4 reference in Hz
+ * Returns an error message, or null when the flute was added
+ */
+function addFlute({ key, size, tuning, nickname }) {
+  const keyIndex = noteToIndex(key || '');
+  if (keyIndex === -1) return 'Choose the flute\'s key.';
+  if (FLUTE_SIZES[size] === undefined) return 'Choose base, medium or small.';
+  if (!(tuning >= TUNING_RANGE.min && tuning <= TUNING_RANGE.max)) {
+    return `Tuning reference must be between ${TUNING_RANGE.min} and ${TUNING_RANGE.max} Hz.`;
+  }
+
+  myFlutes.push({ id: createId(), key: NOTES[keyIndex], size, tuning, nickname: (nickname || '').trim() });
+  localStorage.setItem('bansuri-flutes', JSON.stringify(myFlutes));
+  return null;
+}
+
+function removeFlute(id) {
+  myFlutes = myFlutes.filter(flute => flute.id !== id);
+  localStorage.setItem('bansuri-flutes', JSON.stringify(myFlutes));
+}
+
+/**
+ * Save the measured tuning of each hole of an owned flute
+ * @param {string} id - Flute id
+ * @param {number[]} holeCents - Cents offset of each hole from the blow hole down (see getHoleIntervals)
+ * Returns an error message, or null when the tuning was saved
+ */
+function setFluteHoleCents(id, holeCents) {
+  const flute = myFlutes.find(f => f.id === id);
+  if (!flute) return 'That flute is no longer in your collection.';
+  if (!holeCents.every(cents => cents >= HOLE_CENTS_RANGE.min && cents <= HOLE_CENTS_RANGE.max)) {
+    return `Hole offsets must be between ${HOLE_CENTS_RANGE.min} and ${HOLE_CENTS_RANGE.max} cents.`;
+  }
+
+  flute.holeCents = holeCents;
+  localStorage.setItem('bansuri-flutes', JSON.stringify(myFlutes));
+  return null;
+}
+
+/**
+ * Owned flutes in the form findBestFlutes expects
+ */
+function getOwnedFlutes() {
+  return myFlutes.map(flute => ({
+    fluteName: flute.key,
+    size: flute.size,
+    nickname: flute.nickname,
+    tuning: flute.tuning,
+    holeCents: flute.holeCents || []
+  }));
+}
+
+/**
+ * Name a flute for display, e.g. 'G Flute (base, "Old Faithful")'
+ */
+function describeFlute({ fluteName, size, nickname }) {
+  const details = [];
+  if (size && size !== 'medium') details.push(size);
+  if (nickname) details.push(`"${nickname}"`);
+  return `${spellFluteName(fluteName)} Flute${details.length > 0 ? ` (${details.join(', ')})` : ''}`;
+}
+
+/**
+ * Check whether a flute plays a saved song comfortably
+ */
+function isSongCovered(song, flute) {
+  const rootIndex = getRootNoteIndex(song.flute);
+  const score = scoreFlute(flute.fluteName, parseNoteInput(song.notes, rootIndex),
+    parsePitchInput(song.notes, rootIndex), flute.size);
+  return score.inRange && score.playablePercent >= COVERED_PLAYABLE_PERCENT;
+}
+
+/**
+ * Suggest the single flute to buy next: the one that covers the most saved songs
+ * that no owned flute covers yet (ties go to the one covering more songs overall)
+ * Returns { flute, newSongs, coveredSongs } or null when no flute would add a song
+ */
+function suggestNextFlute(songs, ownedFlutes) {
+  const uncovered = songs.filter(song => !ownedFlutes.some(flute => isSongCovered(song, flute)));
+  if (uncovered.length === 0) return null;
+
+  let best = null;
+  for (const size of ['medium', 'base', 'small']) {
+    for (const fluteName of NOTES) {
+      if (ownedFlutes.some(owned => owned.fluteName === fluteName && owned.size === size)) continue;
+
+      const flute = { fluteName, size };
+      const newSongs = uncovered.filter(song => isSongCovered(song, flute));
+      if (newSongs.length === 0) continue;
+      const coveredSongs = songs.filter(song => isSongCovered(song, flute));
+
+      // Medium flutes come first in the loop, so they win ties
+      if (!best || newSongs.length > best.newSongs.length ||
+          (newSongs.length === best.newSongs.length && coveredSongs.length > best.coveredSongs.length)) {
+        best = { flute, newSongs, coveredSongs };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Render the owned flutes and the buy-next suggestion
+ */
+function renderCollection() {
+  const fluteList = document.getElementById('my-flutes-list');
+  fluteList.innerHTML = '';
+  if (myFlutes.length === 0) {
+    fluteList.innerHTML = '<li class="collection-empty">No flutes yet. Add the ones you own above.</li>';
+  }
+  for (const flute of myFlutes) {
+    const item = document.createElement('li');
+    item.className = 'collection-item';
+    item.dataset.id = flute.id;
+
+    const name = document.createElement('span');
+    name.className = 'collection-name';
+    name.textContent = describeFlute({ fluteName: flute.key, size: flute.size, nickname: flute.nickname });
+    item.appendChild(name);
+
+    const detail = document.createElement('span');
+    detail.className = 'collection-detail';
+    detail.textContent = `Sa = ${getKeyName(getRootNoteIndex(flute.key))}, ${flute.size}, A4 = ${flute.tuning} Hz` +
+      (flute.holeCents && flute.holeCents.some(Boolean) ? ', holes measured' : '');
+    item.appendChild(detail);
+
+    const tune = document.createElement('button');
+    tune.className = 'chip-btn';
+    tune.dataset.action = 'tune';
+    tune.textContent = 'Tuning';
+    tune.setAttribute('aria-label', `Measured tuning of ${name.textContent}`);
+    item.appendChild(tune);
+
+    const remove = document.createElement('button');
+    remove.className = 'chip-btn';
+    remove.dataset.action = 'remove';
+    remove.textContent = '\u2715';
+    remove.title = 'Remove flute';
+    remove.setAttribute('aria-label', `Remove ${name.textContent}`);
+    item.appendChild(remove);
+
+    if (flute.id === tuningFluteId) item.appendChild(createTuningEditor(flute));
+
+    fluteList.appendChild(item);
+  }
+
+  renderBuyNext();
+  refreshTransposeOptions();
+  refreshTuningFlutes();
+  refreshCompareFlutes();
+}
+
+/**
+ * Build the form for an owned flute's measured tuning: one cents offset per hole
+ */
+function createTuningEditor(flute) {
+  const form = document.createElement('form');
+  form.className = 'song-editor tuning-editor';
+  const rootIndex = getRootNoteIndex(flute.key);
+
+  getHoleIntervals().forEach((hole, i) => {
+    const label = document.createElement('label');
+    const swara = (hole.register < 0 ? '.' : '') + SWARA_SHORT_NAMES[hole.interval];
+    label.textContent = `${i === 0 ? 'Blow' : `Hole ${i}`} (${swara}, ${spellNote(NOTES[(rootIndex + hole.interval) % 12], rootIndex)}) cents`;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.name = `hole-${i}`;
+    input.min = HOLE_CENTS_RANGE.min;
+    input.max = HOLE_CENTS_RANGE.max;
+    input.step = '0.1';
+    input.value = (flute.holeCents || [])[i] || 0;
+    label.appendChild(input);
+    form.appendChild(label);
+  });
+
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.textContent = 'Save';
+  form.appendChild(save);
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'secondary-btn';
+  cancel.dataset.action = 'cancel';
+  cancel.textContent = 'Cancel';
+  form.appendChild(cancel);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const holeCents = getHoleIntervals().map((hole, i) => parseFloat(form.elements[`hole-${i}`].value) || 0);
+    const error = setFluteHoleCents(flute.id, holeCents);
+    setCollectionStatus(error || 'Tuning saved.', Boolean(error));
+    if (!error) {
+      tuningFluteId = null;
+      renderCollection();
+      renderTuningTable();
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Show which flute to buy next for the saved songs
+ */
+function renderBuyNext() {
+  const container = document.getElementById('buy-next');
+  container.textContent = '';
+  if (savedSongs.length === 0) {
+    container.textContent = 'Save songs in the Song Library to get a suggestion for your next flute.';
+    return;
+  }
+
+  const owned = getOwnedFlutes();
+  const suggestion = suggestNextFlute(savedSongs, owned);
+  const uncoveredCount = savedSongs.filter(song => !owned.some(flute => isSongCovered(song, flute))).length;
+
+  if (uncoveredCount === 0) {
+    container.textContent = `Your flutes already cover all ${savedSongs.length} saved songs.`;
+  } else if (!suggestion) {
+    container.textContent = `No single flute covers any of the ${uncoveredCount} songs your flutes miss.`;
+  } else {
+    const strong = document.createElement('strong');
+    strong.textContent = `Buy next: ${describeFlute(suggestion.flute)}`;
+    container.appendChild(strong);
+    container.appendChild(document.createTextNode(
+      ` covers ${suggestion.newSongs.length} of the ${uncoveredCount} saved songs your flutes miss: ` +
+      suggestion.newSongs.map(song => song.title).join(', ')
+    ));
+  }
+}
+
+/**
+ * Show a message under the collection form
+ */
+function setCollectionStatus(message, isError = false) {
+  const status = document.getElementById('collection-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Load the collection and wire up its form
+ */
+function initCollection() {
+  myFlutes = readStoredList('bansuri-flutes');
+
+  const keySelect = document.getElementById('owned-key');
+  for (const note of NOTES) {
+    const option = document.createElement('option');
+    option.value = note;
+    keySelect.appendChild(option);
+  }
+  labelFluteOptions(keySelect);
+
+  document.getElementById('add-flute-btn').addEventListener('click', () => {
+    const error = addFlute({
+      key: keySelect.value,
+      size: document.getElementById('owned-size').value,
+      tuning: parseFloat(document.getElementById('owned-tuning').value),
+      nickname: document.getElementById('owned-nickname').value
+    });
+    setCollectionStatus(error || 'Flute added.', Boolean(error));
+    if (!error) {
+      document.getElementById('owned-nickname').value = '';
+      renderCollection();
+    }
+  });
+
+  document.getElementById('my-flutes-list').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.closest('.collection-item').dataset.id;
+
+    switch (button.dataset.action) {
+      case 'tune':
+        tuningFluteId = tuningFluteId === id ? null : id;
+        break;
+      case 'cancel':
+        tuningFluteId = null;
+        break;
+      case 'remove':
+        removeFlute(id);
+        break;
+    }
+    renderCollection();
+  });
+  renderCollection();
+}
+
+// ============================================
+// TUNING
+// ============================================
+
+/**
+ * Work out the target and sounding pitch of every hole of a flute
+ * Targets are equal-tempered at the A4 reference, with just intonation (from the same Sa)
+ * for comparison.
+ * @param {string} fluteName - Flute name
+ * @param {string} size - Flute size (see FLUTE_SIZES)
+ * @param {Object} tuning - An owned flute's { a4, holeCents } (see getNoteDeviation), or null
+ * Returns [{ interval, register, midi, target, just, justCents, actual, cents }] from the blow
+ * hole down, with actual (Hz) and cents (from target) null without a tuning
+ */
+function getHoleTuning(fluteName, size = 'medium', tuning = null, reference = referenceA4) {
+  const saMidi = getFluteSaMidi(fluteName, size);
+  const saFrequency = midiToFrequency(saMidi, reference);
+
+  return getHoleIntervals().map((hole, i) => {
+    const midi = saMidi + hole.interval + 12 * hole.register;
+    const target = midiToFrequency(midi, reference);
+    const cents = tuning ? getCentsBetween(tuning.a4, reference) + ((tuning.holeCents || [])[i] || 0) : null;
+    return {
+      ...hole,
+      midi,
+      target,
+      just: getJustFrequency(saFrequency, hole.interval, hole.register),
+      justCents: getJustCents(hole.interval),
+      actual: tuning ? target * Math.pow(2, cents / 1200) : null,
+      cents
+    };
+  });
+}
+
+/**
+ * Load the A4 reference and wire up the tuning panel
+ */
+function initTuning() {
+  const input = document.getElementById('a4-reference');
+  const saved = parseFloat(localStorage.getItem('bansuri-a4'));
+  referenceA4 = saved >= TUNING_RANGE.min && saved <= TUNING_RANGE.max ? saved : DEFAULT_A4;
+  input.value = referenceA4;
+
+  input.addEventListener('change', () => {
+    const value = parseFloat(input.value);
+    if (value >= TUNING_RANGE.min && value <= TUNING_RANGE.max) {
+      referenceA4 = value;
+      localStorage.setItem('bansuri-a4', referenceA4);
+    }
+    input.value = referenceA4;
+    renderTuningTable();
+    if (displayedResultCount > 0) recommendFlutes();
+  });
+  document.getElementById('tuning-flute').addEventListener('change', renderTuningTable);
+  refreshTuningFlutes();
+}
+
+/**
+ * List the owned flutes in the visualizer's key as tuning comparisons
+ */
+function refreshTuningFlutes() {
+  const select = document.getElementById('tuning-flute');
+  const fluteName = document.getElementById('flute-select').value;
+  const current = select.value;
+  select.innerHTML = '';
+
+  const none = document.createElement('option');
+  none.value = '';
+  none.textContent = 'just intonation only';
+  select.appendChild(none);
+  for (const flute of myFlutes.filter(f => f.key === fluteName)) {
+    const option = document.createElement('option');
+    option.value = flute.id;
+    option.textContent = `${describeFlute({ fluteName: flute.key, size: flute.size, nickname: flute.nickname })}, A4 = ${flute.tuning} Hz`;
+    select.appendChild(option);
+  }
+  select.value = [...select.options].some(option => option.value === current) ? current : '';
+  renderTuningTable();
+}
+
+/**
+ * Render the visualizer's tuning table: target, just-intonation and (for an owned flute)
+ * measured pitch of every hole
+ */
+function renderTuningTable() {
+  const container = document.getElementById('tuning-table');
+  const fluteName = document.getElementById('flute-select').value;
+  const owned = myFlutes.find(f => f.id === document.getElementById('tuning-flute').value) || null;
+  const rootIndex = getRootNoteIndex(fluteName);
+  const tolerance = parseFloat(document.getElementById('cents-tolerance').value) || 0;
+  const holes = getHoleTuning(fluteName, owned ? owned.size : 'medium',
+    owned ? { a4: owned.tuning, holeCents: owned.holeCents } : null);
+
+  const table = document.createElement('table');
+  table.className = 'transpose-table tuning-table';
+  table.innerHTML = `
+    <thead><tr>
+      <th>Hole</th><th>Note</th><th>Target (A4 = ${referenceA4} Hz)</th><th>Just intonation</th>
+      ${owned ? '<th>This flute</th>' : ''}
+    </tr></thead>
+  `;
+  const body = document.createElement('tbody');
+  holes.forEach((hole, i) => {
+    const swara = (hole.register < 0 ? '.' : '') + SWARA_SHORT_NAMES[hole.interval];
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${i === 0 ? 'Blow' : i}</td>
+      <td>${escapeHtml(spellMidi(hole.midi, rootIndex))} (${swara})</td>
+      <td>${formatFrequency(hole.target)}</td>
+      <td>${formatFrequency(hole.just)} (${formatCents(hole.justCents)})</td>
+      ${owned ? `<td${tolerance && Math.abs(hole.cents) > tolerance ? ' class="range-warning"' : ''}>${formatFrequency(hole.actual)} (${formatCents(hole.cents)})</td>` : ''}
+    `;
+    body.appendChild(row);
+  });
+  table.appendChild(body);
+
+  container.innerHTML = '';
+  container.appendChild(table);
+}
+
+// ============================================
+// FLUTE MAKER
+// ============================================
+// Tube length and hole positions for the key, tuning and measurements entered,
+// with a full-size drilling template and the table to download.
+
+// Last design calculated, kept so it can be recalculated and downloaded
+let makerDesign = null;
+
+/**
+ * Read the maker's measurements from the form
+ * Returns { fluteName, options } or { error }
+ */
+function readMakerForm() {
+  const holesText = document.getElementById('maker-holes').value.trim();
+  const holes = holesText.split(/[\s,]+/).filter(Boolean).map(Number);
+  if (holes.length === 0 || holes.some(isNaN)) {
+    return { error: 'Enter the finger hole diameter in mm, or one for each hole separated by commas.' };
+  }
+  return {
+    fluteName: document.getElementById('maker-key').value,
+    options: {
+      size: document.getElementById('maker-size').value,
+      a4: parseFloat(document.getElementById('maker-a4').value),
+      bore: parseFloat(document.getElementById('maker-bore').value),
+      wall: parseFloat(document.getElementById('maker-wall').value),
+      embouchure: parseFloat(document.getElementById('maker-embouchure').value),
+      holes: holes.length === 1 ? holes[0] : holes
+    }
+  };
+}
+
+function setMakerStatus(message, isError = false) {
+  const status = document.getElementById('maker-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Calculate the flute in the form and show its dimensions
+ */
+function calculateFlute() {
+  const form = readMakerForm();
+  makerDesign = null;
+  if (!form.error) {
+    try {
+      makerDesign = calculateFluteDimensions(form.fluteName, form.options);
+    } catch (err) {
+      form.error = err.message;
+    }
+  }
+  setMakerStatus(form.error || makerDesign.warnings.join(' '), Boolean(form.error));
+  renderMakerResults();
+}
+
+function renderMakerResults() {
+  const container = document.getElementById('maker-results');
+  container.innerHTML = '';
+  if (!makerDesign) return;
+
+  const design = makerDesign;
+  const rootIndex = getRootNoteIndex(design.fluteName);
+  const mm = value => `${value.toFixed(1)} mm`;
+
+  const summary = document.createElement('p');
+  summary.className = 'flute-set-summary';
+  summary.textContent = `Cut the bore ${mm(design.length)} long from the stopper to the foot, with the centre of the ` +
+    `embouchure hole ${mm(design.embouchure.fromTop)} below the stopper. ` +
+    `With every hole closed the flute plays ${spellMidi(design.foot.midi, rootIndex)} (${formatFrequency(design.foot.frequency)}).`;
+  container.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'transpose-table maker-table';
+  table.innerHTML = `
+    <thead><tr>
+      <th>Position</th><th>Note</th><th>Frequency</th><th>Diameter</th>
+      <th>From top</th><th>From embouchure</th><th>From foot</th>
+    </tr></thead>
+  `;
+  const body = document.createElement('tbody');
+  const rows = [
+    { name: 'Embouchure', diameter: design.embouchure.diameter, fromTop: design.embouchure.fromTop, fromEmbouchure: 0, fromFoot: design.length - design.embouchure.fromTop },
+    ...design.holes.map(hole => ({ name: `Hole ${hole.number}`, ...hole })),
+    { name: 'Foot', diameter: design.bore, ...design.foot }
+  ];
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    const note = row.midi === undefined ? '' :
+      `${escapeHtml(spellMidi(row.midi, rootIndex))} (${row.register < 0 ? '.' : ''}${SWARA_SHORT_NAMES[row.interval]})`;
+    tr.innerHTML = `
+      <td>${row.name}</td>
+      <td>${note}</td>
+      <td>${row.frequency ? formatFrequency(row.frequency) : ''}</td>
+      <td>${mm(row.diameter)}</td>
+      <td>${mm(row.fromTop)}</td>
+      <td>${mm(row.fromEmbouchure)}</td>
+      <td>${mm(row.fromFoot)}</td>
+    `;
+    body.appendChild(tr);
+  }
+  table.appendChild(body);
+  container.appendChild(table);
+
+  const template = document.createElement('div');
+  template.className = 'maker-template';
+  template.innerHTML = buildMakerTemplateSvg(design);
+  container.appendChild(template);
+
+  const stem = `bansuri-${design.fluteName.toLowerCase().replace('#', '-sharp')}${design.size === 'medium' ? '' : `-${design.size}`}`;
+  const toolbar = document.createElement('div');
+  toolbar.className = 'library-toolbar';
+  const pages = buildMakerTemplatePages(design);
+  const downloads = [
+    {
+      label: 'Download Template (PDF)',
+      filename: `${stem}-template.pdf`,
+      detail: pages.length > 1 ? ` (${pages.length} A4 pages)` : '',
+      build: () => renderExport(pages, 'pdf')
+    },
+    {
+      label: 'Download Template (SVG)',
+      filename: `${stem}-template.svg`,
+      detail: '',
+      build: () => new Blob([buildMakerTemplateSvg(design)], { type: 'image/svg+xml' })
+    },
+    {
+      label: 'Download Table (CSV)',
+      filename: `${stem}-dimensions.csv`,
+      detail: '',
+      build: () => new Blob([buildMakerCsv(design)], { type: 'text/csv' })
+    }
+  ];
+  for (const download of downloads) {
+    const button = document.createElement('button');
+    button.className = 'secondary-btn';
+    button.textContent = download.label;
+    button.addEventListener('click', async () => {
+      button.disabled = true;
+      try {
+        downloadBlob(await download.build(), download.filename);
+        setMakerStatus(`Saved ${download.filename}${download.detail}.`);
+      } catch (err) {
+        setMakerStatus(err.message, true);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    toolbar.appendChild(button);
+  }
+  container.appendChild(toolbar);
+}
+
+/**
+ * Recalculate a shown design after the flute design or note spelling changes
+ */
+function rerenderMaker() {
+  if (makerDesign) calculateFlute();
+}
+
+function initMaker() {
+  const keySelect = document.getElementById('maker-key');
+  for (const note of NOTES) {
+    const option = document.createElement('option');
+    option.value = note;
+    keySelect.appendChild(option);
+  }
+  keySelect.value = 'E';
+  labelFluteOptions(keySelect);
+  document.getElementById('maker-btn').addEventListener('click', calculateFlute);
+}
+
+// ============================================
+// SONG LIBRARY
+// ============================================
+
+// Export file identification; bump the version when the song format changes
+const SONG_LIBRARY_FORMAT = 'bansuri-song-library';
+const SONG_LIBRARY_VERSION = 1;
+
+let savedSongs = [];
+let editingSongId = null;
+
+/**
+ * Split a comma-separated tag string into trimmed, unique tags
+ */
+function parseTags(text) {
+  const tags = [];
+  for (const tag of text.split(',').map(t => t.trim()).filter(Boolean)) {
+    if (!tags.includes(tag)) tags.push(tag);
+  }
+  return tags;
+}
+
+/**
+ * Check a song's fields and bring them into the stored shape
+ * Returns { song } or { error }
+ */
+function normalizeSong(fields) {
+  const title = typeof fields.title === 'string' ? fields.title.trim() : '';
+  const notes = typeof fields.notes === 'string' ? fields.notes.trim() : '';
+  const flute = typeof fields.flute === 'string' && noteToIndex(fields.flute) !== -1
+    ? NOTES[noteToIndex(fields.flute)]
+    : null;
+
+  if (!title) return { error: 'Give the song a title.' };
+  if (!flute) return { error: `"${title}" has no valid flute.` };
+  if (parseNoteInput(notes, getRootNoteIndex(flute)).length === 0) return { error: `"${title}" has no notes.` };
+
+  const tags = Array.isArray(fields.tags) ? parseTags(fields.tags.filter(t => typeof t === 'string').join(',')) : [];
+  return { song: { title, tags, notes, flute } };
+}
+
+function storeSongs() {
+  localStorage.setItem('bansuri-songs', JSON.stringify(savedSongs));
+}
+
+/**
+ * Save a new song
+ * Sargam in the notes is read with Sa on the song's flute
+ * Returns an error message, or null when the song was saved
+ */
+function saveSong(fields) {
+  const { song, error } = normalizeSong(fields);
+  if (error) return error;
+
+  const now = new Date().toISOString();
+  savedSongs.push({ id: createId(), ...song, created: now, updated: now });
+  storeSongs();
+  return null;
+}
+
+/**
+ * Replace a saved song's title, tags, notes and flute
+ * Returns an error message, or null when the song was updated
+ */
+function updateSong(id, fields) {
+  const index = savedSongs.findIndex(s => s.id === id);
+  if (index === -1) return 'That song no longer exists.';
+  const { song, error } = normalizeSong(fields);
+  if (error) return error;
+
+  savedSongs[index] = { ...savedSongs[index], ...song, updated: new Date().toISOString() };
+  storeSongs();
+  return null;
+}
+
+/**
+ * Copy a saved song, placed right after the original
+ */
+function duplicateSong(id) {
+  const index = savedSongs.findIndex(s => s.id === id);
+  if (index === -1) return;
+
+  const now = new Date().toISOString();
+  const copy = { ...savedSongs[index], id: createId(), title: `${savedSongs[index].title} (copy)`, created: now, updated: now };
+  savedSongs.splice(index + 1, 0, copy);
+  storeSongs();
+}
+
+function removeSong(id) {
+  savedSongs = savedSongs.filter(song => song.id !== id);
+  storeSongs();
+}
+
+/**
+ * Find saved songs whose title, tags or notes contain every word of the query
+ */
+function searchSongs(query) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return savedSongs.filter(song => {
+    const text = [song.title, song.notes, ...song.tags].join(' ').toLowerCase();
+    return words.every(word => text.includes(word));
+  });
+}
+
+/**
+ * Serialize the whole library as a versioned JSON document
+ */
+function exportSongLibrary() {
+  return JSON.stringify({
+    format: SONG_LIBRARY_FORMAT,
+    version: SONG_LIBRARY_VERSION,
+    exported: new Date().toISOString(),
+    songs: savedSongs.map(({ title, tags, notes, flute, created, updated }) => ({ title, tags, notes, flute, created, updated }))
+  }, null, 2);
+}
+
+/**
+ * Add the songs from an exported library
+ * Songs already in the library (same title, notes and flute) are skipped
+ * Throws an Error when the file is not a song library this version can read
+ * Returns { added, skipped, errors }
+ */
+function importSongLibrary(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('This file is not valid JSON.');
+  }
+  if (!data || data.format !== SONG_LIBRARY_FORMAT || !Array.isArray(data.songs)) {
+    throw new Error('This file is not a Bansuri song library.');
+  }
+  if (!Number.isInteger(data.version) || data.version > SONG_LIBRARY_VERSION) {
+    throw new Error(`This library was saved by a newer version (${data.version}) of the app.`);
+  }
+
+  let added = 0;
+  let skipped = 0;
+  const errors = [];
+  data.songs.forEach((fields, i) => {
+    const { song, error } = normalizeSong(fields || {});
+    if (error) {
+      errors.push(`Song ${i + 1}: ${error}`);
+      return;
+    }
+    if (savedSongs.some(s => s.title === song.title && s.notes === song.notes && s.flute === song.flute)) {
+      skipped++;
+      return;
+    }
+
+    const now = new Date().toISOString();
+    savedSongs.push({
+      id: createId(),
+      ...song,
+      created: typeof fields.created === 'string' ? fields.created : now,
+      updated: typeof fields.updated === 'string' ? fields.updated : now
+    });
+    added++;
+  });
+
+  storeSongs();
+  return { added, skipped, errors };
+}
+
+/**
+ * Open a saved song in the finder or the visualizer
+ * The song's flute is selected too, since sargam notes are read relative to it
+ */
+function openSong(id, target) {
+  const song = savedSongs.find(s => s.id === id);
+  if (!song) return;
+
+  document.getElementById('flute-select').value = song.flute;
+  if (target === 'finder') {
+    document.getElementById('finder-notes').value = song.notes;
+    updateVisualizer();
+    recommendFlutes();
+    document.getElementById('finder-section').scrollIntoView({ behavior: 'smooth' });
+  } else {
+    document.getElementById('visualizer-notes').value = song.notes;
+    updateVisualizer();
+    document.getElementById('visualizer-section').scrollIntoView({ behavior: 'smooth' });
+  }
+}
+
+/**
+ * Build the inline form used to edit a song
+ */
+function createSongEditor(song) {
+  const form = document.createElement('form');
+  form.className = 'song-editor';
+
+  const fields = [
+    ['title', 'Title', song.title],
+    ['tags', 'Tags (comma separated)', song.tags.join(', ')],
+    ['notes', 'Notes', song.notes]
+  ];
+  for (const [name, text, value] of fields) {
+    const label = document.createElement('label');
+    label.textContent = text;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.name = name;
+    input.value = value;
+    label.appendChild(input);
+    form.appendChild(label);
+  }
+
+  const fluteLabel = document.createElement('label');
+  fluteLabel.textContent = 'Flute';
+  const fluteSelect = document.createElement('select');
+  fluteSelect.name = 'flute';
+  for (const note of NOTES) {
+    const option = document.createElement('option');
+    option.value = note;
+    fluteSelect.appendChild(option);
+  }
+  labelFluteOptions(fluteSelect);
+  fluteSelect.value = song.flute;
+  fluteLabel.appendChild(fluteSelect);
+  form.appendChild(fluteLabel);
+
+  const save = document.createElement('button');
+  save.type = 'submit';
+  save.textContent = 'Save';
+  form.appendChild(save);
+
+  const cancel = document.createElement('button');
+  cancel.type = 'button';
+  cancel.className = 'secondary-btn';
+  cancel.dataset.action = 'cancel';
+  cancel.textContent = 'Cancel';
+  form.appendChild(cancel);
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const error = updateSong(song.id, {
+      title: form.elements.title.value,
+      tags: parseTags(form.elements.tags.value),
+      notes: form.elements.notes.value,
+      flute: form.elements.flute.value
+    });
+    setSongStatus(error || 'Song updated.', Boolean(error));
+    if (!error) {
+      editingSongId = null;
+      renderSongLibrary();
+    }
+  });
+
+  return form;
+}
+
+/**
+ * Render the saved songs matching the search box
+ */
+function renderSongLibrary() {
+  const list = document.getElementById('song-list');
+  const query = document.getElementById('song-search').value;
+  const songs = searchSongs(query);
+  list.innerHTML = '';
+
+  if (songs.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'collection-empty';
+    empty.textContent = savedSongs.length === 0 ? 'No saved songs yet.' : 'No songs match your search.';
+    list.appendChild(empty);
+  }
+
+  for (const song of songs) {
+    const item = document.createElement('li');
+    item.className = 'collection-item song-item';
+    item.dataset.id = song.id;
+
+    if (song.id === editingSongId) {
+      item.appendChild(createSongEditor(song));
+      list.appendChild(item);
+      continue;
+    }
+
+    const name = document.createElement('span');
+    name.className = 'collection-name';
+    name.textContent = song.title;
+    item.appendChild(name);
+
+    for (const tag of song.tags) {
+      const chip = document.createElement('span');
+      chip.className = 'song-tag';
+      chip.textContent = tag;
+      item.appendChild(chip);
+    }
+
+    const detail = document.createElement('span');
+    detail.className = 'collection-detail';
+    detail.textContent = `${spellFluteName(song.flute)} Flute: ${song.notes}`;
+    item.appendChild(detail);
+
+    for (const [action, text] of [
+      ['finder', 'Find Flute'],
+      ['visualizer', 'Visualize'],
+      ['edit', 'Edit'],
+      ['duplicate', 'Duplicate'],
+      ['delete', 'Delete']
+    ]) {
+      const button = document.createElement('button');
+      button.className = 'chip-btn';
+      button.dataset.action = action;
+      button.textContent = text;
+      button.setAttribute('aria-label', `${text}: ${song.title}`);
+      item.appendChild(button);
+    }
+
+    list.appendChild(item);
+  }
+
+  document.getElementById('song-count').textContent =
+    `${savedSongs.length} ${savedSongs.length === 1 ? 'song' : 'songs'}`;
+  renderBuyNext();
+  refreshPracticeSources();
+}
+
+/**
+ * Show a message in the song library
+ */
+function setSongStatus(message, isError = false) {
+  const status = document.getElementById('song-status');
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
+/**
+ * Load the song library and wire up its controls
+ */
+function initSongLibrary() {
+  savedSongs = readStoredList('bansuri-songs').map(song => ({ tags: [], ...song }));
+
+  document.getElementById('save-song-btn').addEventListener('click', () => {
+    const source = document.getElementById('song-source').value;
+    const titleInput = document.getElementById('song-title');
+    const tagsInput = document.getElementById('song-tags');
+    const error = saveSong({
+      title: titleInput.value,
+      tags: parseTags(tagsInput.value),
+      notes: document.getElementById(source).value,
+      flute: document.getElementById('flute-select').value
+    });
+    setSongStatus(error || 'Song saved.', Boolean(error));
+    if (!error) {
+      titleInput.value = '';
+      tagsInput.value = '';
+      renderSongLibrary();
+    }
+  });
+
+  document.getElementById('song-search').addEventListener('input', debounce(renderSongLibrary, 200));
+
+  document.getElementById('song-list').addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-action]');
+    if (!button) return;
+    const id = button.closest('.song-item').dataset.id;
+    const song = savedSongs.find(s => s.id === id);
+
+    switch (button.dataset.action) {
+      case 'finder':
+      case 'visualizer':
+        openSong(id, button.dataset.action);
+        return;
+      case 'edit':
+        editingSongId = id;
+        break;
+      case 'cancel':
+        editingSongId = null;
+        break;
+      case 'duplicate':
+        duplicateSong(id);
+        setSongStatus(`Duplicated "${song.title}".`);
+        break;
+      case 'delete':
+        if (!window.confirm(`Delete "${song.title}"?`)) return;
+        removeSong(id);
+        setSongStatus(`Deleted "${song.title}".`);
+        break;
+    }
+    renderSongLibrary();
+  });
+
+  document.getElementById('export-songs-btn').addEventListener('click', () => {
+    const blob = new Blob([exportSongLibrary()], { type: 'application/json' });
+    downloadBlob(blob, `bansuri-songs-${new Date().toISOString().slice(0, 10)}.json`);
+  });
+
+  const importInput = document.getElementById('import-songs-file');
+  importInput.addEventListener('change', async () => {
+    const file = importInput.files[0];
+    importInput.value = '';
+    if (!file) return;
+    try {
+      const { added, skipped, errors } = importSongLibrary(await file.text());
+      const parts = [`Imported ${added} ${added === 1 ? 'song' : 'songs'}`];
+      if (skipped > 0) parts.push(`${skipped} already in the library`);
+      if (errors.length > 0) parts.push(`${errors.length} skipped: ${errors.join(' ')}`);
+      setSongStatus(parts.join('; ') + '.', errors.length > 0);
+    } catch (err) {
+      setSongStatus(err.message, true);
+    }
+    renderSongLibrary();
+  });
+
+  renderSongLibrary();
+}
+
+// ============================================
+// FLUTE DESIGN
+// ============================================
+
+function initFluteProfiles() {
+  const select = document.getElementById('profile-select');
+  for (const profile of FLUTE_PROFILES) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    select.appendChild(option);
+  }
+
+  activeProfile = getFluteProfile(localStorage.getItem('bansuri-profile')) || FLUTE_PROFILES[0];
+  select.value = activeProfile.id;
+}
+
+/**
+ * Switch flute design and redraw everything that depends on where Sa sits and how notes are fingered
+ */
+function setFluteProfile(id) {
+  activeProfile = getFluteProfile(id) || FLUTE_PROFILES[0];
+  updateVisualizer();
+
+  const shown = displayedResultCount;
+  if (shown > 0) {
+    recommendFlutes();
+    while (displayedResultCount < shown && displayedResultCount < finderResults.length) {
+      addNextResult();
+    }
+  }
+
+  refreshForProfile();
+}
+
+/**
+ * Remember the active flute design and redraw the views outside the visualizer and finder
+ * that depend on it: the flute set, My Flutes, the song library, the comparison, the
+ * maker and the transposition
+ */
+function refreshForProfile() {
+  localStorage.setItem('bansuri-profile', activeProfile.id);
+  if (fluteSetView) findFluteSet();
+  renderCollection();
+  renderSongLibrary();
+  rerenderComparison();
+  rerenderMaker();
+  if (transposeResults.length > 0) runTransposition();
+}
+
+// ============================================
+// NOTATION
+// ============================================
+
+const NOTATION_MODES = ['western', 'sargam', 'both'];
+let notationMode = 'both';
+
+// Choices for accidentalPreference (see theory.js)
+const ACCIDENTAL_PREFERENCES = ['sharps', 'flats'];
+
+/**
+ * Get the Sa of the flute selected in the visualizer (used to read sargam input)
+ */
+function getSelectedRootIndex() {
+  return getRootNoteIndex(document.getElementById('flute-select').value);
+}
+
+/**
+ * Format a note for display in the given notation, with Sa at rootIndex
+ * e.g. "F♯", "Re" or "F♯ (Re)". Western names are spelled in the key of Sa unless
+ * spellings (see getInputSpellings) says how the user wrote the note.
+ */
+function formatNote(note, rootIndex, mode = notationMode, spellings = {}) {
+  const swara = SWARA_NAMES[(noteToIndex(note) - rootIndex + 12) % 12];
+  const name = spellings[note] || spellNote(note, rootIndex);
+  if (mode === 'western') return name;
+  if (mode === 'sargam') return swara;
+  return `${name} (${swara})`;
+}
+
+/**
+ * Format a list of notes for display, joined by separator
+ */
+function formatNotes(notes, rootIndex, separator, mode = notationMode, spellings = {}) {
+  return notes.map(note => formatNote(note, rootIndex, mode, spellings)).join(separator);
+}
+
+function initNotation() {
+  const saved = localStorage.getItem('bansuri-notation');
+  notationMode = NOTATION_MODES.includes(saved) ? saved : 'both';
+  document.getElementById('notation-select').value = notationMode;
+}
+
+function setNotation(mode) {
+  notationMode = NOTATION_MODES.includes(mode) ? mode : 'both';
+  localStorage.setItem('bansuri-notation', notationMode);
+  updateVisualizer();
+  rerenderFinderResults();
+  rerenderFluteSet();
+  rerenderComparison();
+}
+
+/**
+ * Name the options of a flute select (values are flute names from NOTES) in the current preference
+ */
+function labelFluteOptions(select) {
+  for (const option of select.options) {
+    if (NOTES.includes(option.value)) option.textContent = `${spellFluteName(option.value)} Flute`;
+  }
+}
+
+function initAccidentals() {
+  const saved = localStorage.getItem('bansuri-accidentals');
+  accidentalPreference = ACCIDENTAL_PREFERENCES.includes(saved) ? saved : 'sharps';
+  document.getElementById('accidental-select').value = accidentalPreference;
+  labelFluteOptions(document.getElementById('flute-select'));
+}
+
+/**
+ * Switch between sharp and flat flute names and redraw everything that shows them
+ */
+function setAccidentalPreference(preference) {
+  accidentalPreference = ACCIDENTAL_PREFERENCES.includes(preference) ? preference : 'sharps';
+  localStorage.setItem('bansuri-accidentals', accidentalPreference);
+  labelFluteOptions(document.getElementById('flute-select'));
+  labelFluteOptions(document.getElementById('owned-key'));
+  labelFluteOptions(document.getElementById('maker-key'));
+  document.querySelectorAll('.song-editor select[name="flute"]').forEach(labelFluteOptions);
+  renderCollection();
+  renderSongLibrary();
+  updateVisualizer();
+  rerenderFinderResults();
+  rerenderFluteSet();
+  rerenderComparison();
+  rerenderMaker();
+  if (transposeResults.length > 0) runTransposition();
+}
+
+// ============================================
+// URL STATE
+// ============================================
+// The view is mirrored in the URL hash (e.g. #flute=G&notes=C+D+E&results=2) so it can be
+// shared, and each change is a history entry so back/forward step through earlier views.
+
+const DEFAULT_APP_STATE = {
+  flute: 'A',
+  notes: '',
+  find: '',
+  results: 0,
+  notation: 'both',
+  design: FLUTE_PROFILES[0].id,
+  raga: '',
+  sa: 0,
+  match: 'scale'
+};
+
+let restoringState = false;
+let urlSyncPending = false;
+
+/**
+ * Read the current view from the page
+ */
+function readAppState() {
+  return {
+    flute: document.getElementById('flute-select').value,
+    notes: document.getElementById('visualizer-notes').value,
+    find: document.getElementById('finder-notes').value,
+    results: displayedResultCount,
+    notation: notationMode,
+    design: activeProfile.id,
+    raga: document.getElementById('raga-select').value,
+    sa: parseInt(document.getElementById('sa-placement').value, 10),
+    match: document.getElementById('match-mode').value
+  };
+}
+
+/**
+ * Serialize a view as a URL hash, leaving out empty notes and default options
+ */
+function serializeAppState(state) {
+  const params = new URLSearchParams();
+  params.set('flute', state.flute);
+  if (state.notes.trim()) params.set('notes', state.notes);
+  if (state.find.trim()) params.set('find', state.find);
+  if (state.results > 0) params.set('results', state.results);
+  params.set('notation', state.notation);
+  params.set('design', state.design);
+  if (state.raga) {
+    params.set('raga', state.raga);
+    if (state.sa !== 0) params.set('sa', state.sa);
+  }
+  if (state.match !== DEFAULT_APP_STATE.match) params.set('match', state.match);
+  return `#${params.toString()}`;
+}
+
+/**
+ * Parse a URL hash into a view
+ * Missing parameters take their defaults; invalid ones do too, with a warning
+ * Returns { state, warnings }
+ */
+function parseAppState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const state = { ...DEFAULT_APP_STATE };
+  const warnings = [];
+
+  // The design decides where Sa sits, so read it before any notes
+  if (params.has('design')) {
+    if (getFluteProfile(params.get('design'))) {
+      state.design = params.get('design');
+    } else {
+      state.design = activeProfile.id;
+      warnings.push(`Unknown flute design "${params.get('design')}"; showing the ${activeProfile.name} design.`);
+    }
+  } else {
+    state.design = activeProfile.id;
+  }
+
+  if (params.has('flute')) {
+    const index = noteToIndex(params.get('flute'));
+    if (index === -1) {
+      warnings.push(`Unknown flute "${params.get('flute')}"; showing the ${state.flute} flute.`);
+    } else {
+      state.flute = NOTES[index];
+    }
+  }
+
+  for (const key of ['notes', 'find']) {
+    if (!params.has(key)) continue;
+    state[key] = params.get(key);
+    if (state[key].trim() && parseNoteInput(state[key], getRootNoteIndex(state.flute, getFluteProfile(state.design))).length === 0) {
+      warnings.push(`No notes recognized in "${state[key]}".`);
+    }
+  }
+
+  if (params.has('results')) {
+    const results = Number(params.get('results'));
+    if (!Number.isInteger(results) || results < 0) {
+      state.results = state.find.trim() ? 1 : 0;
+      warnings.push(`Invalid result count "${params.get('results')}"; showing ${state.results}.`);
+    } else {
+      state.results = results;
+    }
+  } else if (state.find.trim()) {
+    state.results = 1;
+  }
+
+  if (params.has('notation')) {
+    if (NOTATION_MODES.includes(params.get('notation'))) {
+      state.notation = params.get('notation');
+    } else {
+      warnings.push(`Unknown notation "${params.get('notation')}"; showing ${state.notation}.`);
+    }
+  } else {
+    state.notation = notationMode;
+  }
+
+  if (params.has('raga')) {
+    if (getRagaMode(params.get('raga'))) {
+      state.raga = params.get('raga');
+    } else {
+      warnings.push(`Unknown raga or thaat "${params.get('raga')}"; showing the major scale.`);
+    }
+  }
+
+  if (params.has('sa')) {
+    const sa = Number(params.get('sa'));
+    if (SA_PLACEMENTS.some(p => p.interval === sa)) {
+      state.sa = sa;
+    } else {
+      warnings.push(`Invalid Sa placement "${params.get('sa')}"; Sa is on the flute's Sa.`);
+    }
+  }
+
+  if (params.has('match')) {
+    if (['scale', 'raga'].includes(params.get('match'))) {
+      state.match = params.get('match');
+    } else {
+      warnings.push(`Unknown match mode "${params.get('match')}"; matching the major scale.`);
+    }
+  }
+
+  return { state, warnings };
+}
+
+/**
+ * Put the page into a view: inputs, notation, visualizer and finder results
+ */
+function applyAppState(state) {
+  restoringState = true;
+
+  document.getElementById('flute-select').value = state.flute;
+  document.getElementById('visualizer-notes').value = state.notes;
+  document.getElementById('finder-notes').value = state.find;
+  document.getElementById('raga-select').value = state.raga;
+  document.getElementById('sa-placement').value = state.sa;
+  document.getElementById('match-mode').value = state.match;
+  notationMode = state.notation;
+  document.getElementById('notation-select').value = state.notation;
+  const designChanged = state.design !== activeProfile.id;
+  activeProfile = getFluteProfile(state.design);
+  document.getElementById('profile-select').value = state.design;
+
+  updateVisualizer();
+
+  if (state.find.trim() && state.results > 0) {
+    recommendFlutes();
+    while (displayedResultCount < state.results && displayedResultCount < finderResults.length) {
+      addNextResult();
+    }
+  } else {
+    finderResults = [];
+    displayedResultCount = 0;
+    document.getElementById('finder-results').innerHTML = '';
+    document.getElementById('add-next-btn').style.display = 'none';
+  }
+
+  if (designChanged) refreshForProfile();
+
+  restoringState = false;
+}
+
+/**
+ * Show or clear the warning about a link that could not be fully restored
+ */
+function showUrlWarnings(warnings) {
+  const banner = document.getElementById('url-warning');
+  banner.hidden = warnings.length === 0;
+  banner.querySelector('.url-warning-text').textContent =
+    warnings.length > 0 ? `Some of this link could not be used: ${warnings.join(' ')}` : '';
+}
+
+/**
+ * Write the current view to the URL, as a new history entry unless replace is set
+ */
+function syncUrl(replace = false) {
+  if (restoringState) return;
+  const hash = serializeAppState(readAppState());
+  if (hash === location.hash) return;
+  if (replace) {
+    history.replaceState(null, '', hash);
+  } else {
+    history.pushState(null, '', hash);
+  }
+}
+
+/**
+ * Sync the URL once the current change has finished
+ * (one action can update the visualizer and the finder; it should make one history entry)
+ */
+function scheduleUrlSync() {
+  if (restoringState || urlSyncPending) return;
+  urlSyncPending = true;
+  setTimeout(() => {
+    urlSyncPending = false;
+    syncUrl();
+  }, 0);
+}
+
+/**
+ * Restore the view from the URL hash (page load, back/forward, edited link)
+ */
+function restoreFromUrl() {
+  if (!location.hash || location.hash === '#') return;
+  const { state, warnings } = parseAppState(location.hash);
+  applyAppState(state);
+  showUrlWarnings(warnings);
+  syncUrl(true);
+}
+
+function initUrlState() {
+  restoreFromUrl();
+  syncUrl(true);
+
+  window.addEventListener('popstate', restoreFromUrl);
+  document.getElementById('url-warning-dismiss').addEventListener('click', () => showUrlWarnings([]));
+  document.getElementById('copy-link-btn').addEventListener('click', async (e) => {
+    const button = e.currentTarget;
+    syncUrl(true);
+    try {
+      await navigator.clipboard.writeText(location.href);
+      button.textContent = 'Link Copied';
+    } catch (err) {
+      button.textContent = 'Copy from the address bar';
+    }
+    setTimeout(() => { button.textContent = 'Copy Link'; }, 2000);
+  });
+}
+
+// ============================================
+// OFFLINE AND UPDATES
+// ============================================
+// sw.js precaches the app so it runs with no connection. A new version waits
+// until the user chooses to reload, so a page in use is never swapped mid-song.
+
+let waitingWorker = null;
+
+/**
+ * Show the update prompt for a service worker that has installed and is waiting
+ */
+function showUpdatePrompt(worker) {
+  waitingWorker = worker;
+  document.getElementById('update-banner').hidden = false;
+}
+
+function initServiceWorker() {
+  // Service workers need http(s); opening index.html from disk still works, just not offline
+  if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+  // Reload once the accepted worker has taken over, so every file comes from the new cache.
+  // A first install also takes control, but there is nothing to reload for then.
+  let updateAccepted = false;
+  document.getElementById('update-reload-btn').addEventListener('click', () => {
+    if (!waitingWorker) return;
+    updateAccepted = true;
+    waitingWorker.postMessage({ type: 'skip-waiting' });
+  });
+  document.getElementById('update-dismiss-btn').addEventListener('click', () => {
+    document.getElementById('update-banner').hidden = true;
+  });
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (updateAccepted) location.reload();
+  });
+
+  navigator.serviceWorker.register('sw.js').then(registration => {
+    // A waiting worker alongside an active one is an update from an earlier visit
+    if (registration.waiting && registration.active) showUpdatePrompt(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && registration.active) showUpdatePrompt(worker);
+      });
+    });
+  }).catch(() => {
+    // Without a worker the app still runs online
+  });
+}
+
+// ============================================
+// THEME MANAGEMENT
+// ============================================
+
+function initTheme() {
+  const saved = localStorage.getItem('bansuri-theme') || 'light';
+  document.documentElement.setAttribute('data-theme', saved);
+}
+
+function toggleTheme() {
+  const current = document.documentElement.getAttribute('data-theme');
+  const next = current === 'dark' ? 'light' : 'dark';
+  document.documentElement.setAttribute('data-theme', next);
+  localStorage.setItem('bansuri-theme', next);
+}
+
+// ============================================
+// EVENT LISTENERS & INITIALIZATION
+// ============================================
+
+// Debounce helper
+function debounce(func, wait) {
+  let timeout;
+  return function executedFunction(...args) {
+    const later = () => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+// Initialize on DOM ready
+document.addEventListener('DOMContentLoaded', () => {
+  // Initialize theme
+  initTheme();
+
+  // Theme toggle
+  document.getElementById('theme-toggle').addEventListener('click', toggleTheme);
+
+  // Notation toggle
+  initNotation();
+  document.getElementById('notation-select').addEventListener('change', (e) => setNotation(e.target.value));
+  initAccidentals();
+  document.getElementById('accidental-select').addEventListener('change', (e) => setAccidentalPreference(e.target.value));
+  initFluteProfiles();
+  document.getElementById('profile-select').addEventListener('change', (e) => setFluteProfile(e.target.value));
+
+  // Visualizer controls
+  document.getElementById('flute-select').addEventListener('change', updateVisualizer);
   document.getElementById('visualizer-notes').addEventListener('input', debounce(updateVisualizer, 300));
+  initRagaSelect();
+  document.getElementById('raga-select').addEventListener('change', updateVisualizer);
+  document.getElementById('sa-placement').addEventListener('change', updateVisualizer);
 
   // Finder controls
   document.getElementById('recommend-btn').addEventListener('click', recommendFlutes);
-  document.getElementById('add-next-btn').addEventListener('click', () => addNextResult());
+  document.getElementById('flute-set-btn').addEventListener('click', findFluteSet);
+  document.getElementById('add-next-btn').addEventListener('click', () => {
+    showNextResult();
+    scheduleUrlSync();
+  });
+
+  // Playback
+  document.getElementById('visualizer-play').addEventListener('click', (e) => {
+    const fluteName = document.getElementById('flute-select').value;
+    const pitches = parsePitchInput(document.getElementById('visualizer-notes').value, getRootNoteIndex(fluteName));
+    togglePlayback(e.currentTarget, fluteName, pitches, document.getElementById('visualizer-flute'), getSelectedRaga());
+  });
+  document.getElementById('play-tempo').addEventListener('input', (e) => {
+    document.getElementById('play-tempo-value').textContent = e.target.value;
+  });
+
+  // Diagram export
+  document.querySelectorAll('.export-btn').forEach(button => {
+    button.addEventListener('click', () => exportDiagram(button.dataset.format));
+  });
+
+  // Melody file import
+  initFileButtons();
+  setupFileImport('visualizer-drop', 'visualizer-notes', updateVisualizer);
+  setupFileImport('finder-drop', 'finder-notes', recommendFlutes);
+
+  // Recording analysis
+  const recordingInput = document.getElementById('recording-file');
+  recordingInput.addEventListener('change', () => {
+    analyzeRecording(recordingInput.files[0]);
+    recordingInput.value = '';
+  });
+  document.getElementById('recording-notes').addEventListener('click', (e) => {
+    const button = e.target.closest('.chip-btn');
+    if (!button) return;
+    editDetectedNote(parseInt(button.closest('.detected-note').dataset.index, 10), button.dataset.action);
+  });
+  document.getElementById('recording-use-btn').addEventListener('click', useDetectedNotes);
+
+  // Re-rank when switching between unique-note and melody-weighted scoring, or scale and raga matching
+  document.getElementById('sequence-mode').addEventListener('change', () => {
+    if (displayedResultCount > 0) recommendFlutes();
+  });
+  document.getElementById('match-mode').addEventListener('change', () => {
+    if (displayedResultCount > 0) recommendFlutes();
+  });
+  document.getElementById('owned-only').addEventListener('change', () => {
+    if (displayedResultCount > 0) recommendFlutes();
+  });
+  document.getElementById('cents-tolerance').addEventListener('change', () => {
+    renderTuningTable();
+    if (displayedResultCount > 0) recommendFlutes();
+    rerenderComparison();
+  });
+
+  // Flute collection and song library
+  initSongLibrary();
+  initTransposition();
+  initCollection();
+  initTuning();
+  initFingeringExplorer();
+  initPractice();
+  initComparison();
+  initMaker();
 
   // Handle Enter key on finder input
   document.getElementById('finder-notes').addEventListener('keypress', (e) => {
@@ -614,20 +4082,17 @@ document.addEventListener('DOMContentLoaded', () => {
   const debouncedRerender = debounce(() => {
     updateVisualizer();
     // Re-render finder results if any
-    if (displayedResultCount > 0) {
-      const inputNotes = parseNoteInput(document.getElementById('finder-notes').value);
-      const resultsContainer = document.getElementById('finder-results');
-      resultsContainer.innerHTML = '';
-      const tempCount = displayedResultCount;
-      displayedResultCount = 0;
-      for (let i = 0; i < tempCount; i++) {
-        addNextResult(inputNotes);
-      }
-    }
+    rerenderFinderResults();
+    rerenderFluteSet();
+    rerenderComparison();
+    const selected = document.querySelector('.transpose-table tr.selected');
+    if (selected) showTransposition(parseInt(selected.dataset.index, 10));
   }, 250);
 
   window.addEventListener('resize', debouncedRerender);
 
-  // Initial render
+  // Initial render, then restore any view given in the URL
   updateVisualizer();
+  initUrlState();
+  initServiceWorker();
 });
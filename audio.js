@@ -0,0 +1,217 @@
+// ============================================
+// FLUTE SYNTHESIS (WEB AUDIO)
+// ============================================
+// A breathy flute-like tone built from oscillators plus filtered noise,
+// no samples. Notes are scheduled ahead on the audio clock; UI callbacks
+// are fired with timers lined up to the same clock.
+
+const SYNTH = {
+  attack: 0.06,          // seconds to reach full volume
+  release: 0.08,         // seconds to fade out at the end of a note
+  volume: 0.25,          // peak gain of the tone
+  breath: 0.06,          // peak gain of the breath noise
+  vibratoRate: 5,        // Hz
+  vibratoDepth: 0.004,   // fraction of the frequency
+  droneVolume: 0.08
+};
+
+// Harmonic mix for the tone: [multiple of the fundamental, relative gain]
+const FLUTE_HARMONICS = [[1, 1], [2, 0.18], [3, 0.07]];
+
+let audioContext = null;
+let noiseBuffer = null;
+let currentPlayback = null;
+
+/**
+ * Get the shared audio context, creating it on first use
+ * (browsers only allow this after a user gesture)
+ */
+function getAudioContext() {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) throw new Error('Audio playback is not supported in this browser.');
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+}
+
+/**
+ * Get a two-second buffer of white noise for the breath sound
+ */
+function getNoiseBuffer(ctx) {
+  if (!noiseBuffer || noiseBuffer.sampleRate !== ctx.sampleRate) {
+    noiseBuffer = ctx.createBuffer(1, ctx.sampleRate * 2, ctx.sampleRate);
+    const data = noiseBuffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = Math.random() * 2 - 1;
+    }
+  }
+  return noiseBuffer;
+}
+
+/**
+ * Schedule one flute note
+ * Returns the audio nodes so playback can be stopped early
+ */
+function synthesizeNote(ctx, destination, frequency, startTime, duration) {
+  const endTime = startTime + duration;
+  const nodes = [];
+
+  // Shared envelope: quick swell, slight decay, release
+  const envelope = ctx.createGain();
+  envelope.gain.setValueAtTime(0, startTime);
+  envelope.gain.linearRampToValueAtTime(SYNTH.volume, startTime + SYNTH.attack);
+  envelope.gain.setTargetAtTime(SYNTH.volume * 0.8, startTime + SYNTH.attack, 0.3);
+  envelope.gain.setTargetAtTime(0, Math.max(startTime + SYNTH.attack, endTime - SYNTH.release), SYNTH.release / 3);
+  envelope.connect(destination);
+  nodes.push(envelope);
+
+  // Gentle vibrato that fades in on longer notes
+  const vibrato = ctx.createOscillator();
+  const vibratoGain = ctx.createGain();
+  vibrato.frequency.value = SYNTH.vibratoRate;
+  vibratoGain.gain.setValueAtTime(0, startTime);
+  vibratoGain.gain.linearRampToValueAtTime(frequency * SYNTH.vibratoDepth, startTime + Math.min(0.4, duration));
+  vibrato.connect(vibratoGain);
+  vibrato.start(startTime);
+  vibrato.stop(endTime + SYNTH.release);
+  nodes.push(vibrato, vibratoGain);
+
+  for (const [multiple, gain] of FLUTE_HARMONICS) {
+    const osc = ctx.createOscillator();
+    const oscGain = ctx.createGain();
+    osc.type = 'sine';
+    osc.frequency.value = frequency * multiple;
+    vibratoGain.connect(osc.frequency);
+    oscGain.gain.value = gain;
+    osc.connect(oscGain);
+    oscGain.connect(envelope);
+    osc.start(startTime);
+    osc.stop(endTime + SYNTH.release);
+    nodes.push(osc, oscGain);
+  }
+
+  // Breath: noise band-passed around the note, loudest at the attack ("chiff")
+  const noise = ctx.createBufferSource();
+  noise.buffer = getNoiseBuffer(ctx);
+  noise.loop = true;
+  const filter = ctx.createBiquadFilter();
+  filter.type = 'bandpass';
+  filter.frequency.value = frequency * 2;
+  filter.Q.value = 1.5;
+  const breathGain = ctx.createGain();
+  breathGain.gain.setValueAtTime(0, startTime);
+  breathGain.gain.linearRampToValueAtTime(SYNTH.breath * 2, startTime + SYNTH.attack / 2);
+  breathGain.gain.setTargetAtTime(SYNTH.breath, startTime + SYNTH.attack, 0.1);
+  breathGain.gain.setTargetAtTime(0, Math.max(startTime + SYNTH.attack, endTime - SYNTH.release), SYNTH.release / 3);
+  noise.connect(filter);
+  filter.connect(breathGain);
+  breathGain.connect(destination);
+  noise.start(startTime);
+  noise.stop(endTime + SYNTH.release);
+  nodes.push(noise, filter, breathGain);
+
+  return nodes;
+}
+
+/**
+ * Schedule a drone on Sa (and the Sa an octave below) for the whole sequence
+ */
+function synthesizeDrone(ctx, destination, frequency, startTime, endTime) {
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, startTime);
+  gain.gain.linearRampToValueAtTime(SYNTH.droneVolume, startTime + 0.5);
+  gain.gain.setTargetAtTime(0, endTime, 0.2);
+  gain.connect(destination);
+
+  const nodes = [gain];
+  for (const multiple of [0.5, 1]) {
+    const osc = ctx.createOscillator();
+    osc.type = 'triangle';
+    osc.frequency.value = frequency * multiple;
+    osc.connect(gain);
+    osc.start(startTime);
+    osc.stop(endTime + 1);
+    nodes.push(osc);
+  }
+  return nodes;
+}
+
+/**
+ * Play a sequence of notes
+ * @param {Object[]} events - [{ midi, duration }] with durations in beats; midi null is a rest
+ * @param {Object} options
+ * @param {number} options.tempo - Beats per minute
+ * @param {number|null} options.droneMidi - Sa to drone on, or null for no drone
+ * @param {number} options.a4 - Frequency of A4 in Hz that the notes and drone are tuned to
+ * @param {Function} options.onNote - Called with (event, index) as each note starts
+ * @param {Function} options.onEnd - Called when playback finishes or is stopped
+ */
+function playSequence(events, { tempo = 90, droneMidi = null, a4 = DEFAULT_A4, onNote = () => {}, onEnd = () => {} } = {}) {
+  stopPlayback();
+
+  const ctx = getAudioContext();
+  const output = ctx.createGain();
+  output.connect(ctx.destination);
+
+  const secondsPerBeat = 60 / tempo;
+  const startTime = ctx.currentTime + 0.1;
+  const nodes = [output];
+  const timers = [];
+  let time = startTime;
+
+  events.forEach((event, index) => {
+    const duration = event.duration * secondsPerBeat;
+    if (event.midi !== null) {
+      nodes.push(...synthesizeNote(ctx, output, midiToFrequency(event.midi, a4), time, duration));
+    }
+    const delay = (time - ctx.currentTime) * 1000;
+    timers.push(setTimeout(() => onNote(event, index), delay));
+    time += duration;
+  });
+
+  if (droneMidi !== null) {
+    nodes.push(...synthesizeDrone(ctx, output, midiToFrequency(droneMidi, a4), startTime, time));
+  }
+
+  const playback = { nodes, timers, output, onEnd };
+  timers.push(setTimeout(() => {
+    if (currentPlayback === playback) stopPlayback();
+  }, (time - ctx.currentTime) * 1000 + 100));
+
+  currentPlayback = playback;
+  return playback;
+}
+
+/**
+ * Stop whatever is playing
+ */
+function stopPlayback() {
+  if (!currentPlayback) return;
+
+  const playback = currentPlayback;
+  currentPlayback = null;
+  playback.timers.forEach(timer => clearTimeout(timer));
+
+  // Fade out quickly to avoid a click, then disconnect everything
+  const ctx = getAudioContext();
+  playback.output.gain.setTargetAtTime(0, ctx.currentTime, 0.02);
+  setTimeout(() => {
+    for (const node of playback.nodes) {
+      if (node.stop) {
+        try { node.stop(); } catch (err) { /* already stopped */ }
+      }
+      node.disconnect();
+    }
+  }, 150);
+
+  playback.onEnd();
+}
+
+/**
+ * Check whether a playback started by playSequence is still running
+ */
+function isPlaying(playback) {
+  return playback !== null && playback === currentPlayback;
+}
@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// ============================================
+// COMMAND LINE
+// ============================================
+// Rank flutes for note lists, melody files and exported song libraries, the way
+// the app's Flute Finder does. Run with --help for the options.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const theory = require('../theory.js');
+const { parseMelodyFile } = require('../importers.js');
+
+const USAGE = `Usage: bansuri-notes [options] <notes or file>...
+
+Each argument is a note list ("C D E F G", "S R G m P") or a file:
+  .mid .midi .musicxml .xml .abc   a melody (the first track or part is used)
+  .json                            a song library exported from the app
+  anything else                    one note list per line (# starts a comment)
+
+Options:
+  --flutes <list>      Flutes to rank, e.g. "E,G/base,A@432" (key, optional /size
+                       and @A4 of the flute's tuning). Default: all 12 medium flutes
+  --sa <note>          Sa for sargam in note lists and text files (default C)
+  --raga               Match against ragas and thaats instead of the flute's scale
+  --weighted           Rank by the melody-weighted score
+  --tolerance <cents>  Treat notes on flutes given with @A4 as out of tune past this
+  --a4 <Hz>            A4 the songs are played at (default 440)
+  --design <id>        Flute design: ${theory.FLUTE_PROFILES.map(p => p.id).join(', ')}
+  --flats              Name flutes with flats (B♭) instead of sharps (A♯)
+  --top <n>            Results to show per song (default 3, 0 for all)
+  --json               Print JSON instead of tables
+  -h, --help           Show this help`;
+
+const MELODY_EXTENSIONS = ['.mid', '.midi', '.musicxml', '.xml', '.abc'];
+
+/**
+ * Read a number option such as "432" or "12.5"
+ * Returns the number, or NaN when the text is not a plain decimal
+ */
+function parseDecimal(text) {
+  return /^\d+(?:\.\d+)?$/.test(text.trim()) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Parse a --flutes list such as "E,G/base,A@432"
+ * Returns [{ fluteName, size, tuning }]; throws an Error naming the first bad entry, or for an empty list
+ */
+function parseFluteList(text) {
+  const entries = text.split(',').map(entry => entry.trim()).filter(Boolean);
+  if (entries.length === 0) throw new Error('--flutes needs at least one flute, e.g. "E,G/base,A@432".');
+  return entries.map(entry => {
+    const match = entry.match(/^([A-Ga-g][#b♯♭]?)(?:\/(\w+))?(?:@(\d+(?:\.\d+)?))?$/);
+    const index = match ? theory.noteToIndex(match[1].replace('♯', '#').replace('♭', 'b')) : -1;
+    const size = match && match[2] ? match[2].toLowerCase() : 'medium';
+    const tuning = match && match[3] ? parseFloat(match[3]) : null;
+    if (index === -1 || !(size in theory.FLUTE_SIZES) || (tuning !== null && !(Number.isFinite(tuning) && tuning > 0))) {
+      throw new Error(`Cannot read flute "${entry}". Use a key with an optional /size (${Object.keys(theory.FLUTE_SIZES).join(', ')}) and @A4, e.g. "A/base@432".`);
+    }
+    return { fluteName: theory.NOTES[index], size, tuning };
+  });
+}
+
+/**
+ * Read the songs from one command-line argument
+ * Returns [{ title, notes, saIndex }] with notes in the app's note input format
+ */
+function readSongs(arg, saIndex) {
+  if (!fs.existsSync(arg)) return [{ title: arg, notes: arg, saIndex }];
+
+  const name = path.basename(arg);
+  const extension = path.extname(arg).toLowerCase();
+  const buffer = fs.readFileSync(arg);
+
+  if (MELODY_EXTENSIONS.includes(extension)) {
+    const melody = parseMelodyFile(name, buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    if (melody.sources.length === 0) throw new Error(`${name} has no notes.`);
+    return [{ title: melody.title || name, notes: theory.melodyToInputText(melody.sources[0].notes), saIndex }];
+  }
+
+  if (extension === '.json') {
+    const data = JSON.parse(buffer.toString('utf8'));
+    if (!data || !Array.isArray(data.songs)) throw new Error(`${name} is not a song library exported from the app.`);
+    // Sargam in a saved song is read with Sa on the song's flute
+    return data.songs.map((song, i) => ({
+      title: song.title || `${name} song ${i + 1}`,
+      notes: typeof song.notes === 'string' ? song.notes : '',
+      saIndex: theory.noteToIndex(song.flute || '') !== -1 ? theory.getRootNoteIndex(song.flute) : saIndex
+    }));
+  }
+
+  return buffer.toString('utf8').split(/\r?\n/)
+    .map((line, i) => ({ title: `${name}:${i + 1}`, notes: line.replace(/#.*$/, '').trim(), saIndex }))
+    .filter(song => song.notes);
+}
+
+/**
+ * Rank flutes for one song
+ * Returns { title, notes, covered, results } or { title, error }
+ */
+function rankSong(song, options) {
+  const pitches = theory.parsePitchInput(song.notes, song.saIndex);
+  const inputNotes = theory.parseNoteInput(song.notes, song.saIndex);
+  if (inputNotes.length === 0) return { title: song.title, error: 'No notes found.' };
+
+  const results = options.raga
+    ? theory.findBestRagaFits(inputNotes, pitches, options)
+    : theory.findBestFlutes(inputNotes, pitches, options);
+  const best = results[0];
+  return {
+    title: song.title,
+    notes: inputNotes,
+    covered: best.inRange && best.playablePercent >= theory.COVERED_PLAYABLE_PERCENT,
+    results: options.top > 0 ? results.slice(0, options.top) : results
+  };
+}
+
+/**
+ * Name a result's flute, e.g. "A♯ (base, 432 Hz)"
+ */
+function describeResultFlute(result, flutes) {
+  const flute = flutes && flutes.find(f => f.fluteName === result.fluteName && f.size === result.size);
+  const details = [];
+  if (result.size !== 'medium') details.push(result.size);
+  if (flute && flute.tuning) details.push(`${flute.tuning} Hz`);
+  const name = theory.spellFluteName(result.fluteName);
+  return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+}
+
+/**
+ * Lay out rows as a plain-text table with a header row
+ */
+function formatTable(header, rows) {
+  const widths = header.map((cell, i) => Math.max(cell.length, ...rows.map(row => String(row[i]).length)));
+  return [header, ...rows]
+    .map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * Format one ranked song as text
+ */
+function formatSong(song, options) {
+  if (song.error) return `${song.title}\n  ${song.error}`;
+
+  const range = r => r.inRange ? (r.octaveShift ? `${r.octaveShift > 0 ? '+' : ''}${r.octaveShift} oct` : 'yes') : 'no';
+  const difficulty = r => `${r.difficulty.score} (${theory.DIFFICULTY_LABELS[r.difficulty.level]})`;
+  const table = options.raga
+    ? formatTable(['#', 'Flute', 'Sa', 'Raga', 'Score', 'Fit', 'Coverage', 'Range', 'Difficulty'],
+      song.results.map((r, i) => [i + 1, describeResultFlute(r, options.flutes),
+        `${theory.getKeyName(theory.noteToIndex(r.saNote))} (flute's ${theory.SA_PLACEMENTS.find(p => p.interval === r.placement).name})`,
+        theory.describeRagaMode(r.mode), `${r.score}`, `${r.fitPercent}%`, `${r.coveragePercent}%`, range(r), difficulty(r)]))
+    : formatTable(['#', 'Flute', 'Playable', 'Match', 'Weighted', 'Range', 'Difficulty', 'Needs'],
+      song.results.map((r, i) => [i + 1, describeResultFlute(r, options.flutes),
+        `${r.playablePercent}%`, `${r.matchPercent}%`, `${r.weightedPercent}%`, range(r), difficulty(r),
+        r.effortNotes.map(n => `${theory.spellNote(n.note, theory.noteToIndex(r.rootNote))} (${n.technique})`).join(', ')]));
+
+  const heading = `${song.title}: ${song.notes.length} notes${song.covered ? '' : ' (no flute plays it well)'}`;
+  return `${heading}\n${table.replace(/^/gm, '  ')}`;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      flutes: { type: 'string' },
+      sa: { type: 'string', default: 'C' },
+      raga: { type: 'boolean', default: false },
+      weighted: { type: 'boolean', default: false },
+      tolerance: { type: 'string' },
+      a4: { type: 'string' },
+      design: { type: 'string' },
+      flats: { type: 'boolean', default: false },
+      top: { type: 'string', default: '3' },
+      json: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const a4 = values.a4 !== undefined ? parseDecimal(values.a4) : undefined;
+  if (a4 !== undefined && !(a4 > 0)) throw new Error(`--a4 must be a frequency in Hz, not "${values.a4}".`);
+  const tolerance = values.tolerance !== undefined ? parseDecimal(values.tolerance) : 0;
+  if (!(tolerance >= 0)) throw new Error(`--tolerance must be a number of cents, not "${values.tolerance}".`);
+
+  theory.configureTheory({
+    profile: values.design,
+    a4,
+    accidentals: values.flats ? 'flats' : 'sharps'
+  });
+  const saIndex = theory.noteToIndex(values.sa);
+  if (saIndex === -1) throw new Error(`Cannot read Sa "${values.sa}".`);
+  const top = parseInt(values.top, 10);
+  if (!(top >= 0)) throw new Error(`--top must be a whole number, not "${values.top}".`);
+
+  const options = {
+    raga: values.raga,
+    weighted: values.weighted,
+    tolerance,
+    flutes: values.flutes !== undefined ? parseFluteList(values.flutes) : undefined,
+    top
+  };
+
+  const songs = positionals.flatMap(arg => readSongs(arg, saIndex)).map(song => rankSong(song, options));
+
+  if (values.json) {
+    console.log(JSON.stringify({ songs }, null, 2));
+  } else {
+    console.log(songs.map(song => formatSong(song, options)).join('\n\n'));
+    const ranked = songs.filter(song => !song.error);
+    if (ranked.length > 1) {
+      console.log(`\n${ranked.filter(song => song.covered).length} of ${ranked.length} songs have a flute that plays them well.`);
+    }
+  }
+  return songs.some(song => song.error) ? 1 : 0;
+}
+
+if (require.main === module) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (err) {
+    console.error(`bansuri-notes: ${err.message}`);
+    process.exitCode = 2;
+  }
+}
+
+module.exports = { parseFluteList, readSongs, rankSong, main };
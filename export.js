@@ -0,0 +1,614 @@
+// ============================================
+// DIAGRAM EXPORT (SVG, PNG, PDF)
+// ============================================
+// Vector drawings of flute diagrams, a reference chart of all twelve flutes and
+// fingering tablature for a melody, drawn from the theory functions rather than
+// the page layout. Documents are lists of pages in PDF points (1/72 inch).
+// PNG and PDF are rasterized in the browser: pages are drawn on a canvas and
+// PDFs embed them as JPEG images, so exporting works offline.
+
+const EXPORT_STYLE = {
+  font: "'Segoe UI', Tahoma, Geneva, Verdana, sans-serif",
+  body: '#d4a574',
+  bodyShade: '#b8956e',
+  closed: '#000000',
+  open: '#e8e8e8',
+  extra: '#16a34a',
+  avoid: '#dc2626',
+  text: '#1a1a1a',
+  muted: '#666666',
+  scale: 2,             // canvas pixels per point when rasterizing
+  jpegQuality: 0.92
+};
+
+// A4 portrait, in points
+const EXPORT_PAGE = { width: 595, height: 842, margin: 40 };
+
+const DIAGRAM_SIZE = { width: 640, height: 180 };
+
+// Printed drilling template: landscape A4 pages, in points, and the millimetres of
+// tube each page repeats from the page before
+const MAKER_TILE = { width: 842, height: 595, overlap: 20 };
+const POINTS_PER_MM = 72 / 25.4;
+
+/**
+ * Horizontal positions of the blow hole and finger holes in a flute diagram, with
+ * the same wider gaps after the blow hole and before the last hole as the page
+ * (six finger holes sit at 165, 235, ... 445 and 535)
+ */
+function getDiagramHoleX(fingerHoles) {
+  const first = 165;
+  const last = 535;
+  const spacing = (last - first - 20) / (fingerHoles - 1);
+  const positions = [45];
+  for (let i = 0; i < fingerHoles - 1; i++) positions.push(Math.round(first + i * spacing));
+  positions.push(last);
+  return positions;
+}
+
+/**
+ * Escape text for use in SVG markup
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build an SVG text element
+ */
+function svgText(x, y, text, attributes = '') {
+  return `<text x="${x}" y="${y}" ${attributes}>${escapeXml(text)}</text>`;
+}
+
+/**
+ * Build a finger hole in one of the states used by fingering patterns ('x', 'h', 'o')
+ * Half-open holes are drawn closed on the left half
+ */
+function svgFingerHole(cx, cy, r, state) {
+  const stroke = `stroke="${EXPORT_STYLE.closed}" stroke-width="1.5"`;
+  if (state === 'x') return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${EXPORT_STYLE.closed}" ${stroke}/>`;
+  const hole = `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${EXPORT_STYLE.open}" ${stroke}/>`;
+  if (state === 'o') return hole;
+  return `${hole}<path d="M ${cx} ${cy - r} A ${r} ${r} 0 0 0 ${cx} ${cy + r} Z" fill="${EXPORT_STYLE.closed}"/>`;
+}
+
+/**
+ * Wrap page content in a standalone SVG document
+ * @param {string} unit - Unit of the document size (e.g. 'mm' to print at a fixed scale); points by default
+ */
+function createSvgDocument(width, height, content, unit = '') {
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}${unit}" height="${height}${unit}" viewBox="0 0 ${width} ${height}"` +
+    ` font-family="${escapeXml(EXPORT_STYLE.font)}" fill="${EXPORT_STYLE.text}">` +
+    '<defs><linearGradient id="flute-body-gradient" x1="0" y1="0" x2="0" y2="1">' +
+    `<stop offset="0" stop-color="${EXPORT_STYLE.body}"/><stop offset="1" stop-color="${EXPORT_STYLE.bodyShade}"/>` +
+    '</linearGradient></defs>' +
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>${content}</svg>`;
+}
+
+/**
+ * Turn a single page into an SVG document
+ */
+function pageToSvg(page) {
+  return createSvgDocument(page.width, page.height, page.content);
+}
+
+/**
+ * Stack all pages of a document into one SVG, one below the other
+ */
+function pagesToSvg(pages) {
+  const width = Math.max(...pages.map(page => page.width));
+  let y = 0;
+  const content = pages.map((page, i) => {
+    const separator = i > 0 ? `<line x1="0" y1="${y}" x2="${width}" y2="${y}" stroke="#dddddd"/>` : '';
+    const group = `${separator}<g transform="translate(0 ${y})">${page.content}</g>`;
+    y += page.height;
+    return group;
+  }).join('');
+  return createSvgDocument(width, y, content);
+}
+
+/**
+ * Draw a horizontal flute diagram (DIAGRAM_SIZE, origin at the top left)
+ * Colours and labels follow renderFlute: black holes without input, green for
+ * notes in the input and red for notes it avoids, extra notes between the holes.
+ * @param {string[]} scaleNotes - The notes of the flute's natural scale (see getScaleNotes)
+ * @param {string[]} inputNotes - Notes of the melody (optional)
+ * @param {Object} options
+ * @param {Object} options.raga - Thaat or raga view from getRagaFingerings
+ * @param {string} options.notation - 'western', 'sargam' or 'both'
+ * @param {Object} options.spellings - How the user spelled input notes (see getInputSpellings)
+ * Returns SVG markup
+ */
+function buildFluteDiagramSvg(scaleNotes, inputNotes = [], options = {}) {
+  const raga = options.raga || null;
+  const notation = options.notation || 'both';
+  const spellings = options.spellings || {};
+  const hasInput = inputNotes.length > 0;
+  const rootIndex = noteToIndex(scaleNotes[0]);
+  const holes = getHoleIntervals();
+  const holeNotes = getHoleNotes(rootIndex);
+  const holeX = getDiagramHoleX(holeNotes.length - 1);
+  const saIndex = raga ? raga.saIndex : rootIndex;
+  const swaraOf = note => SWARA_SHORT_NAMES[(noteToIndex(note) - saIndex + 12) % 12];
+  const holeY = 120;
+  const parts = [];
+
+  parts.push(`<rect x="10" y="95" width="620" height="50" rx="20" fill="url(#flute-body-gradient)"/>`);
+
+  holeNotes.forEach((note, i) => {
+    const x = holeX[i];
+    let fill = EXPORT_STYLE.closed;
+    if (hasInput) fill = inputNotes.includes(note) ? EXPORT_STYLE.extra : EXPORT_STYLE.avoid;
+    const omitted = raga && !raga.notes.includes(note);
+
+    parts.push(`<g${omitted ? ' opacity="0.35"' : ''}>`);
+    parts.push(`<circle cx="${x}" cy="${holeY}" r="17" fill="${fill}" stroke="${fill}" stroke-width="3"/>`);
+    parts.push(svgText(x, holeY + 4, notation === 'sargam' ? swaraOf(note) : spellNote(note, saIndex),
+      'text-anchor="middle" font-size="11" font-weight="bold" fill="#ffffff"'));
+    parts.push('</g>');
+
+    if (raga && raga.halfHoles[i]) {
+      parts.push(svgFingerHole(x + 14, holeY - 14, 6, 'h'));
+    }
+
+    if (i === 0) {
+      parts.push(svgText(x, 168, 'BLOW', 'text-anchor="middle" font-size="10" font-weight="bold"'));
+    } else if (notation === 'both') {
+      parts.push(svgText(x, 168, (holes[i].register < 0 ? '.' : '') + swaraOf(note),
+        `text-anchor="middle" font-size="12" fill="${EXPORT_STYLE.muted}"`));
+    }
+  });
+
+  // Notes outside the scale sit above the body, in the gap between the holes that bracket them
+  const extraNotes = hasInput ? inputNotes.filter(n => !scaleNotes.includes(n)) : [];
+  groupExtraNotesByGap(holeNotes, extraNotes).forEach((notes, gap) => {
+    const centre = (holeX[gap] + holeX[gap + 1]) / 2;
+    notes.forEach((note, j) => {
+      const x = centre + (j - (notes.length - 1) / 2) * 34;
+      parts.push(`<circle cx="${x}" cy="62" r="15" fill="${EXPORT_STYLE.extra}"/>`);
+      parts.push(svgText(x, 66, notation === 'sargam' ? swaraOf(note) : spellings[note] || spellNote(note, saIndex),
+        'text-anchor="middle" font-size="10" font-weight="bold" fill="#ffffff"'));
+    });
+  });
+
+  return parts.join('');
+}
+
+/**
+ * Build a one-page document with a single flute diagram and a title
+ * Returns [{ width, height, content }]
+ */
+function buildFluteDiagramPages(scaleNotes, inputNotes = [], options = {}) {
+  const margin = 20;
+  const title = options.title
+    ? svgText(margin, margin + 16, options.title, 'font-size="16" font-weight="bold"')
+    : '';
+  const top = options.title ? margin + 20 : margin;
+  return [{
+    width: DIAGRAM_SIZE.width + margin * 2,
+    height: DIAGRAM_SIZE.height + top + margin,
+    content: `${title}<g transform="translate(${margin} ${top})">${buildFluteDiagramSvg(scaleNotes, inputNotes, options)}</g>`
+  }];
+}
+
+/**
+ * Add a page number footer to each page of a document
+ */
+function addPageNumbers(pages) {
+  if (pages.length < 2) return pages;
+  return pages.map((page, i) => ({
+    ...page,
+    content: page.content + svgText(page.width / 2, page.height - 20, `Page ${i + 1} of ${pages.length}`,
+      `text-anchor="middle" font-size="9" fill="${EXPORT_STYLE.muted}"`)
+  }));
+}
+
+/**
+ * Build the reference chart: the scale and hole layout of all twelve flutes
+ * Returns A4 pages [{ width, height, content }]
+ */
+function buildReferenceChartPages(options = {}) {
+  const notation = options.notation || 'both';
+  const perPage = 4;
+  const entryHeight = 184;
+  const diagramScale = 0.8;
+  const left = (EXPORT_PAGE.width - DIAGRAM_SIZE.width * diagramScale) / 2;
+  const pages = [];
+
+  NOTES.forEach((fluteName, i) => {
+    if (i % perPage === 0) {
+      pages.push({
+        width: EXPORT_PAGE.width,
+        height: EXPORT_PAGE.height,
+        content: svgText(EXPORT_PAGE.margin, EXPORT_PAGE.margin + 8, 'Bansuri Reference Chart', 'font-size="18" font-weight="bold"') +
+          svgText(EXPORT_PAGE.margin, EXPORT_PAGE.margin + 26,
+            `Each flute is named after its ${activeProfile.naming}. Each hole shows the note played with that hole and all holes below it open.`,
+            `font-size="8" fill="${EXPORT_STYLE.muted}"`)
+      });
+    }
+
+    const rootIndex = getRootNoteIndex(fluteName);
+    const scaleNotes = getScaleNotes(rootIndex);
+    const y = EXPORT_PAGE.margin + 44 + (i % perPage) * entryHeight;
+    const page = pages[pages.length - 1];
+    page.content +=
+      svgText(left, y + 14, `${spellFluteName(fluteName)} Flute: Sa = ${getKeyName(rootIndex)}`, 'font-size="13" font-weight="bold"') +
+      svgText(left, y + 30, formatNotes(scaleNotes, rootIndex, '  ', notation), `font-size="10" fill="${EXPORT_STYLE.muted}"`) +
+      `<g transform="translate(${left} ${y + 34}) scale(${diagramScale})">${buildFluteDiagramSvg(scaleNotes, [], { notation })}</g>`;
+  });
+
+  return addPageNumbers(pages);
+}
+
+/**
+ * Describe each note of a melody for tablature: fingering, swara, register and range
+ * Returns [{ pitch, name, swara, pattern, register, outOfRange }]
+ */
+function getTablatureNotes(fluteName, pitches, size = 'medium') {
+  const rootIndex = getRootNoteIndex(fluteName);
+  const saMidi = getFluteSaMidi(fluteName, size);
+  const { octaveShift } = checkFluteRange(fluteName, pitches, size);
+
+  return pitches.map(pitch => {
+    const { interval, fingerings } = getNoteFingerings(pitch.note, rootIndex);
+    let offset = getPitchOffset(pitch, saMidi);
+    if (offset !== null && pitch.midi !== null) offset += 12 * octaveShift;
+    // Fingerings with their own register (e.g. a low Ni hole) are used for that octave only
+    const fingering = fingerings.find(f => f.register && offset === interval + 12 * f.register) ||
+      fingerings.find(f => !f.register);
+    return {
+      pitch,
+      name: pitch.midi !== null
+        ? spellMidi(pitch.midi + 12 * octaveShift, rootIndex, pitch.spelling)
+        : pitch.spelling || spellNote(pitch.note, rootIndex),
+      swara: SWARA_SHORT_NAMES[interval],
+      pattern: fingering.pattern,
+      register: offset === null ? null : getRegisterName(offset),
+      outOfRange: offset !== null && (offset < FLUTE_RANGE.low || offset > FLUTE_RANGE.high)
+    };
+  });
+}
+
+/**
+ * Draw one tablature column: note name, a vertical fingering diagram (blow hole
+ * at the top), the swara with a dot above for taar or below for mandra, and the
+ * duration when it is not one beat
+ */
+function buildTablatureColumnSvg(x, y, entry, notation) {
+  const parts = [];
+  const colour = entry.outOfRange ? EXPORT_STYLE.avoid : EXPORT_STYLE.text;
+
+  if (notation !== 'sargam') {
+    parts.push(svgText(x, y + 12, entry.name, `text-anchor="middle" font-size="11" font-weight="bold" fill="${colour}"`));
+  }
+  parts.push(`<rect x="${x - 10}" y="${y + 20}" width="20" height="122" rx="10" fill="url(#flute-body-gradient)"/>`);
+  parts.push(`<circle cx="${x}" cy="${y + 32}" r="5" fill="#4a4a4a" stroke="#333333" stroke-width="1.5"/>`);
+  // Six holes sit 16 apart; more holes share the same length
+  const spacing = 80 / (entry.pattern.length - 1);
+  [...entry.pattern].forEach((state, i) => {
+    parts.push(svgFingerHole(x, y + 54 + i * spacing, 6, state));
+  });
+
+  if (notation !== 'western') {
+    parts.push(svgText(x, y + 162, entry.swara, `text-anchor="middle" font-size="10" fill="${colour}"`));
+  }
+  if (entry.register === 'taar') parts.push(`<circle cx="${x}" cy="${y + 149}" r="1.8" fill="${colour}"/>`);
+  if (entry.register === 'mandra') parts.push(`<circle cx="${x}" cy="${y + 168}" r="1.8" fill="${colour}"/>`);
+  if (entry.pitch.duration !== 1) {
+    parts.push(svgText(x, y + 180, `×${+entry.pitch.duration.toFixed(2)}`,
+      `text-anchor="middle" font-size="9" fill="${EXPORT_STYLE.muted}"`));
+  }
+  return parts.join('');
+}
+
+/**
+ * Build fingering tablature for a melody: one fingering diagram per note
+ * @param {string} fluteName - Flute to finger the melody on
+ * @param {Object[]} pitches - Parsed melody
+ * @param {Object} options
+ * @param {string} options.size - 'base', 'medium' or 'small'
+ * @param {string} options.title - Heading for the first page
+ * @param {string} options.notation - 'western', 'sargam' or 'both'
+ * Returns A4 pages [{ width, height, content }]
+ */
+function buildTablaturePages(fluteName, pitches, options = {}) {
+  const notation = options.notation || 'both';
+  const entries = getTablatureNotes(fluteName, pitches, options.size);
+  const { margin, width, height } = EXPORT_PAGE;
+  const columnWidth = 46;
+  const rowHeight = 190;
+  const columns = Math.floor((width - margin * 2) / columnWidth);
+  const firstTop = margin + 70;
+  const rowsFirst = Math.floor((height - margin - 20 - firstTop) / rowHeight);
+  const rowsOther = Math.floor((height - margin * 2 - 20) / rowHeight);
+  const range = checkFluteRange(fluteName, pitches, options.size);
+  const rootNote = getKeyName(getRootNoteIndex(fluteName));
+
+  let header = svgText(margin, margin + 8, options.title || `${spellFluteName(fluteName)} Flute Tablature`, 'font-size="18" font-weight="bold"');
+  const notes = [
+    `Sa = ${rootNote}. Holes from the blow hole down: filled = closed, half-filled = half-open, empty = open.`,
+    'A dot above the swara means taar saptak, below means mandra saptak.'
+  ];
+  if (range.octaveShift !== 0) notes.push(`Played ${describeOctaveShift(range.octaveShift)} to fit the flute's range.`);
+  if (range.outOfRange.length > 0) notes.push(`Red notes are out of range: ${range.outOfRange.join(', ')}.`);
+  notes.forEach((line, i) => {
+    header += svgText(margin, margin + 26 + i * 12, line, `font-size="9" fill="${EXPORT_STYLE.muted}"`);
+  });
+
+  const pages = [];
+  let index = 0;
+  do {
+    const first = pages.length === 0;
+    const top = first ? firstTop : margin;
+    const rows = first ? rowsFirst : rowsOther;
+    let content = first ? header : '';
+
+    for (let row = 0; row < rows && index < entries.length; row++) {
+      for (let column = 0; column < columns && index < entries.length; column++, index++) {
+        const x = margin + columnWidth * (column + 0.5);
+        content += buildTablatureColumnSvg(x, top + row * rowHeight, entries[index], notation);
+      }
+    }
+    pages.push({ width, height, content });
+  } while (index < entries.length);
+
+  return addPageNumbers(pages);
+}
+
+/**
+ * Draw a full-size drilling template for a flute from calculateFluteDimensions
+ * Drawn in millimetres so that, printed at 100%, it can be laid along the tube: the
+ * stopper end is on the left, each hole is drawn at its diameter with cross hairs on
+ * its centre, and a ruler from the stopper runs underneath.
+ * Returns { width, height, stopper, content } in mm, with stopper the x of the stopper end
+ */
+function drawMakerTemplate(design) {
+  const margin = 10;
+  const outer = design.bore + design.wall * 2;
+  const tubeTop = margin + 44;
+  const tubeY = tubeTop + outer / 2;
+  const rulerY = tubeTop + outer + 26;
+  const width = Math.ceil(design.length + margin * 2);
+  const height = Math.ceil(rulerY + 12 + margin);
+  const left = margin;
+  const saIndex = getRootNoteIndex(design.fluteName);
+  const line = `stroke="${EXPORT_STYLE.closed}" stroke-width="0.25"`;
+  const parts = [];
+
+  const size = design.size === 'medium' ? '' : `, ${design.size}`;
+  parts.push(svgText(left, margin + 5, `${spellFluteName(design.fluteName)} Flute${size} (Sa = ${getKeyName(saIndex)}), A4 = ${design.a4} Hz`,
+    'font-size="5" font-weight="bold"'));
+  parts.push(svgText(left, margin + 11, `Bore ${design.bore} mm, wall ${design.wall} mm, ${design.length.toFixed(1)} mm from the stopper to the foot. ` +
+    'Print at 100% and check the ruler before drilling.', `font-size="3" fill="${EXPORT_STYLE.muted}"`));
+
+  parts.push(`<rect x="${left}" y="${tubeTop}" width="${design.length}" height="${outer}" fill="url(#flute-body-gradient)" ${line}/>`);
+  parts.push(`<line x1="${left}" y1="${tubeTop - 4}" x2="${left}" y2="${rulerY}" ${line} stroke-dasharray="1 1"/>`);
+  parts.push(svgText(left + 1, tubeTop - 2, 'Stopper', 'font-size="3"'));
+  parts.push(svgText(left + design.length - 1, tubeTop - 2, 'Foot', 'font-size="3" text-anchor="end"'));
+
+  const drawHole = (x, diameter, label, detail) => {
+    const r = diameter / 2;
+    parts.push(`<circle cx="${x}" cy="${tubeY}" r="${r}" fill="#ffffff" ${line}/>`);
+    parts.push(`<line x1="${x - r - 1.5}" y1="${tubeY}" x2="${x + r + 1.5}" y2="${tubeY}" ${line}/>`);
+    parts.push(`<line x1="${x}" y1="${tubeY - r - 1.5}" x2="${x}" y2="${tubeY + r + 1.5}" ${line}/>`);
+    parts.push(svgText(x + 1, tubeTop - 3, label, `font-size="3" font-weight="bold" transform="rotate(-90 ${x + 1} ${tubeTop - 3})"`));
+    parts.push(svgText(x + 1, tubeTop + outer + 3, detail, `font-size="3" text-anchor="end" transform="rotate(-90 ${x + 1} ${tubeTop + outer + 3})"`));
+  };
+  drawHole(left + design.embouchure.fromTop, design.embouchure.diameter, 'Embouchure', `${design.embouchure.fromTop.toFixed(1)} mm`);
+  for (const hole of design.holes) {
+    drawHole(left + hole.fromTop, hole.diameter,
+      `${hole.number}: ${SWARA_SHORT_NAMES[hole.interval]} ${spellMidi(hole.midi, saIndex)}`, `${hole.fromTop.toFixed(1)} mm`);
+  }
+
+  // Ruler from the stopper: a tick every millimetre, longer every 5 and numbered every 10
+  parts.push(`<line x1="${left}" y1="${rulerY}" x2="${left + design.length}" y2="${rulerY}" ${line}/>`);
+  for (let mm = 0; mm <= design.length; mm++) {
+    const tick = mm % 10 === 0 ? 4 : mm % 5 === 0 ? 2.5 : 1.5;
+    parts.push(`<line x1="${left + mm}" y1="${rulerY}" x2="${left + mm}" y2="${rulerY + tick}" ${line}/>`);
+    if (mm % 10 === 0) parts.push(svgText(left + mm, rulerY + 8, mm / 10, 'font-size="2.5" text-anchor="middle"'));
+  }
+  parts.push(svgText(left + design.length, rulerY + 12, 'cm', `font-size="2.5" text-anchor="end" fill="${EXPORT_STYLE.muted}"`));
+
+  return { width, height, stopper: left, content: parts.join('') };
+}
+
+/**
+ * Build the drilling template as one SVG document sized in millimetres, as long as the tube
+ * Returns SVG markup
+ */
+function buildMakerTemplateSvg(design) {
+  const { width, height, content } = drawMakerTemplate(design);
+  return createSvgDocument(width, height, content, 'mm');
+}
+
+/**
+ * Draw a round alignment mark with a cross through it, centred on (x, y)
+ */
+function svgAlignmentMark(x, y) {
+  const stroke = `stroke="${EXPORT_STYLE.closed}" stroke-width="0.75"`;
+  return `<circle cx="${x}" cy="${y}" r="6" fill="none" ${stroke}/>` +
+    `<line x1="${x - 9}" y1="${y}" x2="${x + 9}" y2="${y}" ${stroke}/>` +
+    `<line x1="${x}" y1="${y - 9}" x2="${x}" y2="${y + 9}" ${stroke}/>`;
+}
+
+/**
+ * Split the drilling template into landscape A4 pages to print at 100%
+ * Each page carries on along the tube and repeats the last MAKER_TILE.overlap mm of
+ * the page before. Both pages of an overlap have the same alignment marks, and pages
+ * after the first have a dashed line at their left edge to cut along, so the pages
+ * can be trimmed, laid over each other and taped into one strip.
+ * Returns pages [{ width, height, content }] in points
+ */
+function buildMakerTemplatePages(design) {
+  const drawing = drawMakerTemplate(design);
+  const { margin } = EXPORT_PAGE;
+  const { width, height, overlap } = MAKER_TILE;
+  const strip = (width - margin * 2) / POINTS_PER_MM;
+  const step = strip - overlap;
+  const count = Math.max(1, Math.ceil((drawing.width - overlap) / step));
+  const top = margin + 20;
+  const bottom = top + drawing.height * POINTS_PER_MM;
+  const toPage = (x, start) => margin + (x - start) * POINTS_PER_MM;
+  const pages = [];
+
+  for (let i = 0; i < count; i++) {
+    const start = i * step;
+    const end = start + strip;
+    let content =
+      `<clipPath id="maker-page-${i}"><rect x="${start}" y="0" width="${strip}" height="${drawing.height}"/></clipPath>` +
+      `<g transform="translate(${margin - start * POINTS_PER_MM} ${top}) scale(${POINTS_PER_MM})">` +
+      `<g clip-path="url(#maker-page-${i})">${drawing.content}</g></g>`;
+
+    // Marks in the middle of the overlap with the page before and the page after
+    for (const neighbour of [i - 1, i + 1]) {
+      if (neighbour < 0 || neighbour >= count) continue;
+      const x = toPage(Math.max(i, neighbour) * step + overlap / 2, start);
+      content += svgAlignmentMark(x, top - 10) + svgAlignmentMark(x, bottom + 10);
+    }
+    if (i > 0) {
+      content += `<line x1="${margin}" y1="${top - 20}" x2="${margin}" y2="${bottom + 20}" stroke="${EXPORT_STYLE.muted}" stroke-width="0.75" stroke-dasharray="4 3"/>`;
+    }
+
+    if (count > 1) {
+      const from = Math.max(0, start - drawing.stopper);
+      const to = Math.min(design.length, end - drawing.stopper);
+      const lines = [`Page ${i + 1} of ${count}: ${from.toFixed(0)} to ${to.toFixed(0)} mm from the stopper. Print at 100%.`];
+      if (i > 0) lines.push(`Cut along the dashed line and lay this page over page ${i} so the alignment marks meet.`);
+      lines.forEach((line, j) => {
+        content += svgText(margin, bottom + 36 + j * 12, line, `font-size="9" fill="${EXPORT_STYLE.muted}"`);
+      });
+    }
+    pages.push({ width, height, content });
+  }
+
+  return pages;
+}
+
+/**
+ * Draw an SVG document on a canvas
+ * Returns a promise of the canvas
+ */
+function rasterizeSvg(svg, width, height, scale = EXPORT_STYLE.scale) {
+  return new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.fillStyle = '#ffffff';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas);
+    };
+    image.onerror = () => reject(new Error('The diagram could not be drawn as an image in this browser.'));
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
+
+/**
+ * Encode a canvas as an image file
+ * Returns a promise of a Blob
+ */
+function canvasToBlob(canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (blob) resolve(blob);
+      else reject(new Error('The image could not be encoded in this browser.'));
+    }, type, quality);
+  });
+}
+
+/**
+ * Write a PDF with one full-page JPEG image per page
+ * @param {Object[]} pages - [{ width, height, jpeg, pixelWidth, pixelHeight }] with the
+ *   page size in points and jpeg the image bytes (Uint8Array)
+ * Returns a Blob
+ */
+function buildPdf(pages) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  function write(part) {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  }
+  function beginObject(number) {
+    offsets[number] = length;
+    write(`${number} 0 obj\n`);
+  }
+
+  // Objects: 1 catalog, 2 page tree, then page, content stream and image for each page
+  const objectCount = 2 + pages.length * 3;
+  write('%PDF-1.4\n%âãÏÓ\n');
+  beginObject(1);
+  write('<< /Type /Catalog /Pages 2 0 R >>\nendobj\n');
+  beginObject(2);
+  write(`<< /Type /Pages /Kids [${pages.map((_, i) => `${3 + i * 3} 0 R`).join(' ')}] /Count ${pages.length} >>\nendobj\n`);
+
+  pages.forEach((page, i) => {
+    const pageObject = 3 + i * 3;
+    const drawing = `q ${page.width} 0 0 ${page.height} 0 0 cm /Im0 Do Q`;
+
+    beginObject(pageObject);
+    write(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${page.width} ${page.height}]` +
+      ` /Resources << /XObject << /Im0 ${pageObject + 2} 0 R >> >> /Contents ${pageObject + 1} 0 R >>\nendobj\n`);
+    beginObject(pageObject + 1);
+    write(`<< /Length ${drawing.length} >>\nstream\n${drawing}\nendstream\nendobj\n`);
+    beginObject(pageObject + 2);
+    write(`<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight}` +
+      ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>\nstream\n`);
+    write(page.jpeg);
+    write('\nendstream\nendobj\n');
+  });
+
+  const xrefOffset = length;
+  let xref = `xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`;
+  for (let number = 1; number <= objectCount; number++) {
+    xref += `${String(offsets[number]).padStart(10, '0')} 00000 n \n`;
+  }
+  write(xref);
+  write(`trailer\n<< /Size ${objectCount + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: 'application/pdf' });
+}
+
+/**
+ * Turn a document into a file in the given format
+ * SVG and PNG stack the pages into one image; PDF keeps one page per page.
+ * Returns a promise of a Blob
+ */
+async function renderExport(pages, format) {
+  if (format === 'svg') {
+    return new Blob([pagesToSvg(pages)], { type: 'image/svg+xml' });
+  }
+  if (format === 'png') {
+    const svg = pagesToSvg(pages);
+    const height = pages.reduce((sum, page) => sum + page.height, 0);
+    const canvas = await rasterizeSvg(svg, Math.max(...pages.map(page => page.width)), height);
+    return canvasToBlob(canvas, 'image/png');
+  }
+  if (format === 'pdf') {
+    const pdfPages = [];
+    for (const page of pages) {
+      const canvas = await rasterizeSvg(pageToSvg(page), page.width, page.height);
+      const jpeg = await canvasToBlob(canvas, 'image/jpeg', EXPORT_STYLE.jpegQuality);
+      pdfPages.push({
+        width: page.width,
+        height: page.height,
+        pixelWidth: canvas.width,
+        pixelHeight: canvas.height,
+        jpeg: new Uint8Array(await jpeg.arrayBuffer())
+      });
+    }
+    return buildPdf(pdfPages);
+  }
+  throw new Error(`Unknown export format: ${format}`);
+}
@@ -0,0 +1,582 @@
+// ============================================
+// MELODY FILE IMPORTERS
+// ============================================
+// Parse Standard MIDI Files, uncompressed MusicXML and ABC notation into
+// melodies: lists of { midi, duration } with durations in beats (quarter notes).
+// Files with several tracks, channels or parts return one source per melody line.
+
+// Semitones above C for each note letter
+const STEP_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+
+/**
+ * Parse a melody file, choosing the format from its name and contents
+ * @param {string} fileName - Name of the file (used for the extension)
+ * @param {ArrayBuffer} buffer - Raw file contents
+ * Returns { format, title, sources: [{ id, name, notes: [{ midi, duration }] }] }
+ */
+function parseMelodyFile(fileName, buffer) {
+  const bytes = new Uint8Array(buffer);
+  const extension = fileName.toLowerCase().split('.').pop();
+  const magic = String.fromCharCode(...bytes.slice(0, 4));
+
+  if (magic === 'MThd') {
+    return parseMidiFile(buffer);
+  }
+  if (extension === 'mxl' || magic.startsWith('PK')) {
+    throw new Error('Compressed MusicXML (.mxl) is not supported. Export as uncompressed .musicxml instead.');
+  }
+
+  const text = new TextDecoder('utf-8').decode(bytes);
+  if (/<score-(partwise|timewise)/.test(text)) {
+    return parseMusicXml(text);
+  }
+  if (extension === 'abc' || /^\s*(X|K):/m.test(text)) {
+    return parseAbc(text);
+  }
+
+  throw new Error(`Unrecognised file "${fileName}". Use a MIDI (.mid), MusicXML (.musicxml) or ABC (.abc) file.`);
+}
+
+/**
+ * Reduce overlapping notes to a single melody line
+ * Keeps the highest note at each onset and trims notes that overlap the next one
+ * @param {Object[]} notes - [{ midi, start, end }] in beats
+ * Returns [{ midi, duration }]
+ */
+function toMelodyLine(notes) {
+  const sorted = [...notes].sort((a, b) => a.start - b.start || b.midi - a.midi);
+  const line = [];
+
+  for (const note of sorted) {
+    const previous = line[line.length - 1];
+    if (previous && Math.abs(previous.start - note.start) < 1e-6) continue;
+    if (previous && previous.end > note.start) previous.end = note.start;
+    line.push({ ...note });
+  }
+
+  return line
+    .map(note => ({ midi: note.midi, duration: roundBeats(note.end - note.start) }))
+    .filter(note => note.duration > 0);
+}
+
+/**
+ * Round a duration in beats to a readable precision
+ */
+function roundBeats(beats) {
+  return Math.round(beats * 1000) / 1000;
+}
+
+// ============================================
+// STANDARD MIDI FILES
+// ============================================
+
+/**
+ * Parse a Standard MIDI File (format 0 or 1)
+ * Each track/channel pair with notes becomes a source
+ */
+function parseMidiFile(buffer) {
+  const view = new DataView(buffer);
+  let offset = 0;
+
+  function readChunk() {
+    const type = String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1),
+      view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+    const length = view.getUint32(offset + 4);
+    const start = offset + 8;
+    offset = start + length;
+    if (offset > buffer.byteLength) throw new Error('MIDI file is truncated.');
+    return { type, start, end: offset };
+  }
+
+  const header = readChunk();
+  if (header.type !== 'MThd') throw new Error('Not a MIDI file.');
+  const trackCount = view.getUint16(header.start + 2);
+  const division = view.getUint16(header.start + 4);
+  if (division & 0x8000) {
+    throw new Error('MIDI files with SMPTE timing are not supported.');
+  }
+
+  let title = '';
+  const sources = [];
+
+  for (let t = 0; t < trackCount && offset < buffer.byteLength; t++) {
+    const chunk = readChunk();
+    if (chunk.type !== 'MTrk') continue;
+
+    const track = parseMidiTrack(view, chunk.start, chunk.end);
+    if (t === 0 && track.name) title = track.name;
+
+    // One source per channel used in this track
+    const channels = [...new Set(track.notes.map(note => note.channel))].sort((a, b) => a - b);
+    for (const channel of channels) {
+      const notes = track.notes
+        .filter(note => note.channel === channel)
+        .map(note => ({ midi: note.midi, start: note.start / division, end: note.end / division }));
+
+      sources.push({
+        id: `${t}:${channel}`,
+        name: `Track ${t + 1}${track.name ? ` (${track.name})` : ''}, channel ${channel + 1}`,
+        notes: toMelodyLine(notes)
+      });
+    }
+  }
+
+  if (sources.length === 0) throw new Error('No notes found in MIDI file.');
+  return { format: 'midi', title, sources };
+}
+
+/**
+ * Parse the events of one MTrk chunk
+ * Returns { name, notes: [{ midi, channel, start, end }] } with times in ticks
+ */
+function parseMidiTrack(view, start, end) {
+  let offset = start;
+  let tick = 0;
+  let runningStatus = 0;
+  let name = '';
+  const notes = [];
+  const sounding = {};
+
+  function readVarLength() {
+    let value = 0;
+    let byte;
+    do {
+      byte = view.getUint8(offset++);
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  }
+
+  function noteOff(channel, key) {
+    const id = `${channel}:${key}`;
+    if (sounding[id] === undefined) return;
+    notes.push({ midi: key, channel, start: sounding[id], end: tick });
+    delete sounding[id];
+  }
+
+  while (offset < end) {
+    tick += readVarLength();
+    let status = view.getUint8(offset);
+
+    if (status < 0x80) {
+      // Running status: reuse the previous status byte
+      status = runningStatus;
+    } else {
+      offset++;
+    }
+
+    if (status === 0xff) {
+      const type = view.getUint8(offset++);
+      const length = readVarLength();
+      if (type === 0x03 && !name) {
+        name = new TextDecoder('utf-8').decode(new Uint8Array(view.buffer, view.byteOffset + offset, length)).trim();
+      }
+      offset += length;
+      if (type === 0x2f) break;
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      offset += readVarLength();
+      continue;
+    }
+
+    runningStatus = status;
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+    const data1 = view.getUint8(offset++);
+    const data2 = type === 0xc0 || type === 0xd0 ? 0 : view.getUint8(offset++);
+
+    if (type === 0x90 && data2 > 0) {
+      // Retriggering a sounding key ends the earlier note
+      noteOff(channel, data1);
+      sounding[`${channel}:${data1}`] = tick;
+    } else if (type === 0x80 || type === 0x90) {
+      noteOff(channel, data1);
+    }
+  }
+
+  // Close notes that never received a note off
+  for (const id of Object.keys(sounding)) {
+    const [channel, key] = id.split(':').map(Number);
+    noteOff(channel, key);
+  }
+
+  return { name, notes };
+}
+
+// ============================================
+// MUSICXML
+// ============================================
+
+/**
+ * Read the text of the first <tag> element in an XML fragment
+ */
+function xmlText(fragment, tag) {
+  const match = fragment.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlEntities(match[1].trim()) : null;
+}
+
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Parse an uncompressed partwise MusicXML score
+ * Each part becomes a source; only the first voice of each part is read
+ */
+function parseMusicXml(text) {
+  if (/<score-timewise/.test(text)) {
+    throw new Error('Timewise MusicXML is not supported. Export as partwise MusicXML instead.');
+  }
+
+  // Strip comments so commented-out notes are not read
+  const xml = text.replace(/<!--[\s\S]*?-->/g, '');
+  const title = xmlText(xml, 'work-title') || xmlText(xml, 'movement-title') || '';
+
+  const partNames = {};
+  for (const match of xml.matchAll(/<score-part\s+id="([^"]+)"[^>]*>([\s\S]*?)<\/score-part>/g)) {
+    partNames[match[1]] = xmlText(match[2], 'part-name') || match[1];
+  }
+
+  const sources = [];
+  for (const match of xml.matchAll(/<part\s+id="([^"]+)"[^>]*>([\s\S]*?)<\/part>/g)) {
+    const notes = parseMusicXmlPart(match[2]);
+    if (notes.length === 0) continue;
+    sources.push({ id: match[1], name: partNames[match[1]] || match[1], notes });
+  }
+
+  if (sources.length === 0) throw new Error('No notes found in MusicXML file.');
+  return { format: 'musicxml', title, sources };
+}
+
+/**
+ * Read the notes of one MusicXML part as a melody line
+ */
+function parseMusicXmlPart(partXml) {
+  let divisions = 1;
+  let position = 0;
+  let lastStart = 0;
+  let firstVoice = null;
+  const notes = [];
+
+  // Walk the elements that move the time position, in document order
+  const elements = partXml.matchAll(/<(divisions)>([^<]*)<\/divisions>|<(backup|forward)>([\s\S]*?)<\/\3>|<(note)(?:\s[^>]*)?>([\s\S]*?)<\/note>/g);
+
+  for (const match of elements) {
+    if (match[1]) {
+      divisions = parseFloat(match[2]) || 1;
+      continue;
+    }
+
+    if (match[3]) {
+      const duration = (parseFloat(xmlText(match[4], 'duration')) || 0) / divisions;
+      position += match[3] === 'backup' ? -duration : duration;
+      continue;
+    }
+
+    const body = match[6];
+    if (/<grace\b/.test(body)) continue;
+
+    const duration = (parseFloat(xmlText(body, 'duration')) || 0) / divisions;
+    // Chord notes start with the note before them and do not move the position
+    const isChord = /<chord\s*\/>/.test(body);
+    const start = isChord ? lastStart : position;
+    if (!isChord) {
+      lastStart = position;
+      position += duration;
+    }
+
+    const voice = xmlText(body, 'voice') || '1';
+    if (firstVoice === null) firstVoice = voice;
+    if (voice !== firstVoice || /<rest\b/.test(body)) continue;
+
+    const step = xmlText(body, 'step');
+    const octave = parseInt(xmlText(body, 'octave'), 10);
+    if (!step || isNaN(octave)) continue;
+    const alter = Math.round(parseFloat(xmlText(body, 'alter')) || 0);
+    const midi = 12 * (octave + 1) + STEP_SEMITONES[step] + alter;
+
+    // A tied continuation extends the previous note instead of starting a new one
+    const previous = notes[notes.length - 1];
+    if (/<tie\s+type="stop"/.test(body) && previous && previous.midi === midi) {
+      previous.end = start + duration;
+      continue;
+    }
+
+    notes.push({ midi, start, end: start + duration });
+  }
+
+  return toMelodyLine(notes);
+}
+
+// ============================================
+// ABC NOTATION
+// ============================================
+
+// Position of each major key on the circle of fifths (sharps positive, flats negative)
+const ABC_KEY_FIFTHS = {
+  'C': 0, 'G': 1, 'D': 2, 'A': 3, 'E': 4, 'B': 5, 'F#': 6, 'C#': 7,
+  'G#': 8, 'D#': 9, 'A#': 10, 'E#': 11, 'B#': 12,
+  'F': -1, 'Bb': -2, 'Eb': -3, 'Ab': -4, 'Db': -5, 'Gb': -6, 'Cb': -7, 'Fb': -8
+};
+
+// Shift on the circle of fifths for each mode relative to major
+const ABC_MODE_FIFTHS = {
+  '': 0, 'maj': 0, 'ion': 0, 'mix': -1, 'dor': -2, 'm': -3, 'min': -3,
+  'aeo': -3, 'phr': -4, 'loc': -5, 'lyd': 1
+};
+
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+
+// Tuplets: (n plays n notes in the time of this many
+const ABC_TUPLET_TIME = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+/**
+ * Get the accidentals of an ABC key signature, e.g. "G" -> { F: 1 }, "Dmix" -> { F: 1 }
+ */
+function parseAbcKey(field) {
+  const text = field.trim() || 'C';
+  if (/^(none|HP|Hp)\b/.test(text)) return {};
+
+  const match = text.match(/^([A-G])([#b]?)\s*([A-Za-z]*)/);
+  if (!match) return {};
+
+  const tonic = match[1] + match[2];
+  const mode = match[3].toLowerCase();
+  const modeShift = ABC_MODE_FIFTHS[mode === 'm' ? mode : mode.slice(0, 3)] ?? 0;
+  let fifths = (ABC_KEY_FIFTHS[tonic] ?? 0) + modeShift;
+
+  // Keys past seven sharps or flats wrap around (e.g. G#m has 5 sharps)
+  if (fifths > 7) fifths -= 12;
+  if (fifths < -7) fifths += 12;
+
+  const accidentals = {};
+  if (fifths > 0) {
+    SHARP_ORDER.slice(0, fifths).forEach(letter => { accidentals[letter] = 1; });
+  } else if (fifths < 0) {
+    [...SHARP_ORDER].reverse().slice(0, -fifths).forEach(letter => { accidentals[letter] = -1; });
+  }
+  return accidentals;
+}
+
+/**
+ * Read an ABC length such as "2", "/", "//", "3/2" as a multiplier
+ */
+function parseAbcLength(text) {
+  if (!text) return 1;
+  const match = text.match(/^(\d*)(\/*)(\d*)$/);
+  if (!match) return 1;
+
+  const numerator = match[1] ? parseInt(match[1], 10) : 1;
+  let denominator = 1;
+  if (match[2]) {
+    denominator = match[3] ? parseInt(match[3], 10) : Math.pow(2, match[2].length);
+  }
+  return numerator / denominator;
+}
+
+/**
+ * Parse the first tune of an ABC file
+ * Only the first voice is read; chords keep their highest note
+ */
+function parseAbc(text) {
+  const lines = text.split(/\r?\n/);
+  let title = '';
+  let unitLength = null;
+  let meter = 1;
+  let keyAccidentals = {};
+  let inBody = false;
+  let tuneCount = 0;
+  let firstVoice = null;
+  let currentVoice = null;
+  const bodyLines = [];
+
+  for (const rawLine of lines) {
+    const line = rawLine.replace(/%.*$/, '');
+    const field = line.match(/^([A-Za-z]):(.*)$/);
+
+    if (field && field[1] === 'X') {
+      tuneCount++;
+      if (tuneCount > 1) break;
+      continue;
+    }
+    if (field) {
+      const [, name, value] = field;
+      if (name === 'T' && !title) title = value.trim();
+      if (name === 'M') {
+        const m = value.trim().match(/^(\d+)\/(\d+)$/);
+        if (m) meter = parseInt(m[1], 10) / parseInt(m[2], 10);
+        else if (/^C\|?$/.test(value.trim())) meter = 1;
+      }
+      if (name === 'L') unitLength = parseAbcLength(value.trim());
+      if (name === 'K') {
+        keyAccidentals = parseAbcKey(value);
+        inBody = true;
+      }
+      if (name === 'V') {
+        currentVoice = value.trim().split(/\s+/)[0];
+        if (firstVoice === null) firstVoice = currentVoice;
+      }
+      continue;
+    }
+
+    if (inBody && (currentVoice === null || currentVoice === firstVoice)) {
+      bodyLines.push({ line, keyAccidentals });
+    }
+  }
+
+  // Default unit note length depends on the meter
+  if (unitLength === null) unitLength = meter < 0.75 ? 1 / 16 : 1 / 8;
+  const beatsPerUnit = unitLength * 4;
+
+  const notes = [];
+  let key = {};
+  let lastLineKey = null;
+  let position = 0;
+  let tieNext = false;
+  let tupletRemaining = 0;
+  let tupletRatio = 1;
+  let brokenNext = 1;
+
+  for (const { line, keyAccidentals: lineKey } of bodyLines) {
+    // A K: field between lines replaces any inline key change
+    if (lineKey !== lastLineKey) {
+      key = lineKey;
+      lastLineKey = lineKey;
+    }
+    let barAccidentals = {};
+
+    // Drop decorations, chord symbols, annotations and grace notes
+    const body = line
+      .replace(/![^!]*!|\+[^+]*\+/g, '')
+      .replace(/"[^"]*"/g, '')
+      .replace(/\{[^}]*\}/g, '');
+
+    const tokens = body.matchAll(/\[K:([^\]]*)\]|\[[A-Za-z]:[^\]]*\]|(\|+|\[\d|:)|\((\d)|\[([^\]]*)\]([\d/]*)|(\^{1,2}|_{1,2}|=)?([A-Ga-gzx])([,']*)([\d/]*)|(-)|([<>]+)/g);
+
+    for (const token of tokens) {
+      if (token[1] !== undefined) {
+        key = parseAbcKey(token[1]);
+        continue;
+      }
+      if (token[2] !== undefined) {
+        // Bar lines cancel accidentals
+        barAccidentals = {};
+        continue;
+      }
+      if (token[3] !== undefined) {
+        // Tuplet: (3 means three notes in the time of two
+        const count = parseInt(token[3], 10);
+        tupletRemaining = count;
+        tupletRatio = (ABC_TUPLET_TIME[count] || 2) / count;
+        continue;
+      }
+      if (token[10] !== undefined) {
+        tieNext = true;
+        continue;
+      }
+      if (token[11] !== undefined) {
+        // Broken rhythm: a>b lengthens a and shortens b
+        const dots = token[11].length;
+        const factor = 1 - Math.pow(0.5, dots);
+        const previous = notes[notes.length - 1];
+        const longer = token[11][0] === '>';
+        if (previous) {
+          const change = previous.duration * factor;
+          previous.duration += longer ? change : -change;
+          previous.end = previous.start + previous.duration;
+          position = previous.end;
+        }
+        brokenNext = longer ? 1 - factor : 1 + factor;
+        continue;
+      }
+
+      let pitches = [];
+      let lengthText;
+      if (token[4] !== undefined) {
+        // Chord: read every note, keep the highest
+        for (const inner of token[4].matchAll(/(\^{1,2}|_{1,2}|=)?([A-Ga-g])([,']*)([\d/]*)/g)) {
+          pitches.push(abcPitch(inner[1], inner[2], inner[3], key, barAccidentals));
+          if (lengthText === undefined) lengthText = inner[4];
+        }
+        lengthText = token[5] || lengthText;
+        if (pitches.length === 0) continue;
+        pitches = [Math.max(...pitches)];
+      } else {
+        lengthText = token[9];
+        if ('zx'.includes(token[7])) {
+          pitches = [];
+        } else {
+          pitches = [abcPitch(token[6], token[7], token[8], key, barAccidentals)];
+        }
+      }
+
+      let duration = parseAbcLength(lengthText) * beatsPerUnit * brokenNext;
+      brokenNext = 1;
+      if (tupletRemaining > 0) {
+        duration *= tupletRatio;
+        tupletRemaining--;
+      }
+
+      if (pitches.length === 0) {
+        // Rest
+        position += duration;
+        tieNext = false;
+        continue;
+      }
+
+      const midi = pitches[0];
+      const previous = notes[notes.length - 1];
+      if (tieNext && previous && previous.midi === midi) {
+        previous.duration += duration;
+        previous.end += duration;
+      } else {
+        notes.push({ midi, start: position, end: position + duration, duration });
+      }
+      tieNext = false;
+      position += duration;
+    }
+  }
+
+  if (notes.length === 0) throw new Error('No notes found in ABC file.');
+  return {
+    format: 'abc',
+    title,
+    sources: [{ id: 'tune', name: title || 'Tune', notes: toMelodyLine(notes) }]
+  };
+}
+
+/**
+ * Get the MIDI number of an ABC note, applying bar and key accidentals
+ * Uppercase C is middle C (C4), lowercase c is C5; "," and "'" move octaves
+ */
+function abcPitch(accidental, letter, octaveMarks, keyAccidentals, barAccidentals) {
+  const step = letter.toUpperCase();
+  let octave = letter === step ? 4 : 5;
+  for (const mark of octaveMarks) {
+    octave += mark === "'" ? 1 : -1;
+  }
+
+  const barKey = `${step}${octave}`;
+  let alter;
+  if (accidental) {
+    alter = { '^': 1, '^^': 2, '_': -1, '__': -2, '=': 0 }[accidental];
+    barAccidentals[barKey] = alter;
+  } else if (barAccidentals[barKey] !== undefined) {
+    alter = barAccidentals[barKey];
+  } else {
+    alter = keyAccidentals[step] || 0;
+  }
+
+  return 12 * (octave + 1) + STEP_SEMITONES[step] + alter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { parseMelodyFile, parseMidiFile, parseMusicXml, parseAbc };
+}
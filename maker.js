@@ -0,0 +1,202 @@
+// ============================================
+// FLUTE MAKING
+// ============================================
+// Where to cut the tube and drill the holes for a flute in a given key. The flute
+// is an open pipe sounding half a wavelength; the embouchure hole, the open foot and
+// each hole add an end correction to the tube's length (Benade's formulas, as used
+// by Flutomat). Lengths are in millimetres.
+
+// Tuning and theory helpers, loaded like theoryImports in theory.js
+const makerImports = typeof module !== 'undefined' && module.exports
+  ? { ...require('./tuning.js'), ...require('./theory.js') }
+  : {
+    DEFAULT_A4, FLUTE_SIZES, SWARA_NAMES, midiToFrequency, getRootNoteIndex,
+    getFluteSaMidi, getHoleIntervals, getRegisterName, spellMidi
+  };
+
+// Starting measurements for a medium flute
+const MAKER_DEFAULTS = {
+  a4: makerImports.DEFAULT_A4,
+  bore: 19,         // inner diameter of the tube
+  wall: 3,          // wall thickness
+  embouchure: 10,   // embouchure hole diameter
+  holes: 9,         // finger hole diameter, or one per hole from the top
+  temperature: 25   // air temperature in the flute, in °C
+};
+
+// The stopper sits this many bore diameters above the centre of the embouchure hole
+const STOPPER_BORE_RATIO = 1;
+
+// Open end correction of an unflanged pipe, in bore radii (Levine and Schwinger)
+const OPEN_END_CORRECTION = 0.6133;
+
+// Columns of the dimensions table exported as CSV
+const MAKER_CSV_COLUMNS = [
+  'Position', 'Note', 'Swara', 'Frequency (Hz)', 'Diameter (mm)',
+  'From top (mm)', 'From embouchure (mm)', 'From foot (mm)'
+];
+
+/**
+ * Get the speed of sound in air at a temperature in °C, in mm per second
+ */
+function getSpeedOfSound(temperature) {
+  return 331300 * Math.sqrt(1 + temperature / 273.15);
+}
+
+/**
+ * Read a measurement that has to be a positive number of millimetres
+ * Throws an Error naming the measurement otherwise
+ */
+function readMeasurement(value, name) {
+  if (!(value > 0)) throw new Error(`${name} must be a size in mm, not "${value}".`);
+  return value;
+}
+
+/**
+ * Work out the tube length and hole positions of a flute
+ * Each finger hole is placed so that, open with every hole above it closed, the
+ * flute sounds the note getHoleIntervals gives for it; the foot is cut for the
+ * note with every hole closed. Holes are placed from the foot up, each one
+ * acting in parallel with the open bore below it.
+ * @param {string} fluteName - Key of the flute (e.g. "E")
+ * @param {Object} options - size ('base', 'medium' or 'small') and any of MAKER_DEFAULTS
+ * Throws an Error for an unknown flute or size or a measurement that cannot be used
+ * Returns { fluteName, size, a4, temperature, bore, wall, length, embouchure, foot, holes, warnings }:
+ * length runs from the stopper to the foot, embouchure is { diameter, fromTop, correction },
+ * foot and each hole are { interval, register, midi, frequency, fromTop, fromEmbouchure, fromFoot }
+ * with the holes numbered from the top, and warnings lists holes that would overlap
+ */
+function calculateFluteDimensions(fluteName, options = {}) {
+  const settings = { ...MAKER_DEFAULTS, size: 'medium', ...options };
+  if (makerImports.getRootNoteIndex(fluteName) === -1) throw new Error(`Unknown flute "${fluteName}".`);
+  if (!(settings.size in makerImports.FLUTE_SIZES)) throw new Error(`Unknown flute size "${settings.size}".`);
+  readMeasurement(settings.a4, 'A4');
+  const bore = readMeasurement(settings.bore, 'Bore diameter');
+  const wall = readMeasurement(settings.wall, 'Wall thickness');
+  const embouchure = readMeasurement(settings.embouchure, 'Embouchure diameter');
+
+  // Hole n sounds the n-th note of getHoleIntervals (every hole above it closed); the foot the last
+  const notes = makerImports.getHoleIntervals();
+  const holeCount = notes.length - 1;
+  const diameters = Array.isArray(settings.holes) ? settings.holes : new Array(holeCount).fill(settings.holes);
+  if (diameters.length !== holeCount) {
+    throw new Error(`Give one finger hole diameter, or one for each of the ${holeCount} holes.`);
+  }
+  diameters.forEach((diameter, i) => {
+    readMeasurement(diameter, `Hole ${i + 1}`);
+    if (diameter >= bore) throw new Error(`Hole ${i + 1} must be narrower than the bore.`);
+  });
+
+  const speed = getSpeedOfSound(settings.temperature);
+  const saMidi = makerImports.getFluteSaMidi(fluteName, settings.size);
+  const embouchureCorrection = (bore / embouchure) ** 2 * 10.84 * wall * embouchure / (bore + 2 * wall);
+  const closedCorrections = diameters.map(diameter => 0.25 * wall * (diameter / bore) ** 2);
+  const endCorrection = OPEN_END_CORRECTION * bore / 2;
+
+  // Length from the embouchure to where each note's standing wave ends: half a
+  // wavelength, less the embouchure and the closed holes above the first open one
+  const positions = notes.map(({ interval, register }, i) => {
+    const midi = saMidi + interval + 12 * register;
+    const frequency = makerImports.midiToFrequency(midi, settings.a4);
+    const closedAbove = closedCorrections.slice(0, i).reduce((sum, correction) => sum + correction, 0);
+    return { interval, register, midi, frequency, acousticLength: speed / (2 * frequency) - embouchureCorrection - closedAbove };
+  });
+
+  const foot = positions[holeCount];
+  foot.fromEmbouchure = foot.acousticLength - endCorrection;
+
+  // Open hole and the bore below it are two parallel paths to the air: solving
+  // x + h·s / (h + s) = L with s the bore left below the hole gives its position
+  let termination = foot.acousticLength;
+  for (let i = holeCount - 1; i >= 0; i--) {
+    const hole = positions[i];
+    const height = (wall + 0.75 * diameters[i]) * (bore / diameters[i]) ** 2;
+    const shortfall = termination - hole.acousticLength;
+    const below = (shortfall + Math.sqrt(shortfall * shortfall + 4 * shortfall * height)) / 2;
+    hole.fromEmbouchure = termination - below;
+    termination = hole.acousticLength;
+  }
+
+  const stopper = STOPPER_BORE_RATIO * bore;
+  const length = stopper + foot.fromEmbouchure;
+  const place = ({ interval, register, midi, frequency, fromEmbouchure }) => ({
+    interval, register, midi, frequency,
+    fromTop: stopper + fromEmbouchure,
+    fromEmbouchure,
+    fromFoot: foot.fromEmbouchure - fromEmbouchure
+  });
+  const holes = positions.slice(0, holeCount).map((position, i) => ({ number: i + 1, diameter: diameters[i], ...place(position) }));
+
+  const warnings = [];
+  if (holes[0].fromEmbouchure < (embouchure + diameters[0]) / 2) {
+    warnings.push('Hole 1 overlaps the embouchure hole; use a smaller hole 1 or a narrower bore.');
+  }
+  for (let i = 1; i < holes.length; i++) {
+    if (holes[i].fromEmbouchure - holes[i - 1].fromEmbouchure < (holes[i].diameter + holes[i - 1].diameter) / 2) {
+      warnings.push(`Holes ${i} and ${i + 1} overlap; use smaller holes or a wider bore.`);
+    }
+  }
+
+  return {
+    fluteName,
+    size: settings.size,
+    a4: settings.a4,
+    temperature: settings.temperature,
+    bore,
+    wall,
+    length,
+    embouchure: { diameter: embouchure, fromTop: stopper, correction: embouchureCorrection },
+    foot: place(foot),
+    holes,
+    warnings
+  };
+}
+
+/**
+ * Name the note a hole plays as a swara with its register, e.g. "mandra Ni"
+ */
+function describeMakerSwara({ interval, register }) {
+  const swara = makerImports.SWARA_NAMES[interval];
+  return register === 0 ? swara : `${makerImports.getRegisterName(register * 12)} ${swara}`;
+}
+
+/**
+ * Quote a CSV field when it holds a comma, quote or line break
+ */
+function csvField(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the dimensions table of a flute from calculateFluteDimensions as CSV
+ * Rows run from the stopper to the foot; lengths are rounded to 0.1 mm
+ * Returns CSV text with a header row (MAKER_CSV_COLUMNS)
+ */
+function buildMakerCsv(design) {
+  const saIndex = makerImports.getRootNoteIndex(design.fluteName);
+  const stopper = design.embouchure.fromTop;
+  const mm = value => value.toFixed(1);
+  const row = (name, position, diameter) => [
+    name,
+    position.midi !== undefined ? makerImports.spellMidi(position.midi, saIndex) : '',
+    position.midi !== undefined ? describeMakerSwara(position) : '',
+    position.midi !== undefined ? position.frequency.toFixed(2) : '',
+    mm(diameter),
+    mm(position.fromTop),
+    mm(position.fromEmbouchure),
+    mm(position.fromFoot)
+  ];
+  const rows = [
+    MAKER_CSV_COLUMNS,
+    row('Stopper', { fromTop: 0, fromEmbouchure: -stopper, fromFoot: design.length }, design.bore),
+    row('Embouchure', { fromTop: stopper, fromEmbouchure: 0, fromFoot: design.length - stopper }, design.embouchure.diameter),
+    ...design.holes.map(hole => row(`Hole ${hole.number}`, hole, hole.diameter)),
+    row('Foot', design.foot, design.bore)
+  ];
+  return rows.map(fields => fields.map(csvField).join(',')).join('\n') + '\n';
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MAKER_DEFAULTS, getSpeedOfSound, calculateFluteDimensions, buildMakerCsv };
+}
@@ -0,0 +1,22 @@
+// ============================================
+// PITCH DETECTION WORKLET
+// ============================================
+// Tracks the pitch of live input on the audio thread and posts each frame to the
+// page. Load pitch.js into the worklet first; it shares createPitchTracker on globalThis.
+
+class PitchDetectorProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    this.tracker = globalThis.createPitchTracker(sampleRate, options.processorOptions || {});
+  }
+
+  process(inputs) {
+    const channel = inputs[0] && inputs[0][0];
+    if (channel) {
+      for (const frame of this.tracker.push(channel)) this.port.postMessage(frame);
+    }
+    return true;
+  }
+}
+
+registerProcessor('pitch-detector', PitchDetectorProcessor);
@@ -0,0 +1,305 @@
+// ============================================
+// PITCH DETECTION
+// ============================================
+// Monophonic pitch detection with the YIN algorithm (de Cheveigné & Kawahara, 2002),
+// plus helpers to turn a pitch track into a list of notes. Works on plain
+// Float32Arrays so it runs the same on decoded files and live input.
+
+const PITCH_DETECTION = {
+  analysisRate: 11025,   // recordings are downsampled to about this rate before analysis
+  frameSize: 1024,       // samples per analysis window (at the analysis rate)
+  hopSize: 256,          // samples between windows
+  minFrequency: 70,      // Hz
+  maxFrequency: 2500,    // Hz, above ati-taar Sa of small flutes
+  threshold: 0.15,       // YIN absolute threshold
+  silence: 0.02,         // frames quieter than this share of the loudest frame are unvoiced
+  minNoteDuration: 0.08, // seconds; shorter notes are treated as glitches
+  liveSilence: 0.01      // live input quieter than this RMS level is unvoiced
+};
+
+/**
+ * Detect the pitch of one frame with YIN
+ * @param {Float32Array} frame - Samples; the first half is compared against lags into the second
+ * @param {number} sampleRate - Sample rate of the frame
+ * Returns { frequency, clarity } with frequency null when no pitch is found
+ */
+function detectPitchYin(frame, sampleRate, options = {}) {
+  const settings = { ...PITCH_DETECTION, ...options };
+  const windowSize = Math.floor(frame.length / 2);
+  const minLag = Math.max(2, Math.floor(sampleRate / settings.maxFrequency));
+  const maxLag = Math.min(windowSize - 1, Math.ceil(sampleRate / settings.minFrequency));
+  if (maxLag <= minLag) return { frequency: null, clarity: 0 };
+
+  // Difference function d(tau)
+  const difference = new Float32Array(maxLag + 1);
+  for (let lag = 1; lag <= maxLag; lag++) {
+    let sum = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const delta = frame[i] - frame[i + lag];
+      sum += delta * delta;
+    }
+    difference[lag] = sum;
+  }
+
+  // Cumulative mean normalized difference d'(tau)
+  const normalized = new Float32Array(maxLag + 1);
+  normalized[0] = 1;
+  let runningSum = 0;
+  for (let lag = 1; lag <= maxLag; lag++) {
+    runningSum += difference[lag];
+    normalized[lag] = runningSum > 0 ? difference[lag] * lag / runningSum : 1;
+  }
+
+  // First dip below the threshold, followed down to its local minimum
+  let bestLag = -1;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (normalized[lag] < settings.threshold) {
+      while (lag + 1 <= maxLag && normalized[lag + 1] < normalized[lag]) lag++;
+      bestLag = lag;
+      break;
+    }
+  }
+  if (bestLag === -1) return { frequency: null, clarity: 0 };
+
+  // Parabolic interpolation around the minimum for sub-sample accuracy
+  let refinedLag = bestLag;
+  if (bestLag > 1 && bestLag < maxLag) {
+    const left = normalized[bestLag - 1];
+    const centre = normalized[bestLag];
+    const right = normalized[bestLag + 1];
+    const denominator = left - 2 * centre + right;
+    if (denominator !== 0) refinedLag = bestLag + (left - right) / (2 * denominator);
+  }
+
+  return { frequency: sampleRate / refinedLag, clarity: 1 - normalized[bestLag] };
+}
+
+/**
+ * Downsample by an integer factor, averaging each block as a simple low-pass filter
+ * Returns { samples, sampleRate }
+ */
+function downsample(samples, sampleRate, targetRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / targetRate));
+  if (factor === 1) return { samples, sampleRate };
+
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    output[i] = sum / factor;
+  }
+  return { samples: output, sampleRate: sampleRate / factor };
+}
+
+/**
+ * Mix an AudioBuffer-like object ({ numberOfChannels, getChannelData }) down to mono
+ */
+function mixToMono(audioBuffer) {
+  const channels = audioBuffer.numberOfChannels;
+  const mono = new Float32Array(audioBuffer.length);
+  for (let c = 0; c < channels; c++) {
+    const data = audioBuffer.getChannelData(c);
+    for (let i = 0; i < mono.length; i++) mono[i] += data[i] / channels;
+  }
+  return mono;
+}
+
+/**
+ * Track the pitch of a whole recording
+ * Runs in slices and yields between them so the page stays responsive
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of the samples
+ * @param {Function} onProgress - Called with the fraction done (0-1)
+ * Returns a promise of [{ time, frequency, clarity }] (frequency null when unvoiced)
+ */
+async function analyzePitchTrack(samples, sampleRate, onProgress = () => {}, options = {}) {
+  const settings = { ...PITCH_DETECTION, ...options };
+  const input = downsample(samples, sampleRate, settings.analysisRate);
+  const data = input.samples;
+  const rate = input.sampleRate;
+
+  // Loudness of each frame, for the silence gate
+  const frameStarts = [];
+  for (let start = 0; start + settings.frameSize <= data.length; start += settings.hopSize) {
+    frameStarts.push(start);
+  }
+  const levels = frameStarts.map(start => {
+    let sum = 0;
+    for (let i = start; i < start + settings.frameSize; i++) sum += data[i] * data[i];
+    return Math.sqrt(sum / settings.frameSize);
+  });
+  const loudest = Math.max(0, ...levels);
+
+  const frames = [];
+  const sliceSize = 200;
+  for (let i = 0; i < frameStarts.length; i++) {
+    const start = frameStarts[i];
+    const time = (start + settings.frameSize / 4) / rate;
+    if (levels[i] < loudest * settings.silence) {
+      frames.push({ time, frequency: null, clarity: 0 });
+    } else {
+      const frame = data.subarray(start, start + settings.frameSize);
+      frames.push({ time, ...detectPitchYin(frame, rate, settings) });
+    }
+
+    if (i % sliceSize === sliceSize - 1) {
+      onProgress(i / frameStarts.length);
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  onProgress(1);
+  return frames;
+}
+
+/**
+ * Follow the pitch of a stream of samples as they arrive
+ * Samples are downsampled to about the analysis rate; every hop the latest frame is
+ * analysed. The microphone worklet (pitch-worklet.js) and trackPitch feed it the same way.
+ * @param {number} sampleRate - Sample rate of the incoming samples
+ * Returns { push(samples) } where push takes a Float32Array block and returns the
+ * [{ time, frequency, clarity, level }] frames it completed (time in seconds from the start)
+ */
+function createPitchTracker(sampleRate, options = {}) {
+  const settings = { ...PITCH_DETECTION, ...options };
+  const factor = Math.max(1, Math.floor(sampleRate / settings.analysisRate));
+  const rate = sampleRate / factor;
+  const ring = new Float32Array(settings.frameSize);
+  let write = 0;
+  let filled = 0;
+  let sinceFrame = 0;
+  let blockSum = 0;
+  let blockCount = 0;
+  let received = 0;
+
+  function analyse() {
+    // Unroll the ring so the frame runs oldest to newest
+    const frame = new Float32Array(settings.frameSize);
+    frame.set(ring.subarray(write));
+    frame.set(ring.subarray(0, write), settings.frameSize - write);
+
+    let sum = 0;
+    for (let i = 0; i < frame.length; i++) sum += frame[i] * frame[i];
+    const level = Math.sqrt(sum / frame.length);
+    const time = received / sampleRate;
+    if (level < settings.liveSilence) return { time, frequency: null, clarity: 0, level };
+    return { time, ...detectPitchYin(frame, rate, settings), level };
+  }
+
+  return {
+    push(samples) {
+      const frames = [];
+      for (let i = 0; i < samples.length; i++) {
+        received++;
+        blockSum += samples[i];
+        if (++blockCount < factor) continue;
+
+        ring[write] = blockSum / factor;
+        write = (write + 1) % settings.frameSize;
+        blockSum = 0;
+        blockCount = 0;
+        filled = Math.min(filled + 1, settings.frameSize);
+        if (++sinceFrame >= settings.hopSize && filled === settings.frameSize) {
+          sinceFrame = 0;
+          frames.push(analyse());
+        }
+      }
+      return frames;
+    }
+  };
+}
+
+/**
+ * Track the pitch of recorded samples the way live input is tracked, in blocks of 128
+ * (the Web Audio render quantum), so recordings can stand in for the microphone
+ * Returns [{ time, frequency, clarity, level }]
+ */
+function trackPitch(samples, sampleRate, options = {}) {
+  const tracker = createPitchTracker(sampleRate, options);
+  const frames = [];
+  for (let start = 0; start < samples.length; start += 128) {
+    frames.push(...tracker.push(samples.subarray(start, start + 128)));
+  }
+  return frames;
+}
+
+/**
+ * Quantize a frequency to the nearest equal-tempered note
+ * Returns { midi, cents } where cents is the deviation from that note (-50 to +50)
+ */
+function frequencyToNote(frequency, a4 = 440) {
+  const exact = 69 + 12 * Math.log2(frequency / a4);
+  const midi = Math.round(exact);
+  return { midi, cents: Math.round((exact - midi) * 100) };
+}
+
+/**
+ * Group a pitch track into notes
+ * Frames are median-smoothed, then runs of the same quantized note become one note.
+ * Returns [{ midi, start, end, cents }] with times in seconds and the mean cents deviation
+ */
+function segmentNotes(frames, options = {}) {
+  const settings = { ...PITCH_DETECTION, ...options };
+  const a4 = options.a4 || 440;
+  const exact = frames.map(f => (f.frequency ? 69 + 12 * Math.log2(f.frequency / a4) : null));
+
+  // Median of five frames removes single-frame octave jumps
+  const smoothed = exact.map((value, i) => {
+    if (value === null) return null;
+    const window = exact.slice(Math.max(0, i - 2), i + 3).filter(v => v !== null).sort((a, b) => a - b);
+    return window[Math.floor(window.length / 2)];
+  });
+
+  const hop = frames.length > 1 ? frames[1].time - frames[0].time : 0;
+  const notes = [];
+  let current = null;
+
+  function finish() {
+    if (current && current.end - current.start >= settings.minNoteDuration) {
+      const mean = current.values.reduce((a, b) => a + b, 0) / current.values.length;
+      notes.push({
+        midi: current.midi,
+        start: current.start,
+        end: current.end,
+        cents: Math.round((mean - current.midi) * 100)
+      });
+    }
+    current = null;
+  }
+
+  smoothed.forEach((value, i) => {
+    if (value === null) {
+      finish();
+      return;
+    }
+    const midi = Math.round(value);
+    if (!current || current.midi !== midi) {
+      finish();
+      current = { midi, start: frames[i].time, end: frames[i].time + hop, values: [] };
+    }
+    current.end = frames[i].time + hop;
+    current.values.push(value);
+  });
+  finish();
+
+  // Join repeats of the same note split by a very short dropout
+  const merged = [];
+  for (const note of notes) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.midi === note.midi && note.start - previous.end < settings.minNoteDuration) {
+      previous.end = note.end;
+    } else {
+      merged.push({ ...note });
+    }
+  }
+  return merged;
+}
+
+// The pitch-detection worklet loads this file as a module; modules there share only globalThis
+if (typeof AudioWorkletGlobalScope !== 'undefined') {
+  globalThis.createPitchTracker = createPitchTracker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PITCH_DETECTION, detectPitchYin, createPitchTracker, trackPitch, frequencyToNote, segmentNotes };
+}
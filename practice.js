@@ -0,0 +1,140 @@
+// ============================================
+// PRACTICE
+// ============================================
+// Step through target notes one at a time, moving on once each is held in tune.
+// The session is fed pitch frames (see createPitchTracker in pitch.js) from the
+// microphone or from a recording, so it never touches the DOM or Web Audio.
+
+// Tuning and pitch-tracking helpers, loaded like theoryImports in theory.js
+const practiceImports = typeof module !== 'undefined' && module.exports
+  ? { ...require('./tuning.js'), ...require('./pitch.js') }
+  : { DEFAULT_A4, midiToFrequency, getCentsBetween, trackPitch };
+
+const PRACTICE_SETTINGS = {
+  tolerance: 20,  // cents either side of the target that count as in tune
+  holdTime: 0.6,  // seconds a note must stay in tune before moving on
+  a4: practiceImports.DEFAULT_A4
+};
+
+// Pitches further than this from the target are heard as another note, not a wide one
+const PRACTICE_NOTE_RANGE = 50;
+
+/**
+ * Start a practice session
+ * @param {Array} targets - [{ midi, note, label }] in the order they are played
+ * Returns { update(frame), skip(), isDone(), getSummary() }; update takes a
+ * { time, frequency } frame and returns the session state after it
+ */
+function createPracticeSession(targets, options = {}) {
+  const settings = { ...PRACTICE_SETTINGS, ...options };
+  const steps = targets.map(target => ({
+    target, start: null, end: null, skipped: false, frames: 0, inTuneFrames: 0, centsSum: 0
+  }));
+  let index = 0;
+  let heldSince = null;
+
+  function getState(extra) {
+    return {
+      index,
+      total: steps.length,
+      target: index < steps.length ? steps[index].target : null,
+      done: index >= steps.length,
+      frequency: null,
+      midi: null,
+      cents: null,
+      inTune: false,
+      held: 0,
+      advanced: false,
+      ...extra
+    };
+  }
+
+  function finishStep(time, skipped) {
+    const step = steps[index];
+    step.end = time;
+    step.skipped = skipped;
+    index++;
+    heldSince = null;
+  }
+
+  return {
+    update(frame) {
+      if (index >= steps.length) return getState();
+      const step = steps[index];
+      if (step.start === null) step.start = frame.time;
+      if (!frame.frequency) {
+        heldSince = null;
+        return getState();
+      }
+
+      const targetFrequency = practiceImports.midiToFrequency(step.target.midi, settings.a4);
+      const cents = practiceImports.getCentsBetween(frame.frequency, targetFrequency);
+      const midi = Math.round(69 + 12 * Math.log2(frame.frequency / settings.a4));
+      const inTune = Math.abs(cents) <= settings.tolerance;
+
+      if (Math.abs(cents) <= PRACTICE_NOTE_RANGE) {
+        step.frames++;
+        step.centsSum += cents;
+        if (inTune) step.inTuneFrames++;
+      }
+
+      if (!inTune) {
+        heldSince = null;
+        return getState({ frequency: frame.frequency, midi, cents });
+      }
+
+      if (heldSince === null) heldSince = frame.time;
+      const held = frame.time - heldSince;
+      if (held < settings.holdTime) {
+        return getState({ frequency: frame.frequency, midi, cents, inTune, held });
+      }
+      finishStep(frame.time, false);
+      return getState({ frequency: frame.frequency, midi, cents, inTune, held, advanced: true });
+    },
+
+    skip(time = null) {
+      if (index >= steps.length) return getState();
+      finishStep(time, true);
+      return getState({ advanced: true });
+    },
+
+    isDone() {
+      return index >= steps.length;
+    },
+
+    /**
+     * Returns [{ note, midi, label, completed, skipped, time, cents, accuracy }] for each
+     * target: seconds taken to play it, its average cents while on the note, and the
+     * percentage of that time it was in tune (null when it was never played near the note)
+     */
+    getSummary() {
+      return steps.map(step => ({
+        note: step.target.note,
+        midi: step.target.midi,
+        label: step.target.label,
+        completed: step.end !== null && !step.skipped,
+        skipped: step.skipped,
+        time: step.end !== null && step.start !== null && !step.skipped ? step.end - step.start : null,
+        cents: step.frames > 0 ? step.centsSum / step.frames : null,
+        accuracy: step.frames > 0 ? Math.round(step.inTuneFrames / step.frames * 100) : null
+      }));
+    }
+  };
+}
+
+/**
+ * Run a practice session against recorded samples instead of the microphone
+ * Returns the session summary (see createPracticeSession)
+ */
+function practiceWithRecording(samples, sampleRate, targets, options = {}) {
+  const session = createPracticeSession(targets, options);
+  for (const frame of practiceImports.trackPitch(samples, sampleRate, options)) {
+    session.update(frame);
+    if (session.isDone()) break;
+  }
+  return session.getSummary();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PRACTICE_SETTINGS, createPracticeSession, practiceWithRecording };
+}
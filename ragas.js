@@ -0,0 +1,44 @@
+// ============================================
+// THAATS AND RAGAS
+// ============================================
+// The ten thaats of the Bhatkhande system and common ragas.
+// Thaat intervals are semitones above Sa. Raga aroha/avaroha use the sargam
+// input letters (S r R g G m M P d D n N; lowercase r g d n are komal, M is
+// tivra Ma, "." marks mandra and "'" marks taar). Vadi and samvadi are letters too.
+
+const THAATS = [
+  { name: 'Bilawal', intervals: [0, 2, 4, 5, 7, 9, 11] },
+  { name: 'Kalyan', intervals: [0, 2, 4, 6, 7, 9, 11] },
+  { name: 'Khamaj', intervals: [0, 2, 4, 5, 7, 9, 10] },
+  { name: 'Kafi', intervals: [0, 2, 3, 5, 7, 9, 10] },
+  { name: 'Asavari', intervals: [0, 2, 3, 5, 7, 8, 10] },
+  { name: 'Bhairavi', intervals: [0, 1, 3, 5, 7, 8, 10] },
+  { name: 'Bhairav', intervals: [0, 1, 4, 5, 7, 8, 11] },
+  { name: 'Marwa', intervals: [0, 1, 4, 6, 7, 9, 11] },
+  { name: 'Purvi', intervals: [0, 1, 4, 6, 7, 8, 11] },
+  { name: 'Todi', intervals: [0, 1, 3, 6, 7, 8, 11] }
+];
+
+const RAGAS = [
+  { name: 'Yaman', thaat: 'Kalyan', aroha: ".N R G M D N S'", avaroha: "S' N D P M G R S", vadi: 'G', samvadi: 'N' },
+  { name: 'Bhupali', thaat: 'Kalyan', aroha: "S R G P D S'", avaroha: "S' D P G R S", vadi: 'G', samvadi: 'D' },
+  { name: 'Bilawal', thaat: 'Bilawal', aroha: "S R G m P D N S'", avaroha: "S' N D P m G R S", vadi: 'D', samvadi: 'G' },
+  { name: 'Durga', thaat: 'Bilawal', aroha: "S R m P D S'", avaroha: "S' D P m R S", vadi: 'm', samvadi: 'S' },
+  { name: 'Hamsadhwani', thaat: 'Bilawal', aroha: "S R G P N S'", avaroha: "S' N P G R S", vadi: 'S', samvadi: 'P' },
+  { name: 'Khamaj', thaat: 'Khamaj', aroha: "S G m P D N S'", avaroha: "S' n D P m G R S", vadi: 'G', samvadi: 'N' },
+  { name: 'Desh', thaat: 'Khamaj', aroha: "S R m P N S'", avaroha: "S' n D P m G R S", vadi: 'R', samvadi: 'P' },
+  { name: 'Kafi', thaat: 'Kafi', aroha: "S R g m P D n S'", avaroha: "S' n D P m g R S", vadi: 'P', samvadi: 'S' },
+  { name: 'Bageshri', thaat: 'Kafi', aroha: "S g m D n S'", avaroha: "S' n D m g R S", vadi: 'm', samvadi: 'S' },
+  { name: 'Bhimpalasi', thaat: 'Kafi', aroha: ".n S g m P n S'", avaroha: "S' n D P m g R S", vadi: 'm', samvadi: 'S' },
+  { name: 'Asavari', thaat: 'Asavari', aroha: "S R m P d S'", avaroha: "S' n d P m g R S", vadi: 'd', samvadi: 'g' },
+  { name: 'Bhairavi', thaat: 'Bhairavi', aroha: "S r g m P d n S'", avaroha: "S' n d P m g r S", vadi: 'm', samvadi: 'S' },
+  { name: 'Malkauns', thaat: 'Bhairavi', aroha: "S g m d n S'", avaroha: "S' n d m g S", vadi: 'm', samvadi: 'S' },
+  { name: 'Bhairav', thaat: 'Bhairav', aroha: "S r G m P d N S'", avaroha: "S' N d P m G r S", vadi: 'd', samvadi: 'r' },
+  { name: 'Marwa', thaat: 'Marwa', aroha: ".N r G M D N D S'", avaroha: "S' N D M G r S", vadi: 'r', samvadi: 'D' },
+  { name: 'Purvi', thaat: 'Purvi', aroha: "S r G M P d N S'", avaroha: "S' N d P M G r S", vadi: 'G', samvadi: 'N' },
+  { name: 'Todi', thaat: 'Todi', aroha: "S r g M P d N S'", avaroha: "S' N d P M g r S", vadi: 'd', samvadi: 'g' }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { THAATS, RAGAS };
+}
@@ -0,0 +1,76 @@
+// ============================================
+// SERVICE WORKER
+// ============================================
+// Precaches every file the app needs so it opens and runs with no connection.
+// Bump CACHE_VERSION whenever a cached file changes: the new worker installs
+// alongside the old one and waits until the page asks it to take over, then
+// the old cache is deleted.
+
+const CACHE_VERSION = 'bansuri-v17';
+const CACHE_PREFIX = 'bansuri-';
+
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'styles.css',
+  'ragas.js',
+  'tuning.js',
+  'theory.js',
+  'importers.js',
+  'audio.js',
+  'pitch.js',
+  'pitch-worklet.js',
+  'practice.js',
+  'maker.js',
+  'export.js',
+  'app.js',
+  'manifest.webmanifest',
+  'icons/icon.svg',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'icons/icon-maskable-512.png',
+  'icons/apple-touch-icon.png',
+  'High level App Description.html'
+];
+
+self.addEventListener('install', (event) => {
+  // 'reload' skips the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(CACHE_VERSION).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_VERSION)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page posts this when the user accepts the update prompt
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') self.skipWaiting();
+});
+
+/**
+ * Serve from this version's cache, falling back to the network.
+ * Page loads (any hash or query) are answered with the cached index.html.
+ */
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  event.respondWith(
+    caches.open(CACHE_VERSION).then(async (cache) => {
+      const cached = request.mode === 'navigate'
+        ? await cache.match(request, { ignoreSearch: true }) || await cache.match('index.html')
+        : await cache.match(request, { ignoreSearch: true });
+      return cached || fetch(request);
+    })
+  );
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { parseFluteList } = require('../bin/bansuri-notes.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'bansuri-notes.js');
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+/**
+ * Run the command line tool
+ * Returns { status, stdout, stderr }
+ */
+function run(...args) {
+  return spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8', timeout: 30000 });
+}
+
+test('parseFluteList reads keys, sizes and tunings', () => {
+  assert.deepEqual(parseFluteList('E, G/base,Bb@432'), [
+    { fluteName: 'E', size: 'medium', tuning: null },
+    { fluteName: 'G', size: 'base', tuning: null },
+    { fluteName: 'A#', size: 'medium', tuning: 432 }
+  ]);
+  assert.throws(() => parseFluteList('E/huge'), /Cannot read flute "E\/huge"/);
+  assert.throws(() => parseFluteList(' , '), /--flutes needs at least one flute/);
+  for (const entry of ['E@.', 'E@1.2.3', 'E@0', 'E@0.0', 'E@432abc']) {
+    assert.throws(() => parseFluteList(entry), /Cannot read flute/, entry);
+  }
+});
+
+test('prints a table of ranked flutes for a note list', () => {
+  const { status, stdout } = run('C D E F G A B');
+  assert.equal(status, 0);
+  assert.match(stdout, /^C D E F G A B: 7 notes\n/);
+  assert.match(stdout, /\n {2}1 {2}F +100% +100%/);
+  assert.equal(stdout.trim().split('\n').length, 5);
+});
+
+test('prints JSON for every song in a song library, melody file and text file', () => {
+  const { status, stdout } = run('--json', '--top', '1',
+    path.join(FIXTURES, 'library.json'), path.join(FIXTURES, 'tune.abc'), path.join(FIXTURES, 'songbook.txt'));
+  assert.equal(status, 0);
+  const { songs } = JSON.parse(stdout);
+  assert.deepEqual(songs.map(song => song.title), ['Sargam on A', 'Western', 'Test Tune', 'songbook.txt:2', 'songbook.txt:3']);
+  // Sargam in a library song is read with Sa on the song's flute (E on an A flute)
+  assert.equal(songs[0].results[0].fluteName, 'A');
+  assert.ok(songs.every(song => song.results.length === 1 && song.covered));
+});
+
+test('ranks only the given flutes', () => {
+  const { stdout } = run('--json', '--top', '0', '--flutes', 'E,G/base', 'C D E');
+  const [song] = JSON.parse(stdout).songs;
+  assert.deepEqual(song.results.map(r => `${r.fluteName}/${r.size}`).sort(), ['E/medium', 'G/base']);
+});
+
+test('matches ragas with --raga', () => {
+  const { status, stdout } = run('--raga', '--top', '1', '--sa', 'D', 'S R G P D');
+  assert.equal(status, 0);
+  assert.match(stdout, /Score +Fit +Coverage/);
+  assert.match(stdout, /100 +100% +100%/);
+});
+
+test('reports songs without notes and bad options', () => {
+  const noNotes = run('xyz');
+  assert.equal(noNotes.status, 1);
+  assert.match(noNotes.stdout, /No notes found/);
+
+  const badDesign = run('--design', 'nope', 'C D E');
+  assert.equal(badDesign.status, 2);
+  assert.match(badDesign.stderr, /Unknown flute design "nope"/);
+
+  for (const [option, args] of [['--tolerance', ['--tolerance', 'abc']], ['--tolerance', ['--tolerance=-5']],
+    ['--a4', ['--a4', 'abc']], ['--a4', ['--a4', '432x']], ['--a4', ['--a4', '0']]]) {
+    const bad = run(...args, 'C D E');
+    assert.equal(bad.status, 2, args.join(' '));
+    assert.match(bad.stderr, new RegExp(`${option} must be`));
+  }
+
+  const noFlutes = run('--flutes', ',', 'C D E');
+  assert.equal(noFlutes.status, 2);
+  assert.match(noFlutes.stderr, /--flutes needs at least one flute/);
+
+  assert.equal(run().status, 2);
+  assert.equal(run('--help').status, 0);
+});
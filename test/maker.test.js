@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { configureTheory } = require('../theory.js');
+const { calculateFluteDimensions, buildMakerCsv } = require('../maker.js');
+
+test('holes are placed down the tube for each note of the scale', () => {
+  const design = calculateFluteDimensions('E');
+  assert.equal(design.holes.length, 6);
+  assert.deepEqual(design.holes.map(hole => hole.interval), [11, 9, 7, 5, 4, 2]);
+  assert.equal(design.foot.midi, 71);
+  assert.ok(Math.abs(design.foot.frequency - 493.88) < 0.01);
+
+  const positions = [...design.holes.map(hole => hole.fromEmbouchure), design.foot.fromEmbouchure];
+  assert.ok(positions.every((position, i) => i === 0 || position > positions[i - 1]));
+  assert.ok(design.length > 300 && design.length < 330);
+  assert.equal(design.length, design.embouchure.fromTop + design.foot.fromEmbouchure);
+  assert.ok(design.holes.every(hole => Math.abs(hole.fromTop + hole.fromFoot - design.length) < 1e-9));
+  assert.deepEqual(design.warnings, []);
+});
+
+test('tuning, size and hole diameters move the holes', () => {
+  const standard = calculateFluteDimensions('E');
+  assert.ok(calculateFluteDimensions('E', { a4: 432 }).length > standard.length);
+  assert.ok(calculateFluteDimensions('E', { size: 'base' }).length > standard.length * 1.8);
+
+  const wider = calculateFluteDimensions('E', { holes: 11 });
+  assert.ok(wider.length < standard.length);
+  assert.ok(wider.holes.every((hole, i) => hole.fromEmbouchure > standard.holes[i].fromEmbouchure));
+
+  const small = calculateFluteDimensions('C', { size: 'small', holes: [8, 9, 9, 8, 9, 8] });
+  assert.deepEqual(small.warnings, ['Holes 4 and 5 overlap; use smaller holes or a wider bore.']);
+});
+
+test('flute designs with seven holes get a hole for every note', () => {
+  configureTheory({ profile: 'low-ni' });
+  try {
+    const design = calculateFluteDimensions('E');
+    assert.equal(design.holes.length, 7);
+    assert.deepEqual([design.foot.interval, design.foot.register], [11, -1]);
+    assert.throws(() => calculateFluteDimensions('E', { holes: [9, 9, 9, 9, 9, 9] }), /each of the 7 holes/);
+  } finally {
+    configureTheory({ profile: 'standard' });
+  }
+});
+
+test('calculateFluteDimensions rejects measurements it cannot use', () => {
+  assert.throws(() => calculateFluteDimensions('H'), /Unknown flute "H"/);
+  assert.throws(() => calculateFluteDimensions('E', { size: 'huge' }), /Unknown flute size/);
+  assert.throws(() => calculateFluteDimensions('E', { bore: 0 }), /Bore diameter must be/);
+  assert.throws(() => calculateFluteDimensions('E', { holes: 20 }), /Hole 1 must be narrower than the bore/);
+});
+
+test('buildMakerCsv lists every position from the stopper to the foot', () => {
+  const lines = buildMakerCsv(calculateFluteDimensions('E')).trim().split('\n');
+  assert.equal(lines.length, 10);
+  assert.equal(lines[0], 'Position,Note,Swara,Frequency (Hz),Diameter (mm),From top (mm),From embouchure (mm),From foot (mm)');
+  assert.match(lines[1], /^Stopper,,,,19\.0,0\.0,-19\.0,/);
+  assert.match(lines[2], /^Embouchure,,,,10\.0,19\.0,0\.0,/);
+  assert.match(lines[3], /^Hole 1,A♯5,Ni,932\.33,9\.0,/);
+  assert.match(lines[9], /^Foot,B4,Sa,493\.88,19\.0,[\d.]+,[\d.]+,0\.0$/);
+});
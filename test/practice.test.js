@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { trackPitch } = require('../pitch.js');
+const { midiToFrequency } = require('../tuning.js');
+const { createPracticeSession, practiceWithRecording } = require('../practice.js');
+
+const SAMPLE_RATE = 44100;
+
+/**
+ * Synthesize a flute-like tone for each { midi, cents, seconds }, with silence given as midi null
+ */
+function synthesize(notes) {
+  const total = notes.reduce((sum, note) => sum + Math.round(note.seconds * SAMPLE_RATE), 0);
+  const samples = new Float32Array(total);
+  let offset = 0;
+  for (const note of notes) {
+    const length = Math.round(note.seconds * SAMPLE_RATE);
+    if (note.midi !== null) {
+      const frequency = midiToFrequency(note.midi) * Math.pow(2, (note.cents || 0) / 1200);
+      for (let i = 0; i < length; i++) {
+        const phase = 2 * Math.PI * frequency * i / SAMPLE_RATE;
+        samples[offset + i] = 0.3 * Math.sin(phase) + 0.08 * Math.sin(2 * phase);
+      }
+    }
+    offset += length;
+  }
+  return samples;
+}
+
+const SCALE = [64, 66, 68, 69].map(midi => ({ midi, note: null, label: String(midi) }));
+
+test('trackPitch follows a recording frame by frame', () => {
+  const frames = trackPitch(synthesize([{ midi: null, seconds: 0.3 }, { midi: 69, seconds: 0.5 }]), SAMPLE_RATE);
+  assert.ok(frames.length > 20);
+  assert.equal(frames[0].frequency, null);
+  const last = frames[frames.length - 1];
+  assert.ok(Math.abs(last.frequency - 440) < 2);
+  assert.ok(last.time > 0.7 && last.time <= 0.8);
+});
+
+test('a scale held in tune completes every note', () => {
+  const samples = synthesize(SCALE.map(target => ({ midi: target.midi, cents: 8, seconds: 1 })));
+  const summary = practiceWithRecording(samples, SAMPLE_RATE, SCALE, { tolerance: 20, holdTime: 0.5 });
+  assert.ok(summary.every(note => note.completed));
+  assert.ok(summary.every(note => Math.abs(note.cents - 8) < 3));
+  assert.ok(summary.every(note => note.time >= 0.5 && note.time < 1.2));
+});
+
+test('notes out of tune or never played do not count', () => {
+  const samples = synthesize([{ midi: 64, seconds: 1 }, { midi: 66, cents: 35, seconds: 1 }]);
+  const summary = practiceWithRecording(samples, SAMPLE_RATE, SCALE, { tolerance: 20, holdTime: 0.5 });
+  assert.equal(summary[0].completed, true);
+  assert.equal(summary[1].completed, false);
+  assert.ok(Math.abs(summary[1].cents - 35) < 3);
+  assert.equal(summary[1].accuracy, 0);
+  assert.equal(summary[2].cents, null);
+});
+
+test('a practice session follows a tone to the next note and can skip', () => {
+  const session = createPracticeSession(SCALE.slice(0, 2), { holdTime: 0.2 });
+  const target = midiToFrequency(64);
+  assert.equal(session.update({ time: 0, frequency: target * 1.2 }).inTune, false);
+  assert.equal(session.update({ time: 0.1, frequency: target }).advanced, false);
+  const state = session.update({ time: 0.35, frequency: target });
+  assert.equal(state.advanced, true);
+  assert.equal(state.index, 1);
+  assert.equal(session.skip(0.4).done, true);
+  assert.deepEqual(session.getSummary().map(note => [note.completed, note.skipped]), [[true, false], [false, true]]);
+});
@@ -0,0 +1,252 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const theory = require('../theory.js');
+
+const {
+  NOTES, configureTheory, noteToIndex, getRootNoteIndex, getScaleNotes, parsePitchInput,
+  parseNoteInput, parseSectionInput, melodyToInputText, spellFluteName, getNoteFingerings,
+  getFingeringNote, checkFluteRange, scoreDifficulty, scoreFlute, findBestFlutes, compareFlutes, findBestRagaFits, getRagaMode,
+  findBestTranspositions, detectSections, planFluteSet, getAllFlutes
+} = theory;
+
+/**
+ * Run a test body with theory settings changed, restoring the defaults afterwards
+ */
+function withSettings(settings, body) {
+  configureTheory(settings);
+  try {
+    body();
+  } finally {
+    configureTheory({ profile: 'standard', a4: 440, accidentals: 'sharps' });
+  }
+}
+
+test('requiring the modules leaves globalThis unchanged', () => {
+  const modules = ['ragas.js', 'tuning.js', 'theory.js', 'pitch.js', 'practice.js', 'maker.js', 'importers.js']
+    .map(file => require.resolve(`../${file}`));
+  modules.forEach(file => delete require.cache[file]);
+  const before = Object.getOwnPropertyNames(globalThis);
+  modules.forEach(file => require(file));
+  assert.deepEqual(Object.getOwnPropertyNames(globalThis), before);
+  assert.equal(typeof globalThis.RAGAS, 'undefined');
+});
+
+test('noteToIndex reads sharps and flats', () => {
+  assert.equal(noteToIndex('A'), 0);
+  assert.equal(noteToIndex('c#'), 4);
+  assert.equal(noteToIndex('Db'), 4);
+  assert.equal(noteToIndex('H'), -1);
+});
+
+test('flutes are named after Ma by default', () => {
+  assert.equal(NOTES[getRootNoteIndex('A')], 'E');
+  assert.deepEqual(getScaleNotes(getRootNoteIndex('A')), ['E', 'F#', 'G#', 'A', 'B', 'C#', 'D#']);
+});
+
+test('other flute designs move Sa and add natural notes', () => {
+  withSettings({ profile: 'sa-named' }, () => {
+    assert.equal(NOTES[getRootNoteIndex('A')], 'A');
+  });
+  withSettings({ profile: 'tivra-ma' }, () => {
+    assert.ok(getScaleNotes(getRootNoteIndex('A')).includes('A#'));
+  });
+  assert.equal(NOTES[getRootNoteIndex('A')], 'E');
+});
+
+test('configureTheory rejects unknown settings', () => {
+  assert.throws(() => configureTheory({ profile: 'nope' }), /Unknown flute design/);
+  assert.throws(() => configureTheory({ a4: -1 }), /A4 must be/);
+  assert.throws(() => configureTheory({ accidentals: 'both' }), /Accidentals must be/);
+  assert.deepEqual(configureTheory(), { profile: 'standard', a4: 440, accidentals: 'sharps' });
+});
+
+test('parsePitchInput reads Western notes with octaves and durations', () => {
+  const pitches = parsePitchInput('C4:2, D4:1/2 Eb');
+  assert.deepEqual(pitches.map(p => p.note), ['C', 'D', 'D#']);
+  assert.deepEqual(pitches.map(p => p.midi), [60, 62, null]);
+  assert.deepEqual(pitches.map(p => p.duration), [2, 0.5, 1]);
+});
+
+test('parsePitchInput reads sargam against the given Sa', () => {
+  assert.deepEqual(parsePitchInput('S R G m P', noteToIndex('G')).map(p => p.note), ['G', 'A', 'B', 'C', 'D']);
+  assert.deepEqual(parsePitchInput('Sa re ga', noteToIndex('C')).map(p => p.note), ['C', 'D', 'E']);
+});
+
+test('parseNoteInput keeps unique notes in order', () => {
+  assert.deepEqual(parseNoteInput('E D C D E E E'), ['E', 'D', 'C']);
+  assert.deepEqual(parseNoteInput(''), []);
+});
+
+test('parseSectionInput splits at double bars', () => {
+  const sections = parseSectionInput('C D E || F G ||');
+  assert.equal(sections.length, 2);
+  assert.deepEqual(sections[1].map(p => p.note), ['F', 'G']);
+});
+
+test('melodyToInputText writes imported notes in the note input format', () => {
+  const text = melodyToInputText([{ midi: 60, duration: 1 }, { midi: 70, duration: 0.5 }]);
+  assert.equal(text, 'C4:1 A#4:0.5');
+  assert.deepEqual(parsePitchInput(text).map(p => p.midi), [60, 70]);
+});
+
+test('spellFluteName follows the accidental setting', () => {
+  assert.equal(spellFluteName('A#'), 'A♯');
+  withSettings({ accidentals: 'flats' }, () => {
+    assert.equal(spellFluteName('A#'), 'B♭');
+  });
+});
+
+test('getNoteFingerings orders fingerings easiest first', () => {
+  const { swara, fingerings } = getNoteFingerings('G', noteToIndex('E'));
+  assert.equal(swara, 'komal Ga');
+  assert.equal(fingerings[0].technique, 'half-hole');
+  assert.ok(fingerings.every((f, i) => i === 0 || f.difficulty >= fingerings[i - 1].difficulty));
+});
+
+test('getFingeringNote finds the note a fingering plays', () => {
+  const root = noteToIndex('E');
+  assert.deepEqual(getFingeringNote('xxxxho', root), {
+    note: 'G', interval: 3, swara: 'komal Ga', register: 0, fingering: getNoteFingerings('G', root).fingerings[0], exact: true
+  });
+  assert.equal(getFingeringNote('oxxooo', root).note, 'D');
+  assert.equal(getFingeringNote('xxxxxx', root, 1).register, 1);
+
+  // Unknown fingerings are read from the first hole that is not closed
+  const unknown = getFingeringNote('xxoxxo', root);
+  assert.equal(unknown.note, 'B');
+  assert.equal(unknown.exact, false);
+
+  withSettings({ profile: 'low-ni' }, () => {
+    assert.equal(getFingeringNote('xxxxxxx', root).register, -1);
+  });
+});
+
+test('checkFluteRange moves melodies by octaves and flags notes out of reach', () => {
+  assert.deepEqual(checkFluteRange('A', parsePitchInput('E4 B4 E5')).inRange, true);
+  assert.equal(checkFluteRange('A', parsePitchInput('E3 E6')).inRange, false);
+
+  // Two and a half octaves, from mandra Pa up to ati-taar Sa
+  const widest = checkFluteRange('E', parsePitchInput('F#4 B6'));
+  assert.deepEqual([widest.lowMidi, widest.highMidi, widest.inRange, widest.octaveShift], [66, 95, true, 0]);
+  assert.deepEqual(checkFluteRange('E', parsePitchInput('F4 B6')).outOfRange, ['F4']);
+});
+
+test('scoreDifficulty charges more for half-holes on short notes', () => {
+  const fast = scoreDifficulty('A', parsePitchInput('E4 G4:1/2 E4'));
+  const held = scoreDifficulty('A', parsePitchInput('E4 G4:2 E4'));
+  assert.equal(fast.halfHoles.count, 1);
+  assert.equal(fast.halfHoles.points, 2);
+  assert.equal(held.halfHoles.points, 1);
+  assert.ok(fast.score > held.score);
+  assert.equal(scoreDifficulty('A', parsePitchInput('E4 F#4 G#4')).score, 0);
+});
+
+test('scoreDifficulty counts finger changes, register jumps, taar time and range', () => {
+  const changes = scoreDifficulty('A', parsePitchInput('E4 D#4 E4'));
+  assert.equal(changes.fingerChanges.count, 2);
+  assert.equal(changes.fingerChanges.points, 3);
+
+  const high = scoreDifficulty('A', parsePitchInput('E4 E5:3'));
+  assert.equal(high.registerJumps.count, 1);
+  assert.equal(high.taar.time, 3);
+  assert.equal(high.taar.percent, 75);
+
+  const unreachable = scoreFlute('A', ['E'], parsePitchInput('E4 E7')).difficulty;
+  assert.equal(unreachable.outOfRange.count, 1);
+  assert.equal(unreachable.level, 3);
+});
+
+test('scoreFlute counts natural, half-hole and weighted notes', () => {
+  const score = scoreFlute('A', ['E', 'F#', 'G', 'A'], parsePitchInput('E4 F#4 G4:2 A4'));
+  assert.equal(score.rootNote, 'E');
+  assert.equal(score.matchPercent, 75);
+  assert.equal(score.playablePercent, 88);
+  assert.deepEqual(score.extraNotes, ['G']);
+  assert.equal(score.effortNotes[0].technique, 'half-hole');
+  assert.equal(score.eventPercent, 75);
+  assert.equal(score.timePercent, 60);
+  assert.equal(score.inRange, true);
+});
+
+test('scoreFlute marks notes out of tune on a flute made to another A4', () => {
+  const tuning = { a4: 432, holeCents: [], tolerance: 20 };
+  const score = scoreFlute('A', ['E', 'B'], [], 'medium', tuning);
+  assert.deepEqual(score.outOfTuneNotes.map(n => n.note), ['E', 'B']);
+  assert.equal(Math.round(score.outOfTuneNotes[0].cents), -32);
+  assert.equal(score.effortNotes[0].technique, 'pitch correction');
+  assert.equal(scoreFlute('A', ['E', 'B'], [], 'medium', { ...tuning, tolerance: 40 }).outOfTuneNotes.length, 0);
+});
+
+test('findBestFlutes ranks the flute whose scale holds the melody first', () => {
+  const notes = 'C D E F G A B';
+  const results = findBestFlutes(parseNoteInput(notes), parsePitchInput(notes));
+  assert.equal(results.length, 12);
+  assert.equal(results[0].fluteName, 'F');
+  assert.equal(results[0].playablePercent, 100);
+});
+
+test('findBestFlutes ranks a held half-hole above a fast one', () => {
+  const notes = 'C4:1/4 D4:1/4 Eb4:1/4 F4:1/4 G4:4 Ab4:4';
+  const results = findBestFlutes(parseNoteInput(notes), parsePitchInput(notes));
+  assert.deepEqual(results.slice(0, 2).map(r => r.fluteName), ['D#', 'F']);
+  assert.ok(results.filter(r => r.inRange).every((r, i, list) => i === 0 || r.difficulty.score >= list[i - 1].difficulty.score));
+});
+
+test('findBestFlutes ranks only the given flutes, preferring the written octave', () => {
+  const notes = 'E3 F#3 G#3';
+  const flutes = [{ fluteName: 'A', size: 'medium' }, { fluteName: 'A', size: 'base', nickname: 'Low' }];
+  const results = findBestFlutes(parseNoteInput(notes), parsePitchInput(notes), { flutes });
+  assert.deepEqual(results.map(r => r.size), ['base', 'medium']);
+  assert.equal(results[0].nickname, 'Low');
+  assert.equal(results[1].octaveShift, 1);
+});
+
+test('compareFlutes marks shared, unique and missing notes and spans every range', () => {
+  const flutes = [{ fluteName: 'A', size: 'medium' }, { fluteName: 'G', size: 'base' }];
+  const bare = compareFlutes(flutes);
+  assert.deepEqual(bare.sharedNotes, ['A', 'B', 'C#', 'E', 'F#']);
+  assert.deepEqual(bare.flutes[0].uniqueNotes, ['G#', 'D#']);
+  assert.deepEqual(bare.flutes[0].missingNotes, []);
+  assert.equal(bare.melody, null);
+  assert.deepEqual([bare.lowMidi, bare.highMidi], [57, 88]);
+
+  const melody = compareFlutes(flutes, parseNoteInput('C4 D4 E4'), parsePitchInput('C4 D4 E4'));
+  assert.deepEqual(melody.flutes[0].missingNotes.map(n => n.note), ['C', 'D']);
+  assert.deepEqual(melody.flutes[1].missingNotes.map(n => n.note), ['C']);
+  assert.deepEqual(melody.melody, { lowMidi: 60, highMidi: 64 });
+
+  assert.throws(() => compareFlutes(flutes.slice(0, 1)), /Compare 2 to 4 flutes/);
+});
+
+test('findBestRagaFits finds a raga with every input note', () => {
+  const notes = parseNoteInput('S R G P D', noteToIndex('C'));
+  const best = findBestRagaFits(notes, [])[0];
+  assert.equal(best.fitPercent, 100);
+  assert.equal(best.coveragePercent, 100);
+  assert.deepEqual([...best.ragaNotes].sort(), [...notes].sort());
+  assert.equal(getRagaMode(best.mode.key).name, best.mode.name);
+});
+
+test('findBestTranspositions tries all 12 keys on one flute', () => {
+  const results = findBestTranspositions(parsePitchInput('C D E F G'), { fluteName: 'E', size: 'medium' });
+  assert.equal(results.length, 12);
+  assert.equal(results[0].playablePercent, 100);
+  assert.equal(results[0].semitones, -1);
+});
+
+test('detectSections follows a melody that changes key', () => {
+  const melody = parsePitchInput('C D E F G A B C D E F G F# G A B C# D E F# C# D');
+  const sections = detectSections(melody, getAllFlutes());
+  const notes = sections.map(section => section.map(p => p.note));
+  assert.equal(sections.length, 2);
+  assert.ok(notes[0].includes('F') && !notes[0].includes('F#'));
+  assert.ok(notes[1].includes('C#') && !notes[1].includes('F'));
+});
+
+test('planFluteSet covers every section with the fewest flutes', () => {
+  const sections = parseSectionInput('C D E F G A B || E F# G# A B C# D#');
+  const plan = planFluteSet(sections, getAllFlutes());
+  assert.deepEqual(plan.flutes.map(f => f.fluteName), ['F', 'A']);
+  assert.equal(plan.switches.length, 1);
+  assert.throws(() => planFluteSet(sections, []), /at least one flute/);
+});
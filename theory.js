@@ -0,0 +1,1737 @@
+// ============================================
+// MUSIC THEORY
+// ============================================
+// Notes, flutes, fingerings and scoring, with no DOM access. The browser loads this
+// file as a plain script after ragas.js and tuning.js; in Node it is a CommonJS
+// module (see the exports at the end, and bin/bansuri-notes.js for the command line).
+//
+// Functions that take a flute design, A4 reference or accidental spelling fall back
+// to the settings below, which the app's header controls change. Node callers set
+// them with configureTheory.
+
+// Raga data and tuning helpers: the globals of the browser's earlier scripts, or their
+// modules in Node. Kept in this file's scope so that requiring it adds no globals.
+const theoryImports = typeof module !== 'undefined' && module.exports
+  ? { ...require('./ragas.js'), ...require('./tuning.js') }
+  : { RAGAS, THAATS, DEFAULT_A4, getCentsBetween };
+
+// ============================================
+// CONSTANTS
+// ============================================
+const NOTES = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
+const MAJOR_SCALE_INTERVALS = [0, 2, 4, 5, 7, 9, 11];
+
+// Flat to sharp conversion
+const FLAT_TO_SHARP = {
+  'Db': 'C#', 'Eb': 'D#', 'Fb': 'E', 'Gb': 'F#',
+  'Ab': 'G#', 'Bb': 'A#', 'Cb': 'B'
+};
+
+// Semitones above C for each natural letter (scientific pitch / MIDI)
+const LETTER_SEMITONES = { 'C': 0, 'D': 2, 'E': 4, 'F': 5, 'G': 7, 'A': 9, 'B': 11 };
+const NOTE_LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+
+// Accidentals accepted in note input, in semitones
+const ACCIDENTAL_INPUT = {
+  '': 0, '#': 1, '♯': 1, '##': 2, '♯♯': 2, '𝄪': 2,
+  'b': -1, '♭': -1, 'bb': -2, '♭♭': -2, '𝄫': -2
+};
+
+// Accidentals used when spelling notes for display, by semitones
+const ACCIDENTAL_SYMBOLS = { '-2': '𝄫', '-1': '♭', '0': '', '1': '♯', '2': '𝄪' };
+
+// Scale degree (0 = Sa) of each semitone above Sa, following the swara names:
+// komal Re, Ga, Dha and Ni lower their degree and tivra Ma raises the fourth
+const SWARA_DEGREES = [0, 1, 1, 2, 2, 3, 3, 4, 5, 5, 6, 6];
+
+// Playable range in semitones relative to madhya Sa:
+// mandra Pa (-5) up to ati-taar Sa (+24), about two and a half octaves
+const FLUTE_RANGE = { low: -5, high: 24 };
+
+// Madhya Sa of a standard flute sits between E4 (MIDI 64) and D#5 (MIDI 75)
+const LOWEST_SA_MIDI = 64;
+
+// Flute sizes: octaves from a standard (medium) flute of the same key
+const FLUTE_SIZES = { base: -1, medium: 0, small: 1 };
+
+// Swara name for each semitone above Sa
+const SWARA_NAMES = [
+  'Sa', 'komal Re', 'Re', 'komal Ga', 'Ga', 'Ma',
+  'tivra Ma', 'Pa', 'komal Dha', 'Dha', 'komal Ni', 'Ni'
+];
+
+// Short swara names for hole labels
+const SWARA_SHORT_NAMES = [
+  'Sa', 'Re(k)', 'Re', 'Ga(k)', 'Ga', 'Ma',
+  'Ma(t)', 'Pa', 'Dha(k)', 'Dha', 'Ni(k)', 'Ni'
+];
+
+// Sargam input: single letters (Bhatkhande style) and full syllables, as semitones above Sa
+const SARGAM_LETTERS = {
+  'S': 0, 'r': 1, 'R': 2, 'g': 3, 'G': 4, 'm': 5,
+  'M': 6, 'P': 7, 'd': 8, 'D': 9, 'n': 10, 'N': 11
+};
+const SARGAM_SYLLABLES = { 'sa': 0, 're': 2, 'ga': 4, 'ma': 5, 'pa': 7, 'dha': 9, 'ni': 11 };
+
+// Sa used for sargam input when no flute is given (index of C)
+const DEFAULT_SARGAM_ROOT = 3;
+
+// Where a raga's Sa can sit on the flute, in semitones above the flute's Sa.
+// Sa on Ma turns the flute's natural scale into Kalyan thaat, Sa on Pa into Khamaj.
+const SA_PLACEMENTS = [
+  { interval: 0, name: 'Sa' },
+  { interval: 5, name: 'Ma' },
+  { interval: 7, name: 'Pa' }
+];
+
+// Fingerings keyed by semitones above Sa.
+// Patterns list the six finger holes from the blow hole down:
+// 'x' = closed, 'h' = half-open, 'o' = open
+const FINGERINGS = {
+  0: [{ pattern: 'xxxxxx', technique: 'natural', difficulty: 1 }],
+  1: [{ pattern: 'xxxxxh', technique: 'half-hole', difficulty: 3 }],
+  2: [{ pattern: 'xxxxxo', technique: 'natural', difficulty: 1 }],
+  3: [{ pattern: 'xxxxho', technique: 'half-hole', difficulty: 2 }],
+  4: [{ pattern: 'xxxxoo', technique: 'natural', difficulty: 1 }],
+  5: [{ pattern: 'xxxooo', technique: 'natural', difficulty: 1 }],
+  6: [{ pattern: 'xxhooo', technique: 'half-hole', difficulty: 2 }],
+  7: [{ pattern: 'xxoooo', technique: 'natural', difficulty: 1 }],
+  8: [{ pattern: 'xhoooo', technique: 'half-hole', difficulty: 2 }],
+  9: [{ pattern: 'xooooo', technique: 'natural', difficulty: 1 }],
+  10: [
+    { pattern: 'hooooo', technique: 'half-hole', difficulty: 2 },
+    { pattern: 'oxxooo', technique: 'cross-fingering', difficulty: 2 }
+  ],
+  11: [{ pattern: 'oooooo', technique: 'natural', difficulty: 1 }]
+};
+
+// Fingerings for a 7-hole flute with an extra hole for tivra Ma between holes 3 and 4.
+// Patterns list all seven finger holes from the blow hole down, the tivra Ma hole fourth.
+const TIVRA_MA_HOLE_FINGERINGS = {
+  0: [{ pattern: 'xxxxxxx', technique: 'natural', difficulty: 1 }],
+  1: [{ pattern: 'xxxxxxh', technique: 'half-hole', difficulty: 3 }],
+  2: [{ pattern: 'xxxxxxo', technique: 'natural', difficulty: 1 }],
+  3: [{ pattern: 'xxxxxho', technique: 'half-hole', difficulty: 2 }],
+  4: [{ pattern: 'xxxxxoo', technique: 'natural', difficulty: 1 }],
+  5: [{ pattern: 'xxxxooo', technique: 'natural', difficulty: 1 }],
+  6: [{ pattern: 'xxxoooo', technique: 'natural', difficulty: 1 }],
+  7: [{ pattern: 'xxooooo', technique: 'natural', difficulty: 1 }],
+  8: [{ pattern: 'xhooooo', technique: 'half-hole', difficulty: 2 }],
+  9: [{ pattern: 'xoooooo', technique: 'natural', difficulty: 1 }],
+  10: [
+    { pattern: 'hoooooo', technique: 'half-hole', difficulty: 2 },
+    { pattern: 'oxxoooo', technique: 'cross-fingering', difficulty: 2 }
+  ],
+  11: [{ pattern: 'ooooooo', technique: 'natural', difficulty: 1 }]
+};
+
+// Fingerings for a 7-hole flute with an extra hole below hole 6 for mandra Ni.
+// The extra hole is seventh; closing it as well drops Sa to the Ni below.
+const LOW_NI_HOLE_FINGERINGS = {
+  0: [{ pattern: 'xxxxxxo', technique: 'natural', difficulty: 1 }],
+  1: [{ pattern: 'xxxxxho', technique: 'half-hole', difficulty: 3 }],
+  2: [{ pattern: 'xxxxxoo', technique: 'natural', difficulty: 1 }],
+  3: [{ pattern: 'xxxxhoo', technique: 'half-hole', difficulty: 2 }],
+  4: [{ pattern: 'xxxxooo', technique: 'natural', difficulty: 1 }],
+  5: [{ pattern: 'xxxoooo', technique: 'natural', difficulty: 1 }],
+  6: [{ pattern: 'xxhoooo', technique: 'half-hole', difficulty: 2 }],
+  7: [{ pattern: 'xxooooo', technique: 'natural', difficulty: 1 }],
+  8: [{ pattern: 'xhooooo', technique: 'half-hole', difficulty: 2 }],
+  9: [{ pattern: 'xoooooo', technique: 'natural', difficulty: 1 }],
+  10: [
+    { pattern: 'hoooooo', technique: 'half-hole', difficulty: 2 },
+    { pattern: 'oxxoooo', technique: 'cross-fingering', difficulty: 2 }
+  ],
+  11: [
+    { pattern: 'ooooooo', technique: 'natural', difficulty: 1 },
+    { pattern: 'xxxxxxx', technique: 'natural', difficulty: 1, register: -1 }
+  ]
+};
+
+// Semitones above Sa of the note a flute is named after
+const FLUTE_NAMINGS = { Sa: 0, Ma: 5, Pa: 7 };
+
+// Flute designs: number of finger holes, the note the flute is named after and the
+// fingering for each note. The 6-hole flute named after its Ma is the default.
+const FLUTE_PROFILES = [
+  { id: 'standard', name: '6-hole, named after Ma', holes: 6, naming: 'Ma', fingerings: FINGERINGS },
+  { id: 'sa-named', name: '6-hole, named after Sa', holes: 6, naming: 'Sa', fingerings: FINGERINGS },
+  { id: 'pa-named', name: '6-hole, named after Pa', holes: 6, naming: 'Pa', fingerings: FINGERINGS },
+  { id: 'tivra-ma', name: '7-hole with tivra Ma hole', holes: 7, naming: 'Ma', fingerings: TIVRA_MA_HOLE_FINGERINGS },
+  { id: 'low-ni', name: '7-hole with low Ni hole', holes: 7, naming: 'Ma', fingerings: LOW_NI_HOLE_FINGERINGS }
+];
+
+const DIFFICULTY_LABELS = { 1: 'easy', 2: 'moderate', 3: 'hard' };
+
+// Share of a full match credited to a note that needs extra technique, by difficulty
+const EFFORT_CREDIT = { 1: 1, 2: 0.5, 3: 0.25 };
+
+// Combining marks used for sargam octave dots
+const DOT_BELOW = '\u0323';
+const DOT_ABOVE = '\u0307';
+
+// ============================================
+// SETTINGS
+// ============================================
+
+// Profile from FLUTE_PROFILES used to name flutes and work out their fingerings
+let activeProfile = FLUTE_PROFILES[0];
+
+// A4 the melody is played at: target frequencies and the finder's pitch tolerance use it
+let referenceA4 = theoryImports.DEFAULT_A4;
+
+// Whether flute names with an accidental use sharps (A♯) or flats (B♭)
+let accidentalPreference = 'sharps';
+
+/**
+ * Change the flute design, A4 reference and accidental spelling used when none is passed in
+ * @param {Object} settings - { profile: a FLUTE_PROFILES id, a4: Hz, accidentals: 'sharps' or 'flats' }, each optional
+ * Throws an Error for an unknown profile or spelling, or an A4 that is not a positive number
+ * Returns the settings now in use: { profile, a4, accidentals }
+ */
+function configureTheory({ profile, a4, accidentals } = {}) {
+  if (profile !== undefined) {
+    if (!getFluteProfile(profile)) throw new Error(`Unknown flute design "${profile}".`);
+    activeProfile = getFluteProfile(profile);
+  }
+  if (a4 !== undefined) {
+    if (!(a4 > 0)) throw new Error(`A4 must be a frequency in Hz, not "${a4}".`);
+    referenceA4 = a4;
+  }
+  if (accidentals !== undefined) {
+    if (accidentals !== 'sharps' && accidentals !== 'flats') throw new Error(`Accidentals must be "sharps" or "flats", not "${accidentals}".`);
+    accidentalPreference = accidentals;
+  }
+  return { profile: activeProfile.id, a4: referenceA4, accidentals: accidentalPreference };
+}
+
+// ============================================
+// MUSIC THEORY FUNCTIONS
+// ============================================
+
+/**
+ * Convert note name to index (0-11)
+ */
+function noteToIndex(noteName) {
+  // Normalize the note name
+  let note = noteName.trim().toUpperCase();
+
+  // Check for flat notation (letter followed by 'b', which is "B" after toUpperCase)
+  if (note.length >= 2 && note[1] === 'B') {
+    const possibleFlat = note[0] + 'b';
+    if (FLAT_TO_SHARP[possibleFlat]) {
+      note = FLAT_TO_SHARP[possibleFlat];
+    }
+  }
+
+  // Find index
+  const index = NOTES.indexOf(note);
+  return index;
+}
+
+/**
+ * Look up a flute design by id
+ * Returns the profile from FLUTE_PROFILES or null
+ */
+function getFluteProfile(id) {
+  return FLUTE_PROFILES.find(profile => profile.id === id) || null;
+}
+
+/**
+ * Get the root note of a flute's scale
+ * The profile's naming gives the flute name's scale degree (Ma by default, so root = fluteName - 5 semitones)
+ */
+function getRootNoteIndex(fluteName, profile = activeProfile) {
+  const fluteIndex = noteToIndex(fluteName);
+  if (fluteIndex === -1) return -1;
+  return (fluteIndex - FLUTE_NAMINGS[profile.naming] + 12) % 12;
+}
+
+/**
+ * Get the semitones above Sa played with a natural fingering in the middle register
+ */
+function getNaturalIntervals(profile = activeProfile) {
+  return Object.keys(profile.fingerings).map(Number).filter(interval =>
+    profile.fingerings[interval].some(f => f.technique === 'natural' && !f.register));
+}
+
+/**
+ * Get all notes of a flute's natural scale given the root note index
+ * (the major scale on a 6-hole flute, plus tivra Ma with a tivra Ma hole)
+ */
+function getScaleNotes(rootIndex, profile = activeProfile) {
+  return getNaturalIntervals(profile).map(interval => {
+    const noteIndex = (rootIndex + interval) % 12;
+    return NOTES[noteIndex];
+  });
+}
+
+/**
+ * Split an optional duration suffix off a token (e.g. "C:2", "D4:0.5", "S':1/2")
+ * Returns { text, duration } or null when the duration is not a positive number
+ */
+function splitDuration(token) {
+  const trimmed = token.trim();
+  const colon = trimmed.lastIndexOf(':');
+  if (colon === -1) return { text: trimmed, duration: 1 };
+
+  const value = trimmed.slice(colon + 1);
+  let duration = NaN;
+  if (/^\d+(\.\d+)?$|^\.\d+$/.test(value)) {
+    duration = parseFloat(value);
+  } else if (/^\d+\/\d+$/.test(value)) {
+    const [numerator, denominator] = value.split('/').map(Number);
+    duration = numerator / denominator;
+  }
+
+  if (!(duration > 0) || !isFinite(duration)) return null;
+  return { text: trimmed.slice(0, colon), duration };
+}
+
+/**
+ * Strip sargam octave marks from a token
+ * A dot below or a leading/trailing "." lowers by an octave (mandra),
+ * a dot above or "'" raises by an octave (taar)
+ * Returns { text, shift, hasMarks }
+ */
+function extractOctaveMarks(token) {
+  let text = token.trim().normalize('NFD');
+
+  // Collect octave marks
+  let shift = 0;
+  let hasMarks = false;
+  for (const ch of text) {
+    if (ch === DOT_BELOW) { shift--; hasMarks = true; }
+    if (ch === DOT_ABOVE || ch === "'") { shift++; hasMarks = true; }
+  }
+  text = text.split(DOT_BELOW).join('').split(DOT_ABOVE).join('').replace(/'/g, '');
+
+  // A dot written before or after the note also marks mandra
+  const dots = text.match(/^\.+|\.+$/g) || [];
+  for (const run of dots) {
+    shift -= run.length;
+    hasMarks = true;
+  }
+  text = text.replace(/^\.+|\.+$/g, '');
+
+  return { text, shift, hasMarks };
+}
+
+/**
+ * Parse a single note token into a pitch
+ * Accepts scientific pitch (C4, F#5, Bb3, E♯4, Cbb), sargam octave marks (see extractOctaveMarks)
+ * and an optional duration in beats (see splitDuration).
+ * Returns { note, midi, register, duration, label, spelling } or null if the token is not a note.
+ * midi is set for scientific pitch, register (-1, 0, 1...) for octave marks.
+ * spelling keeps the letter and accidental as written (e.g. "B♭" for "Bb"), for display.
+ */
+function parseNoteToken(token) {
+  const timed = splitDuration(token);
+  if (!timed) return null;
+  const { text, shift, hasMarks } = extractOctaveMarks(timed.text);
+
+  const match = text.match(/^([A-Ga-g])(##|bb|♯♯|♭♭|𝄪|𝄫|[#♯b♭])?(-?\d+)?$/);
+  if (!match) return null;
+
+  const letter = match[1].toUpperCase();
+  const accidental = ACCIDENTAL_INPUT[match[2] || ''];
+  const semitone = LETTER_SEMITONES[letter] + accidental;
+  const note = midiToNoteName((semitone + 12) % 12);
+
+  let midi = null;
+  let register = null;
+  if (match[3] !== undefined) {
+    midi = 12 * (parseInt(match[3], 10) + 1) + semitone + 12 * shift;
+  } else if (hasMarks) {
+    register = shift;
+  }
+
+  return {
+    note,
+    midi,
+    register,
+    duration: timed.duration,
+    label: timed.text,
+    spelling: letter + ACCIDENTAL_SYMBOLS[accidental]
+  };
+}
+
+/**
+ * Parse a single sargam token into a pitch, with Sa at rootIndex
+ * Accepts single letters (S r R g G m M P d D n N: lowercase r g d n are komal,
+ * m is shuddha Ma and M is tivra Ma) and full syllables (Sa Re Ga Ma Pa Dha Ni)
+ * marked komal with "(k)", "_" or "b" and tivra with "(t)" or "#".
+ * Sargam without octave marks is madhya, so register is always set.
+ * Returns { note, midi, register, duration, label } or null if the token is not sargam.
+ */
+function parseSargamToken(token, rootIndex) {
+  const timed = splitDuration(token);
+  if (!timed) return null;
+  const { text, shift } = extractOctaveMarks(timed.text);
+  let interval = null;
+
+  if (SARGAM_LETTERS[text] !== undefined) {
+    interval = SARGAM_LETTERS[text];
+  } else {
+    const match = text.match(/^([A-Za-z]+?)(\(k\)|_|b|♭|\(t\)|#|♯)?$/);
+    if (!match) return null;
+
+    const base = SARGAM_SYLLABLES[match[1].toLowerCase()];
+    if (base === undefined) return null;
+
+    const marker = match[2] || '';
+    if (['(k)', '_', 'b', '♭'].includes(marker)) {
+      // Only Re, Ga, Dha and Ni have komal forms
+      if (![2, 4, 9, 11].includes(base)) return null;
+      interval = base - 1;
+    } else if (['(t)', '#', '♯'].includes(marker)) {
+      // Only Ma has a tivra form
+      if (base !== 5) return null;
+      interval = base + 1;
+    } else {
+      interval = base;
+    }
+  }
+
+  return {
+    note: NOTES[(rootIndex + interval) % 12],
+    midi: null,
+    register: shift,
+    duration: timed.duration,
+    label: timed.text
+  };
+}
+
+/**
+ * Parse user note input into an ordered list of pitches (duplicates kept)
+ * The input is read as sargam (relative to Sa at rootIndex) when it has more
+ * tokens that only make sense as sargam than tokens that only make sense as
+ * Western notes. Tokens that are not notes are ignored.
+ */
+function parsePitchInput(inputString, rootIndex = DEFAULT_SARGAM_ROOT) {
+  if (!inputString || !inputString.trim()) return [];
+  return parsePitchTokens(splitInputTokens(inputString), rootIndex).filter(pitch => pitch !== null);
+}
+
+/**
+ * Split note input into tokens at commas and whitespace
+ */
+function splitInputTokens(inputString) {
+  return inputString.replace(/,/g, ' ').split(/\s+/).filter(part => part.trim());
+}
+
+/**
+ * Read tokens as Western notes or as sargam, whichever has more tokens only it understands
+ * Returns one pitch per token, null where the token is not a note
+ */
+function parsePitchTokens(parts, rootIndex) {
+  const western = parts.map(part => parseNoteToken(part));
+  const sargam = parts.map(part => parseSargamToken(part, rootIndex));
+
+  let sargamOnly = 0;
+  let westernOnly = 0;
+  for (let i = 0; i < parts.length; i++) {
+    if (sargam[i] && !western[i]) sargamOnly++;
+    if (western[i] && !sargam[i]) westernOnly++;
+  }
+
+  return sargamOnly > westernOnly ? sargam : western;
+}
+
+/**
+ * Parse user note input (space or comma separated)
+ * Handles sharps (#) and flats (b), converts flats to sharps
+ * Sargam input is resolved against Sa at rootIndex
+ * Octave information is dropped: returns the unique note names in input order
+ */
+function parseNoteInput(inputString, rootIndex = DEFAULT_SARGAM_ROOT) {
+  const notes = [];
+
+  for (const pitch of parsePitchInput(inputString, rootIndex)) {
+    // Only add if not already in the list (avoid duplicates)
+    if (!notes.includes(pitch.note)) {
+      notes.push(pitch.note);
+    }
+  }
+
+  return notes;
+}
+
+/**
+ * Convert imported notes into the note input format (e.g. "C4:1 D4:0.5")
+ */
+function melodyToInputText(notes) {
+  return notes.map(note => `${midiToScientific(note.midi)}:${note.duration}`).join(' ');
+}
+
+// ============================================
+// ENHARMONIC SPELLING
+// ============================================
+// Notes are stored with sharp names (NOTES); these functions name them for display.
+// Scale notes are spelled from their swara, so each degree gets its own letter
+// (F♯ major ends on E♯, F major has B♭, komal Re in D♭ is E𝄫).
+
+/**
+ * Semitones from a natural letter to a pitch class (C = 0), between -6 and 5
+ */
+function getAlteration(pitchClass, letter) {
+  const difference = (pitchClass - LETTER_SEMITONES[letter] + 12) % 12;
+  return difference > 5 ? difference - 12 : difference;
+}
+
+/**
+ * Choose the letter for a Sa: the spelling whose major scale needs the fewest
+ * accidentals (D♭ rather than C♯, B rather than C♭). F♯ and G♭ tie, so the
+ * sharp/flat preference decides.
+ */
+function getSaLetter(saIndex, preference = accidentalPreference) {
+  const pitchClass = (saIndex + 9) % 12;
+  let best = null;
+
+  for (const letter of NOTE_LETTERS) {
+    const alteration = getAlteration(pitchClass, letter);
+    if (Math.abs(alteration) > 1) continue;
+
+    const start = NOTE_LETTERS.indexOf(letter);
+    const accidentals = MAJOR_SCALE_INTERVALS.reduce((sum, interval, degree) =>
+      sum + Math.abs(getAlteration((pitchClass + interval) % 12, NOTE_LETTERS[(start + degree) % 7])), 0);
+    const preferred = preference === 'flats' ? alteration < 0 : alteration > 0;
+    if (!best || accidentals < best.accidentals || (accidentals === best.accidentals && preferred)) {
+      best = { letter, accidentals };
+    }
+  }
+  return best.letter;
+}
+
+/**
+ * Spell a note in the key with Sa at saIndex, using the letter of its swara's degree
+ * e.g. ("F", F#'s index) -> "E♯", ("A#", F's index) -> "B♭"
+ */
+function spellNote(note, saIndex, preference = accidentalPreference) {
+  const noteIndex = noteToIndex(note);
+  const interval = (noteIndex - saIndex + 12) % 12;
+  const saLetter = getSaLetter(saIndex, preference);
+  const letter = NOTE_LETTERS[(NOTE_LETTERS.indexOf(saLetter) + SWARA_DEGREES[interval]) % 7];
+  return letter + ACCIDENTAL_SYMBOLS[getAlteration((noteIndex + 9) % 12, letter)];
+}
+
+/**
+ * Spell a key by its Sa (e.g. "D♭" for C#'s index)
+ */
+function getKeyName(saIndex, preference = accidentalPreference) {
+  return spellNote(NOTES[saIndex], saIndex, preference);
+}
+
+/**
+ * Spell a MIDI number in scientific pitch in the key with Sa at saIndex
+ * The octave number follows the letter, so B♯3 and C4 are the same pitch.
+ * @param {string|null} spelling - Letter and accidental to use instead (e.g. from the input)
+ */
+function spellMidi(midi, saIndex, spelling = null) {
+  const name = spelling || spellNote(midiToNoteName(midi), saIndex);
+  const letter = name[0];
+  const alteration = getAlteration(((midi % 12) + 12) % 12, letter);
+  return name + (Math.floor((midi - alteration - LETTER_SEMITONES[letter]) / 12) - 1);
+}
+
+/**
+ * Name a flute with sharps or flats, e.g. "A#" -> "A♯" or "B♭"
+ */
+function spellFluteName(fluteName, preference = accidentalPreference) {
+  const index = noteToIndex(fluteName);
+  const name = NOTES[index];
+  if (!name.includes('#')) return name;
+  return preference === 'flats' ? `${NOTES[(index + 1) % 12]}♭` : `${name[0]}♯`;
+}
+
+/**
+ * Get how the user spelled each note of a melody (first spelling wins)
+ * Returns a map of note name to spelling, e.g. { 'A#': 'B♭' }; sargam input has none
+ */
+function getInputSpellings(pitches) {
+  const spellings = {};
+  for (const pitch of pitches) {
+    if (pitch.spelling && !spellings[pitch.note]) spellings[pitch.note] = pitch.spelling;
+  }
+  return spellings;
+}
+
+// ============================================
+// REGISTER & RANGE FUNCTIONS
+// ============================================
+
+/**
+ * Convert a MIDI number (or pitch class 0-11, C = 0) to a note name from NOTES
+ */
+function midiToNoteName(midi) {
+  return NOTES[(midi % 12 + 12 + 3) % 12];
+}
+
+/**
+ * Format a MIDI number in scientific pitch notation (e.g. 69 -> "A4")
+ */
+function midiToScientific(midi) {
+  return midiToNoteName(midi) + (Math.floor(midi / 12) - 1);
+}
+
+/**
+ * Get the MIDI number of a flute's madhya Sa
+ * Base flutes sit an octave below a medium flute of the same key, small flutes an octave above
+ */
+function getFluteSaMidi(fluteName, size = 'medium') {
+  const rootIndex = getRootNoteIndex(fluteName);
+  const rootPitchClass = (rootIndex + 9) % 12;
+  const lowestPitchClass = LOWEST_SA_MIDI % 12;
+  return LOWEST_SA_MIDI + (rootPitchClass - lowestPitchClass + 12) % 12 + 12 * (FLUTE_SIZES[size] || 0);
+}
+
+/**
+ * Get a pitch's distance in semitones from the flute's madhya Sa
+ * Returns null when the pitch carries no octave information
+ */
+function getPitchOffset(pitch, saMidi) {
+  if (pitch.midi !== null) {
+    return pitch.midi - saMidi;
+  }
+  if (pitch.register !== null) {
+    const pitchClass = (noteToIndex(pitch.note) + 9) % 12;
+    return (pitchClass - saMidi % 12 + 12) % 12 + 12 * pitch.register;
+  }
+  return null;
+}
+
+/**
+ * Describe an octave shift in words (e.g. 1 -> "one octave up")
+ */
+function describeOctaveShift(octaveShift) {
+  const count = Math.abs(octaveShift) === 1 ? 'one octave' : `${Math.abs(octaveShift)} octaves`;
+  return `${count} ${octaveShift > 0 ? 'up' : 'down'}`;
+}
+
+/**
+ * Name the register (saptak) for an offset from madhya Sa
+ */
+function getRegisterName(offset) {
+  if (offset < 0) return 'mandra';
+  if (offset < 12) return 'madhya';
+  return 'taar';
+}
+
+/**
+ * Find the pitches that fall outside a flute's range with a given octave shift
+ * The shift only moves pitches written in scientific pitch
+ */
+function findOutOfRange(pitches, saMidi, octaveShift) {
+  const outOfRange = [];
+
+  for (const pitch of pitches) {
+    let offset = getPitchOffset(pitch, saMidi);
+    if (offset === null) continue;
+    if (pitch.midi !== null) offset += 12 * octaveShift;
+
+    if (offset < FLUTE_RANGE.low || offset > FLUTE_RANGE.high) {
+      if (!outOfRange.includes(pitch.label)) {
+        outOfRange.push(pitch.label);
+      }
+    }
+  }
+
+  return outOfRange;
+}
+
+/**
+ * Check whether a flute's playable range reaches the melody's pitches
+ * Melodies written in scientific pitch may be moved by whole octaves to fit;
+ * octaveShift reports the smallest shift that works (0 when played as written)
+ * Returns { saMidi, lowMidi, highMidi, inRange, octaveShift, outOfRange }
+ */
+function checkFluteRange(fluteName, pitches, size = 'medium') {
+  const saMidi = getFluteSaMidi(fluteName, size);
+  const asWritten = findOutOfRange(pitches, saMidi, 0);
+  let octaveShift = 0;
+  let outOfRange = asWritten;
+
+  if (asWritten.length > 0 && pitches.some(p => p.midi !== null)) {
+    for (const shift of [1, -1, 2, -2]) {
+      if (findOutOfRange(pitches, saMidi, shift).length === 0) {
+        octaveShift = shift;
+        outOfRange = [];
+        break;
+      }
+    }
+  }
+
+  return {
+    saMidi,
+    lowMidi: saMidi + FLUTE_RANGE.low,
+    highMidi: saMidi + FLUTE_RANGE.high,
+    inRange: outOfRange.length === 0,
+    octaveShift,
+    outOfRange
+  };
+}
+
+// ============================================
+// FINGERING MODEL
+// ============================================
+
+/**
+ * Get the fingerings for a note on a flute, easiest first
+ * Returns { note, interval, swara, fingerings: [{ pattern, technique, difficulty }] }
+ */
+function getNoteFingerings(note, rootIndex, profile = activeProfile) {
+  const interval = (noteToIndex(note) - rootIndex + 12) % 12;
+  return {
+    note,
+    interval,
+    swara: SWARA_NAMES[interval],
+    fingerings: profile.fingerings[interval]
+  };
+}
+
+/**
+ * Get the note under each hole, from the blow hole down, as semitones above Sa
+ * The blow hole shows the note with every hole open; each finger hole shows the
+ * note with it and every hole above it closed.
+ * Returns [{ interval, register }] with one entry per finger hole plus the blow hole
+ */
+function getHoleIntervals(profile = activeProfile) {
+  const holes = [];
+  for (let closed = 0; closed <= profile.holes; closed++) {
+    const pattern = 'x'.repeat(closed) + 'o'.repeat(profile.holes - closed);
+    for (const [interval, fingerings] of Object.entries(profile.fingerings)) {
+      const fingering = fingerings.find(f => f.pattern === pattern);
+      if (fingering) {
+        holes.push({ interval: Number(interval), register: fingering.register || 0 });
+        break;
+      }
+    }
+  }
+  return holes;
+}
+
+/**
+ * Describe a fingering pattern in words (e.g. "half-open hole 6")
+ */
+function describeFingering(pattern) {
+  const half = [];
+  const open = [];
+  for (let i = 0; i < pattern.length; i++) {
+    if (pattern[i] === 'h') half.push(i + 1);
+    if (pattern[i] === 'o') open.push(i + 1);
+  }
+
+  const parts = [];
+  if (half.length > 0) parts.push(`half-open hole ${half.join(', ')}`);
+  if (open.length > 0) parts.push(`open ${open.length === 1 ? 'hole' : 'holes'} ${open.join(', ')}`);
+  return parts.length > 0 ? parts.join(', ') : 'all holes closed';
+}
+
+/**
+ * Work out the note a fingering plays: the reverse of getNoteFingerings
+ * Fingerings not in the profile's table are read from the first hole that is not
+ * closed, as if every hole below it were open (closed holes below it flatten the
+ * note a little on a real flute), and come back with exact false.
+ * @param {string} pattern - Finger holes from the blow hole down: x closed, h half-open, o open
+ * @param {number} rootIndex - Index of the flute's Sa
+ * @param {number} blowRegister - 0 blowing gently, 1 overblowing into the next octave
+ * Returns { note, interval, swara, register, fingering, exact } with register in octaves from
+ * madhya (-1 mandra, 0 madhya, 1 taar) and fingering the table entry that was matched
+ */
+function getFingeringNote(pattern, rootIndex, blowRegister = 0, profile = activeProfile) {
+  const findFingering = target => {
+    for (const [interval, fingerings] of Object.entries(profile.fingerings)) {
+      const fingering = fingerings.find(f => f.pattern === target);
+      if (fingering) return { interval: Number(interval), fingering };
+    }
+    return null;
+  };
+
+  let match = findFingering(pattern);
+  const exact = match !== null;
+  if (!match) {
+    const first = pattern.search(/[ho]/);
+    const rest = first === -1 ? '' : 'o'.repeat(pattern.length - first - 1);
+    match = first === -1
+      ? findFingering('x'.repeat(pattern.length))
+      : findFingering(pattern.slice(0, first + 1) + rest) || findFingering(pattern.slice(0, first) + 'o' + rest);
+  }
+
+  return {
+    note: NOTES[(rootIndex + match.interval) % 12],
+    interval: match.interval,
+    swara: SWARA_NAMES[match.interval],
+    register: (match.fingering.register || 0) + blowRegister,
+    fingering: match.fingering,
+    exact
+  };
+}
+
+// ============================================
+// RAGA & THAAT MODE
+// ============================================
+
+/**
+ * Parse an aroha or avaroha (sargam letters with octave marks)
+ * Returns [{ interval, register }] in order, intervals in semitones above the raga's Sa
+ */
+function parseRagaPhrase(phrase) {
+  return phrase.split(/\s+/).map(token => {
+    const { text, shift } = extractOctaveMarks(token);
+    return { interval: SARGAM_LETTERS[text], register: shift };
+  });
+}
+
+/**
+ * Look up a thaat or raga by key ("thaat:Kafi" or "raga:Yaman")
+ * Thaats get a plain ascending aroha and descending avaroha, and no vadi/samvadi.
+ * Returns { key, type, name, thaat, intervals, aroha, avaroha, vadi, samvadi } or null
+ */
+function getRagaMode(key) {
+  const [type, name] = (key || '').split(':');
+
+  if (type === 'thaat') {
+    const thaat = theoryImports.THAATS.find(t => t.name === name);
+    if (!thaat) return null;
+    const aroha = [...thaat.intervals.map(interval => ({ interval, register: 0 })), { interval: 0, register: 1 }];
+    return {
+      key, type, name, thaat: name,
+      intervals: thaat.intervals,
+      aroha,
+      avaroha: [...aroha].reverse(),
+      vadi: null,
+      samvadi: null
+    };
+  }
+
+  if (type === 'raga') {
+    const raga = theoryImports.RAGAS.find(r => r.name === name);
+    if (!raga) return null;
+    const aroha = parseRagaPhrase(raga.aroha);
+    const avaroha = parseRagaPhrase(raga.avaroha);
+    const intervals = [...new Set([...aroha, ...avaroha].map(step => step.interval))].sort((a, b) => a - b);
+    return {
+      key, type, name, thaat: raga.thaat,
+      intervals,
+      aroha,
+      avaroha,
+      vadi: SARGAM_LETTERS[raga.vadi],
+      samvadi: SARGAM_LETTERS[raga.samvadi]
+    };
+  }
+
+  return null;
+}
+
+/**
+ * List every thaat and raga in the library, thaats first
+ */
+function listRagaModes() {
+  return [
+    ...theoryImports.THAATS.map(thaat => getRagaMode(`thaat:${thaat.name}`)),
+    ...theoryImports.RAGAS.map(raga => getRagaMode(`raga:${raga.name}`))
+  ];
+}
+
+/**
+ * Describe a thaat or raga, e.g. "Raga Yaman (Kalyan thaat)" or "Kafi thaat"
+ */
+function describeRagaMode(mode) {
+  return mode.type === 'raga' ? `Raga ${mode.name} (${mode.thaat} thaat)` : `${mode.name} thaat`;
+}
+
+/**
+ * Work out how a flute plays a thaat or raga with the raga's Sa on one of the flute's notes
+ * @param {number} rootIndex - Index of the flute's Sa
+ * @param {Object} mode - Thaat or raga from getRagaMode
+ * @param {number} placement - Semitones from the flute's Sa to the raga's Sa (see SA_PLACEMENTS)
+ * Returns { saIndex, notes, naturalNotes, omittedNotes, halfHoleNotes, halfHoles } where
+ * halfHoleNotes are [{ note, swara, pattern, technique, difficulty }] (swara relative to the
+ * raga's Sa), halfHoles maps a finger hole number (from 1) to the swaras it is half-opened for,
+ * and omittedNotes are flute notes the raga leaves out
+ */
+function getRagaFingerings(rootIndex, mode, placement) {
+  const saIndex = (rootIndex + placement) % 12;
+  const scaleNotes = getScaleNotes(rootIndex);
+  const notes = mode.intervals.map(interval => NOTES[(saIndex + interval) % 12]);
+  const halfHoleNotes = [];
+  const halfHoles = {};
+
+  mode.intervals.forEach((interval, i) => {
+    if (scaleNotes.includes(notes[i])) return;
+
+    const easiest = getNoteFingerings(notes[i], rootIndex).fingerings[0];
+    const swara = SWARA_NAMES[interval];
+    halfHoleNotes.push({ note: notes[i], swara, ...easiest });
+
+    for (let hole = 0; hole < easiest.pattern.length; hole++) {
+      if (easiest.pattern[hole] !== 'h') continue;
+      if (!halfHoles[hole + 1]) halfHoles[hole + 1] = [];
+      halfHoles[hole + 1].push(swara);
+    }
+  });
+
+  return {
+    saIndex,
+    notes,
+    naturalNotes: notes.filter(note => scaleNotes.includes(note)),
+    omittedNotes: scaleNotes.filter(note => !notes.includes(note)),
+    halfHoleNotes,
+    halfHoles
+  };
+}
+
+// ============================================
+// PLAYING DIFFICULTY
+// ============================================
+// A melody is played note by note on a flute and charged points for what makes it hard:
+// half-holes and cross-fingerings, many fingers moving at once, jumps across the break
+// between registers, time in the taar register and notes out of range. Short notes make
+// half-holes and changes harder, so those points grow for notes under a beat.
+
+// Points for one note on a fingering of each difficulty (see DIFFICULTY_LABELS)
+const FINGERING_POINTS = { 1: 0, 2: 1, 3: 2 };
+
+// A change of fingering is awkward when at least this many holes move at once;
+// each hole past the one before it costs AWKWARD_CHANGE_POINTS
+const AWKWARD_FINGER_CHANGES = 4;
+const AWKWARD_CHANGE_POINTS = 0.5;
+
+// Points for moving between registers (mandra, madhya, taar) from one note to the next
+const REGISTER_JUMP_POINTS = 1;
+
+// Points per beat in the taar register, and above taar Pa where it takes the most breath
+const TAAR_POINTS_PER_BEAT = 0.5;
+const HIGH_TAAR_POINTS_PER_BEAT = 1;
+const HIGH_TAAR_OFFSET = 19;
+
+// Points for a note the flute cannot reach
+const OUT_OF_RANGE_POINTS = 4;
+
+// Highest difficulty score for each level in DIFFICULTY_LABELS (above the last is hard)
+const DIFFICULTY_LEVELS = [{ level: 1, max: 15 }, { level: 2, max: 40 }];
+
+/**
+ * Get how much harder a short note makes a fingering or change: 1 for a beat or more,
+ * up to 2 for half a beat or less
+ */
+function getSpeedFactor(duration) {
+  return Math.min(2, Math.max(1, 1 / duration));
+}
+
+/**
+ * Count the holes that change between two fingering patterns
+ */
+function countFingerChanges(from, to) {
+  let changes = 0;
+  for (let i = 0; i < Math.max(from.length, to.length); i++) {
+    if (from[i] !== to[i]) changes++;
+  }
+  return changes;
+}
+
+/**
+ * Score how hard a melody is to play on a flute, following its notes in order
+ * @param {Object[]} pitches - Parsed melody (see parsePitchInput)
+ * @param {Object} options - { size, octaveShift (see checkFluteRange), correctedNotes: notes
+ *   on natural fingerings that still need shading to play in tune }
+ * Returns { score (0-100), level (see DIFFICULTY_LABELS), points, halfHoles, fingerChanges,
+ *           registerJumps, taar, outOfRange }, each part { count, points } with taar also
+ *           giving { time, percent } (beats and share of the melody's duration)
+ */
+function scoreDifficulty(fluteName, pitches, options = {}) {
+  const rootIndex = getRootNoteIndex(fluteName);
+  const saMidi = getFluteSaMidi(fluteName, options.size);
+  const correctedNotes = options.correctedNotes || [];
+  const parts = {
+    halfHoles: { count: 0, points: 0 },
+    fingerChanges: { count: 0, points: 0 },
+    registerJumps: { count: 0, points: 0 },
+    taar: { count: 0, points: 0, time: 0, percent: 0 },
+    outOfRange: { count: 0, points: 0 }
+  };
+  let totalTime = 0;
+  let previous = null;
+
+  for (const pitch of pitches) {
+    let offset = getPitchOffset(pitch, saMidi);
+    if (offset === null) {
+      offset = getPitchOffset({ ...pitch, register: 0 }, saMidi);
+    } else if (pitch.midi !== null) {
+      offset += 12 * (options.octaveShift || 0);
+    }
+    const speed = getSpeedFactor(pitch.duration);
+    totalTime += pitch.duration;
+
+    if (offset < FLUTE_RANGE.low || offset > FLUTE_RANGE.high) {
+      parts.outOfRange.count++;
+      parts.outOfRange.points += OUT_OF_RANGE_POINTS;
+      previous = null;
+      continue;
+    }
+
+    const register = Math.floor(offset / 12);
+    const { fingerings } = getNoteFingerings(pitch.note, rootIndex);
+    const fingering = fingerings.find(f => (f.register || 0) === Math.min(register, 0)) || fingerings[0];
+    const difficulty = correctedNotes.includes(pitch.note) ? Math.max(fingering.difficulty, 2) : fingering.difficulty;
+    if (difficulty > 1) {
+      parts.halfHoles.count++;
+      parts.halfHoles.points += FINGERING_POINTS[difficulty] * speed;
+    }
+
+    if (previous) {
+      const changes = countFingerChanges(previous.pattern, fingering.pattern);
+      if (changes >= AWKWARD_FINGER_CHANGES) {
+        parts.fingerChanges.count++;
+        parts.fingerChanges.points += (changes - AWKWARD_FINGER_CHANGES + 1) * AWKWARD_CHANGE_POINTS * speed;
+      }
+      if (register !== previous.register) {
+        parts.registerJumps.count++;
+        parts.registerJumps.points += REGISTER_JUMP_POINTS * speed;
+      }
+    }
+
+    if (register > 0) {
+      parts.taar.count++;
+      parts.taar.time += pitch.duration;
+      parts.taar.points += pitch.duration * (offset > HIGH_TAAR_OFFSET ? HIGH_TAAR_POINTS_PER_BEAT : TAAR_POINTS_PER_BEAT);
+    }
+    previous = { pattern: fingering.pattern, register };
+  }
+
+  parts.taar.percent = totalTime > 0 ? Math.round(parts.taar.time / totalTime * 100) : 0;
+  const points = Object.values(parts).reduce((sum, part) => sum + part.points, 0);
+  // Points per note, squeezed into 0-100: one point a note scores 50
+  const score = pitches.length > 0 ? Math.round(points / (points + pitches.length) * 100) : 0;
+  const level = (DIFFICULTY_LEVELS.find(l => score <= l.max) || { level: 3 }).level;
+
+  return { score, level, points: Math.round(points * 10) / 10, ...parts };
+}
+
+// ============================================
+// FLUTE SCORING
+// ============================================
+
+// A song counts as covered by a flute that reaches its range and plays at least this share
+const COVERED_PLAYABLE_PERCENT = 90;
+
+/**
+ * Get how far a flute's note sounds from the same note at the A4 reference, in cents
+ * @param {number} interval - Semitones above the flute's Sa
+ * @param {Object} tuning - { a4, holeCents } with the flute's A4 and the measured offset of
+ *   each hole from the blow hole down (see getHoleIntervals); notes off the holes
+ *   (half-holes, cross-fingerings) only move with the flute's A4
+ */
+function getNoteDeviation(interval, tuning, reference = referenceA4) {
+  const hole = getHoleIntervals().findIndex(h => h.interval === interval && !h.register);
+  const holeCents = (tuning.holeCents || [])[hole] || 0;
+  return theoryImports.getCentsBetween(tuning.a4, reference) + holeCents;
+}
+
+/**
+ * Score a flute against a set of input notes
+ * Pitches with octave information are checked against the flute's range
+ * Notes outside the scale count as "playable with effort", weighted by fingering difficulty.
+ * The melody's pitches give the share of note events (eventPercent) and of total
+ * duration (timePercent) on natural fingerings; weightedPercent averages the two.
+ * With tuning ({ a4, holeCents, tolerance }, see getNoteDeviation), scale notes more than
+ * tolerance cents from the A4 reference count as moderate effort (the player has to shade
+ * or roll the flute to correct them) and are listed in outOfTuneNotes.
+ * difficulty scores the melody played in order (see scoreDifficulty).
+ * Returns { fluteName, size, rootNote, scaleNotes, matchCount, matchPercent, playablePercent,
+ *           matchingNotes, extraNotes, effortNotes, eventPercent, timePercent, weightedPercent,
+ *           inRange, octaveShift, outOfRangeNotes, outOfTuneNotes: [{ note, cents }], difficulty }
+ */
+function scoreFlute(fluteName, inputNotes, pitches = [], size = 'medium', tuning = null) {
+  const rootIndex = getRootNoteIndex(fluteName);
+  const rootNote = NOTES[rootIndex];
+  const scaleNotes = getScaleNotes(rootIndex);
+
+  const outOfTuneNotes = [];
+  if (tuning && tuning.tolerance) {
+    for (const note of scaleNotes) {
+      const cents = getNoteDeviation((noteToIndex(note) - rootIndex + 12) % 12, tuning);
+      if (Math.abs(cents) > tuning.tolerance) outOfTuneNotes.push({ note, cents });
+    }
+  }
+  const inTune = note => scaleNotes.includes(note) && !outOfTuneNotes.some(n => n.note === note);
+
+  let matchCount = 0;
+  let playableCredit = 0;
+  const matchingNotes = [];
+  const extraNotes = [];
+  const effortNotes = [];
+
+  for (const note of inputNotes) {
+    if (inTune(note)) {
+      matchCount++;
+      playableCredit++;
+      matchingNotes.push(note);
+    } else if (scaleNotes.includes(note)) {
+      // Natural fingering, but too far out of tune to play without correcting
+      const fingering = getNoteFingerings(note, rootIndex);
+      playableCredit += EFFORT_CREDIT[2];
+      effortNotes.push({ note, swara: fingering.swara, ...fingering.fingerings[0], technique: 'pitch correction', difficulty: 2 });
+    } else {
+      extraNotes.push(note);
+
+      // Notes outside the scale can still be played with a half-hole or cross-fingering
+      const fingering = getNoteFingerings(note, rootIndex);
+      const easiest = fingering.fingerings[0];
+      playableCredit += EFFORT_CREDIT[easiest.difficulty];
+      effortNotes.push({ note, swara: fingering.swara, ...easiest });
+    }
+  }
+
+  const matchPercent = inputNotes.length > 0
+    ? Math.round((matchCount / inputNotes.length) * 100)
+    : 0;
+  const playablePercent = inputNotes.length > 0
+    ? Math.round((playableCredit / inputNotes.length) * 100)
+    : 0;
+
+  // Melody weighting: share of note events and of total time on natural fingerings
+  let naturalEvents = 0;
+  let naturalTime = 0;
+  let totalTime = 0;
+  for (const pitch of pitches) {
+    totalTime += pitch.duration;
+    if (inTune(pitch.note)) {
+      naturalEvents++;
+      naturalTime += pitch.duration;
+    }
+  }
+  const eventPercent = pitches.length > 0 ? Math.round((naturalEvents / pitches.length) * 100) : 0;
+  const timePercent = totalTime > 0 ? Math.round((naturalTime / totalTime) * 100) : 0;
+  const weightedPercent = pitches.length > 0
+    ? Math.round(((naturalEvents / pitches.length + naturalTime / totalTime) / 2) * 100)
+    : 0;
+
+  const range = checkFluteRange(fluteName, pitches, size);
+  const difficulty = scoreDifficulty(fluteName, pitches, {
+    size, octaveShift: range.octaveShift, correctedNotes: outOfTuneNotes.map(n => n.note)
+  });
+
+  return {
+    fluteName,
+    size,
+    rootNote,
+    scaleNotes,
+    matchCount,
+    matchPercent,
+    playablePercent,
+    matchingNotes,
+    extraNotes,
+    effortNotes,
+    eventPercent,
+    timePercent,
+    weightedPercent,
+    inRange: range.inRange,
+    octaveShift: range.octaveShift,
+    outOfRangeNotes: range.outOfRange,
+    outOfTuneNotes: outOfTuneNotes.filter(n => inputNotes.includes(n.note)),
+    difficulty
+  };
+}
+
+/**
+ * Get the tuning to score an owned flute with, or null for a catalog flute
+ * (assumed to be made at the A4 reference)
+ */
+function getScoringTuning(flute, tolerance) {
+  if (!tolerance || !flute.tuning) return null;
+  return { a4: flute.tuning, holeCents: flute.holeCents || [], tolerance };
+}
+
+/**
+ * List the 12 standard (medium) flutes, one per key
+ */
+function getAllFlutes() {
+  return NOTES.map(fluteName => ({ fluteName, size: 'medium' }));
+}
+
+/**
+ * Find best flutes for given input notes
+ * Returns array sorted by playing difficulty (easiest first, see scoreDifficulty), then
+ * playable and match percentage, with flutes that cannot reach the melody's range ranked last.
+ * With options.weighted, the melody-weighted score ranks first instead.
+ * options.flutes limits the ranking to [{ fluteName, size, nickname, tuning, holeCents }] (default: all 12 medium flutes)
+ * options.tolerance (cents) scores owned flutes by their tuning (see scoreFlute)
+ */
+function findBestFlutes(inputNotes, pitches = [], options = {}) {
+  const results = [];
+
+  for (const flute of options.flutes || getAllFlutes()) {
+    const score = scoreFlute(flute.fluteName, inputNotes, pitches, flute.size, getScoringTuning(flute, options.tolerance));
+    results.push({ ...score, nickname: flute.nickname || null });
+  }
+
+  // Sort by range fit, then (weighted,) difficulty ascending, playablePercent and matchPercent descending, then by matchCount descending
+  results.sort((a, b) => {
+    if (a.inRange !== b.inRange) {
+      return a.inRange ? -1 : 1;
+    }
+    if (options.weighted && b.weightedPercent !== a.weightedPercent) {
+      return b.weightedPercent - a.weightedPercent;
+    }
+    if (a.difficulty.score !== b.difficulty.score) {
+      return a.difficulty.score - b.difficulty.score;
+    }
+    if (b.playablePercent !== a.playablePercent) {
+      return b.playablePercent - a.playablePercent;
+    }
+    if (b.matchPercent !== a.matchPercent) {
+      return b.matchPercent - a.matchPercent;
+    }
+    if (b.matchCount !== a.matchCount) {
+      return b.matchCount - a.matchCount;
+    }
+    // Prefer flutes that play the melody in its written octave
+    return Math.abs(a.octaveShift) - Math.abs(b.octaveShift);
+  });
+
+  return results;
+}
+
+/**
+ * Compare 2-4 flutes note by note and by range
+ * Notes are the pitch classes of NOTES. sharedNotes are in every flute's scale, a flute's
+ * uniqueNotes are in its scale and no other's, and its missingNotes are input notes outside
+ * its scale with the fingering that plays them. Works with no input to compare bare scales.
+ * options.tolerance scores owned flutes by their tuning (see findBestFlutes)
+ * Returns { flutes: [scoreFlute result plus { nickname, saMidi, lowMidi, highMidi, uniqueNotes,
+ *           missingNotes }], sharedNotes, inputNotes, melody: { lowMidi, highMidi } or null,
+ *           lowMidi, highMidi } with the last two spanning every flute's range and the melody
+ */
+function compareFlutes(flutes, inputNotes = [], pitches = [], options = {}) {
+  if (flutes.length < 2 || flutes.length > 4) throw new Error('Compare 2 to 4 flutes.');
+
+  const scores = flutes.map(flute => ({
+    ...scoreFlute(flute.fluteName, inputNotes, pitches, flute.size, getScoringTuning(flute, options.tolerance)),
+    nickname: flute.nickname || null
+  }));
+  const sharedNotes = NOTES.filter(note => scores.every(score => score.scaleNotes.includes(note)));
+
+  const compared = scores.map((score, i) => {
+    const saMidi = getFluteSaMidi(score.fluteName, score.size);
+    return {
+      ...score,
+      saMidi,
+      lowMidi: saMidi + FLUTE_RANGE.low,
+      highMidi: saMidi + FLUTE_RANGE.high,
+      uniqueNotes: score.scaleNotes.filter(note => scores.every((other, j) => j === i || !other.scaleNotes.includes(note))),
+      missingNotes: score.effortNotes.filter(n => score.extraNotes.includes(n.note))
+    };
+  });
+
+  // Range of the melody as written (only notes with an octave have a pitch)
+  const written = pitches.filter(pitch => pitch.midi !== null).map(pitch => pitch.midi);
+  const melody = written.length > 0 ? { lowMidi: Math.min(...written), highMidi: Math.max(...written) } : null;
+  const lows = compared.map(flute => flute.lowMidi).concat(melody ? [melody.lowMidi] : []);
+  const highs = compared.map(flute => flute.highMidi).concat(melody ? [melody.highMidi] : []);
+
+  return {
+    flutes: compared,
+    sharedNotes,
+    inputNotes,
+    melody,
+    lowMidi: Math.min(...lows),
+    highMidi: Math.max(...highs)
+  };
+}
+
+/**
+ * Score a flute playing a thaat or raga, with the raga's Sa on one of the flute's notes
+ * fitPercent is the share of input notes that belong to the raga, coveragePercent the share
+ * of the raga's notes the input uses, and playablePercent comes from scoreFlute (the
+ * melody-weighted share with options.weighted, scored with options.tuning). score blends them 50/25/25.
+ * Returns the scoreFlute result plus { mode, placement, saNote, ragaNotes, inRagaNotes,
+ *           outsideNotes, fitPercent, coveragePercent, score, endsOnSa }
+ */
+function scoreRagaFit(fluteName, mode, placement, inputNotes, pitches = [], options = {}) {
+  const base = scoreFlute(fluteName, inputNotes, pitches, options.size, options.tuning);
+  const { saIndex, notes: ragaNotes } = getRagaFingerings(noteToIndex(base.rootNote), mode, placement);
+
+  const inRagaNotes = inputNotes.filter(note => ragaNotes.includes(note));
+  const outsideNotes = inputNotes.filter(note => !ragaNotes.includes(note));
+  const fit = inputNotes.length > 0 ? inRagaNotes.length / inputNotes.length : 0;
+  const coverage = inRagaNotes.length / ragaNotes.length;
+  const playable = (options.weighted && pitches.length > 0 ? base.weightedPercent : base.playablePercent) / 100;
+
+  return {
+    ...base,
+    mode,
+    placement,
+    saNote: NOTES[saIndex],
+    ragaNotes,
+    inRagaNotes,
+    outsideNotes,
+    fitPercent: Math.round(fit * 100),
+    coveragePercent: Math.round(coverage * 100),
+    score: Math.round((fit * 0.5 + coverage * 0.25 + playable * 0.25) * 100),
+    // Melodies usually come to rest on Sa, which helps tell modes with the same notes apart
+    endsOnSa: pitches.length > 0 && pitches[pitches.length - 1].note === NOTES[saIndex]
+  };
+}
+
+/**
+ * Find the best flute, Sa placement and thaat or raga for the input notes
+ * Returns every combination sorted by range fit, score, fit, coverage and difficulty; ties go to
+ * melodies ending on Sa, then Sa on the flute's own Sa (then Ma, then Pa), then ragas over thaats
+ * options.flutes and options.tolerance work as in findBestFlutes
+ */
+function findBestRagaFits(inputNotes, pitches = [], options = {}) {
+  const modes = listRagaModes();
+  const results = [];
+
+  for (const flute of options.flutes || getAllFlutes()) {
+    for (const placement of SA_PLACEMENTS) {
+      for (const mode of modes) {
+        const fit = scoreRagaFit(flute.fluteName, mode, placement.interval, inputNotes, pitches,
+          { ...options, size: flute.size, tuning: getScoringTuning(flute, options.tolerance) });
+        results.push({ ...fit, nickname: flute.nickname || null });
+      }
+    }
+  }
+
+  const placementOrder = SA_PLACEMENTS.map(p => p.interval);
+  results.sort((a, b) => {
+    if (a.inRange !== b.inRange) {
+      return a.inRange ? -1 : 1;
+    }
+    if (b.score !== a.score) {
+      return b.score - a.score;
+    }
+    if (b.fitPercent !== a.fitPercent) {
+      return b.fitPercent - a.fitPercent;
+    }
+    if (b.coveragePercent !== a.coveragePercent) {
+      return b.coveragePercent - a.coveragePercent;
+    }
+    if (a.difficulty.score !== b.difficulty.score) {
+      return a.difficulty.score - b.difficulty.score;
+    }
+    if (a.endsOnSa !== b.endsOnSa) {
+      return a.endsOnSa ? -1 : 1;
+    }
+    if (a.placement !== b.placement) {
+      return placementOrder.indexOf(a.placement) - placementOrder.indexOf(b.placement);
+    }
+    if (a.mode.type !== b.mode.type) {
+      return a.mode.type === 'raga' ? -1 : 1;
+    }
+    return Math.abs(a.octaveShift) - Math.abs(b.octaveShift);
+  });
+
+  return results;
+}
+
+// ============================================
+// TRANSPOSITION
+// ============================================
+
+/**
+ * Transpose a melody by a number of semitones
+ * Pitches with octave information come back with MIDI numbers; octave marks are read
+ * against saMidi, the melody's madhya Sa. Pitches without octave information only change name.
+ * Labels are spelled in the key of saMidi.
+ */
+function transposePitches(pitches, semitones, saMidi) {
+  const saIndex = noteToIndex(midiToNoteName(saMidi));
+  return pitches.map(pitch => {
+    const note = NOTES[(noteToIndex(pitch.note) + semitones % 12 + 12) % 12];
+    const offset = getPitchOffset(pitch, saMidi);
+    if (offset === null) {
+      return { note, midi: null, register: null, duration: pitch.duration, label: spellNote(note, saIndex) };
+    }
+    const midi = saMidi + offset + semitones;
+    return { note, midi, register: null, duration: pitch.duration, label: spellMidi(midi, saIndex) };
+  });
+}
+
+/**
+ * Get the unique note names of a melody in order
+ */
+function getUniqueNotes(pitches) {
+  return [...new Set(pitches.map(pitch => pitch.note))];
+}
+
+/**
+ * Order transposition results: in range first, then most playable, then fewest half-holes
+ */
+function compareTranspositions(a, b) {
+  if (a.inRange !== b.inRange) {
+    return a.inRange ? -1 : 1;
+  }
+  if (b.playablePercent !== a.playablePercent) {
+    return b.playablePercent - a.playablePercent;
+  }
+  return a.halfHoleCount - b.halfHoleCount;
+}
+
+/**
+ * Try a melody in all 12 keys on one flute
+ * Shifts run from -5 to +6 semitones so no key is more than half an octave away.
+ * Sargam and octave marks are read with Sa on the flute's Sa.
+ * @param {Object[]} pitches - Parsed melody
+ * @param {Object} flute - { fluteName, size, nickname }
+ * Returns the scoreFlute result for each shift plus { nickname, semitones, pitches, notes,
+ * halfHoleCount }, sorted by range fit, playable share, fewest half-holes and smallest shift
+ */
+function findBestTranspositions(pitches, flute) {
+  const saMidi = getFluteSaMidi(flute.fluteName, flute.size);
+  const results = [];
+
+  for (let semitones = -5; semitones <= 6; semitones++) {
+    const moved = transposePitches(pitches, semitones, saMidi);
+    const notes = getUniqueNotes(moved);
+    const score = scoreFlute(flute.fluteName, notes, moved, flute.size);
+    results.push({
+      ...score,
+      nickname: flute.nickname || null,
+      semitones,
+      pitches: moved,
+      notes,
+      halfHoleCount: score.effortNotes.length
+    });
+  }
+
+  results.sort((a, b) => compareTranspositions(a, b) ||
+    Math.abs(a.semitones) - Math.abs(b.semitones) ||
+    Math.abs(a.octaveShift) - Math.abs(b.octaveShift));
+  return results;
+}
+
+/**
+ * Find the flutes and Sa placements that play a melody in a fixed key
+ * The melody's Sa (keyIndex) must land on a flute's Sa, Ma or Pa; sargam and octave marks
+ * are read against that Sa.
+ * @param {Object[]} pitches - Melody parsed with Sa at keyIndex
+ * @param {number} keyIndex - Index of the melody's Sa
+ * @param {Object[]} flutes - [{ fluteName, size, nickname }] to consider
+ * Returns the scoreFlute result for each fitting flute and placement plus { nickname,
+ * placement, pitches, notes, halfHoleCount }, sorted like findBestTranspositions
+ */
+function findFlutesForKey(pitches, keyIndex, flutes) {
+  const results = [];
+
+  for (const flute of flutes) {
+    for (const placement of SA_PLACEMENTS) {
+      const rootIndex = getRootNoteIndex(flute.fluteName);
+      if ((rootIndex + placement.interval) % 12 !== keyIndex) continue;
+
+      const placed = transposePitches(pitches, 0, getFluteSaMidi(flute.fluteName, flute.size) + placement.interval);
+      const notes = getUniqueNotes(placed);
+      const score = scoreFlute(flute.fluteName, notes, placed, flute.size);
+      results.push({
+        ...score,
+        nickname: flute.nickname || null,
+        placement: placement.interval,
+        pitches: placed,
+        notes,
+        halfHoleCount: score.effortNotes.length
+      });
+    }
+  }
+
+  const placementOrder = SA_PLACEMENTS.map(p => p.interval);
+  results.sort((a, b) => compareTranspositions(a, b) ||
+    placementOrder.indexOf(a.placement) - placementOrder.indexOf(b.placement) ||
+    Math.abs(a.octaveShift) - Math.abs(b.octaveShift));
+  return results;
+}
+
+// ============================================
+// MODULATION
+// ============================================
+// A song that changes key can be split into sections, each on its own flute.
+// Sections are marked with "||" in the note input, or found by following the
+// cheapest path through the keys note by note.
+
+// Section break in note input (a double bar line)
+const SECTION_MARKER = '||';
+
+// Cost of changing flute, counted in notes that each lose a full match (three
+// moderate half-holes); keeps detected sections from flickering between keys
+const FLUTE_SWITCH_COST = 1.5;
+
+// A flute covers a section well when its playable share is within this many points of the best flute's
+const SECTION_COVER_TOLERANCE = 10;
+
+/**
+ * Get how much of a match a note loses on a flute: nothing when it is in the flute's
+ * scale, otherwise what its easiest fingering's effort costs (see EFFORT_CREDIT)
+ */
+function getNoteEffortCost(note, rootIndex) {
+  if (getScaleNotes(rootIndex).includes(note)) return 0;
+  return 1 - EFFORT_CREDIT[getNoteFingerings(note, rootIndex).fingerings[0].difficulty];
+}
+
+/**
+ * Get the playable share of a melody on a flute, weighting each note by its duration
+ * Returns a percentage
+ */
+function getPlayableShare(pitches, rootIndex) {
+  let total = 0;
+  let lost = 0;
+  for (const pitch of pitches) {
+    total += pitch.duration;
+    lost += getNoteEffortCost(pitch.note, rootIndex) * pitch.duration;
+  }
+  return total > 0 ? Math.round((1 - lost / total) * 100) : 0;
+}
+
+/**
+ * Parse note input into sections at each "||"
+ * Sargam or Western is decided for the whole input, so sections read alike
+ * Returns a list of pitch lists, leaving out empty sections
+ */
+function parseSectionInput(inputString, rootIndex = DEFAULT_SARGAM_ROOT) {
+  const parts = splitInputTokens(inputString.split(SECTION_MARKER).join(` ${SECTION_MARKER} `));
+  const pitches = parsePitchTokens(parts, rootIndex);
+  const sections = [[]];
+  parts.forEach((part, i) => {
+    if (part === SECTION_MARKER) {
+      sections.push([]);
+    } else if (pitches[i]) {
+      sections[sections.length - 1].push(pitches[i]);
+    }
+  });
+  return sections.filter(section => section.length > 0);
+}
+
+/**
+ * Split a melody where it changes key
+ * Each note costs its effort (see getNoteEffortCost) times its duration. The cheapest path
+ * through the flutes' keys, paying FLUTE_SWITCH_COST for each change, gives the sections.
+ * @param {Object[]} pitches - Parsed melody
+ * @param {Object[]} flutes - [{ fluteName, size }] whose keys may be used
+ * Returns a list of pitch lists
+ */
+function detectSections(pitches, flutes) {
+  if (pitches.length === 0) return [];
+  const roots = [...new Set(flutes.map(flute => getRootNoteIndex(flute.fluteName)))];
+  const noteCost = (pitch, k) => getNoteEffortCost(pitch.note, roots[k]) * pitch.duration;
+
+  // cost[k] is the cheapest way to play the melody so far ending in key k;
+  // from[i][k] is the key the note before i was played in on that path
+  let cost = roots.map((root, k) => noteCost(pitches[0], k));
+  const from = [roots.map((root, k) => k)];
+  for (let i = 1; i < pitches.length; i++) {
+    const cheapest = cost.indexOf(Math.min(...cost));
+    from.push([]);
+    cost = roots.map((root, k) => {
+      // Stay in the same key unless changing is strictly cheaper
+      const switched = cost[cheapest] + FLUTE_SWITCH_COST;
+      from[i][k] = switched < cost[k] ? cheapest : k;
+      return Math.min(cost[k], switched) + noteCost(pitches[i], k);
+    });
+  }
+
+  const keys = [];
+  let k = cost.indexOf(Math.min(...cost));
+  for (let i = pitches.length - 1; i >= 0; i--) {
+    keys[i] = k;
+    k = from[i][k];
+  }
+
+  const sections = [];
+  pitches.forEach((pitch, i) => {
+    if (i === 0 || keys[i] !== keys[i - 1]) sections.push([]);
+    sections[sections.length - 1].push(pitch);
+  });
+  return sections;
+}
+
+/**
+ * Find the best place to change flute between two neighbouring sections
+ * Notes at the end of the first section that the next flute plays naturally, and notes at
+ * the start of the second that the first flute plays naturally, could go on either flute.
+ * Within that stretch the change goes after the longest note, where there is time to swap.
+ * @param {Object[]} pitches - The whole melody
+ * @param {number} boundary - Index of the second section's first pitch
+ * @param {Object} before - Flute of the first section ({ fluteName })
+ * @param {Object} after - Flute of the second section
+ * Returns { index, earliest, latest }: change before pitch index, anywhere from earliest to latest works
+ */
+function findSwitchPoint(pitches, boundary, before, after) {
+  const beforeScale = getScaleNotes(getRootNoteIndex(before.fluteName));
+  const afterScale = getScaleNotes(getRootNoteIndex(after.fluteName));
+
+  let earliest = boundary;
+  while (earliest > 1 && afterScale.includes(pitches[earliest - 1].note)) earliest--;
+  let latest = boundary;
+  while (latest < pitches.length - 1 && beforeScale.includes(pitches[latest].note)) latest++;
+
+  let index = boundary;
+  for (let i = earliest; i <= latest; i++) {
+    const longer = pitches[i - 1].duration - pitches[index - 1].duration;
+    if (longer > 0 || (longer === 0 && Math.abs(i - boundary) < Math.abs(index - boundary))) index = i;
+  }
+  return { index, earliest, latest };
+}
+
+/**
+ * Recommend the fewest flutes that play every section well, and which plays each section
+ * A flute covers a section when it reaches the section's range (if any flute does) and its
+ * playable share (see getPlayableShare) is within SECTION_COVER_TOLERANCE of the best
+ * flute's. Among the smallest sets that cover every section, the one with the highest total
+ * playable share wins; each section then goes to the set's best flute for it.
+ * @param {Object[][]} sections - Pitch lists from parseSectionInput or detectSections
+ * @param {Object[]} flutes - [{ fluteName, size, nickname }] to choose from
+ * @param {Object} options
+ * @param {boolean} options.merge - Join neighbouring sections that end up on the same flute
+ * Throws an Error when there are no flutes to choose from
+ * Returns { flutes, sections: [{ start, end, pitches, notes, flute, score, share }], switches: [{ from, to, ...findSwitchPoint }] }
+ * with start/end pitch indices into the whole melody (end exclusive), score from scoreFlute
+ * and share the section's playable share on its flute
+ */
+function planFluteSet(sections, flutes, options = {}) {
+  if (flutes.length === 0) throw new Error('Give at least one flute to plan with.');
+
+  const scored = sections.map(pitches => {
+    const notes = getUniqueNotes(pitches);
+    const scores = flutes.map(flute => scoreFlute(flute.fluteName, notes, pitches, flute.size));
+    const shares = flutes.map(flute => getPlayableShare(pitches, getRootNoteIndex(flute.fluteName)));
+    const anyInRange = scores.some(score => score.inRange);
+    const reachable = scores.map(score => score.inRange || !anyInRange);
+    const best = Math.max(...shares.filter((share, f) => reachable[f]));
+    const covers = shares.map((share, f) => reachable[f] && share >= best - SECTION_COVER_TOLERANCE);
+    return { pitches, notes, scores, shares, covers };
+  });
+
+  // Try sets of one flute, then two, and so on; the first size that covers everything wins
+  const candidates = flutes.map((flute, f) => f).filter(f => scored.some(section => section.covers[f]));
+  const total = set => scored.reduce((sum, section) => sum + Math.max(...set.map(f => section.shares[f])), 0);
+  let chosen = null;
+  for (let size = 1; size <= candidates.length && !chosen; size++) {
+    for (const set of getCombinations(candidates, size)) {
+      if (!scored.every(section => set.some(f => section.covers[f]))) continue;
+      if (!chosen || total(set) > total(chosen)) chosen = set;
+    }
+  }
+
+  let start = 0;
+  let planned = scored.map(section => {
+    const f = chosen
+      .filter(g => section.covers[g])
+      .reduce((a, b) => (section.shares[b] > section.shares[a] ? b : a));
+    const end = start + section.pitches.length;
+    const entry = {
+      start,
+      end,
+      pitches: section.pitches,
+      notes: section.notes,
+      flute: flutes[f],
+      score: section.scores[f],
+      share: section.shares[f]
+    };
+    start = end;
+    return entry;
+  });
+
+  if (options.merge) {
+    planned = planned.reduce((merged, section) => {
+      const previous = merged[merged.length - 1];
+      if (previous && previous.flute === section.flute) {
+        const pitches = [...previous.pitches, ...section.pitches];
+        const notes = getUniqueNotes(pitches);
+        merged[merged.length - 1] = {
+          ...previous,
+          end: section.end,
+          pitches,
+          notes,
+          score: scoreFlute(section.flute.fluteName, notes, pitches, section.flute.size),
+          share: getPlayableShare(pitches, getRootNoteIndex(section.flute.fluteName))
+        };
+      } else {
+        merged.push(section);
+      }
+      return merged;
+    }, []);
+  }
+
+  const melody = planned.flatMap(section => section.pitches);
+  const switches = [];
+  for (let i = 1; i < planned.length; i++) {
+    if (planned[i].flute === planned[i - 1].flute) continue;
+    switches.push({
+      from: planned[i - 1].flute,
+      to: planned[i].flute,
+      ...findSwitchPoint(melody, planned[i].start, planned[i - 1].flute, planned[i].flute)
+    });
+  }
+
+  // Flutes in the order they are first played
+  return { flutes: [...new Set(planned.map(section => section.flute))], sections: planned, switches };
+}
+
+/**
+ * List every way to choose size items from a list, keeping their order
+ */
+function getCombinations(items, size) {
+  if (size === 0) return [[]];
+  const combinations = [];
+  items.forEach((item, i) => {
+    for (const rest of getCombinations(items.slice(i + 1), size - 1)) {
+      combinations.push([item, ...rest]);
+    }
+  });
+  return combinations;
+}
+
+// ============================================
+// MODULE EXPORTS
+// ============================================
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    NOTES,
+    FLUTE_PROFILES,
+    FLUTE_SIZES,
+    FLUTE_RANGE,
+    SA_PLACEMENTS,
+    SWARA_NAMES,
+    DIFFICULTY_LABELS,
+    DEFAULT_SARGAM_ROOT,
+    COVERED_PLAYABLE_PERCENT,
+    configureTheory,
+    noteToIndex,
+    getFluteProfile,
+    getRootNoteIndex,
+    getNaturalIntervals,
+    getScaleNotes,
+    parsePitchInput,
+    parseNoteInput,
+    parseSectionInput,
+    melodyToInputText,
+    spellNote,
+    spellFluteName,
+    getKeyName,
+    midiToScientific,
+    spellMidi,
+    getFluteSaMidi,
+    getRegisterName,
+    checkFluteRange,
+    scoreDifficulty,
+    getNoteFingerings,
+    getFingeringNote,
+    getHoleIntervals,
+    describeFingering,
+    getRagaMode,
+    listRagaModes,
+    describeRagaMode,
+    getRagaFingerings,
+    scoreFlute,
+    getAllFlutes,
+    findBestFlutes,
+    compareFlutes,
+    scoreRagaFit,
+    findBestRagaFits,
+    transposePitches,
+    findBestTranspositions,
+    findFlutesForKey,
+    detectSections,
+    planFluteSet
+  };
+}
@@ -0,0 +1,63 @@
+// ============================================
+// TUNING
+// ============================================
+// Frequencies and cents for equal temperament at any A4 reference, and the
+// just-intonation ratios each swara can be compared against. Cents are hundredths
+// of an equal-tempered semitone.
+
+const DEFAULT_A4 = 440;
+
+// Five-limit just intonation ratios to Sa, by semitones above Sa
+const JUST_RATIOS = [1, 16 / 15, 9 / 8, 6 / 5, 5 / 4, 4 / 3, 45 / 32, 3 / 2, 8 / 5, 5 / 3, 9 / 5, 15 / 8];
+
+/**
+ * Get the equal-tempered frequency of a MIDI note in Hz
+ */
+function midiToFrequency(midi, a4 = DEFAULT_A4) {
+  return a4 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Get the distance from a reference frequency to another, in cents (positive when higher)
+ */
+function getCentsBetween(frequency, reference) {
+  return 1200 * Math.log2(frequency / reference);
+}
+
+/**
+ * Get how far a just-intonation swara sits from its equal-tempered pitch, in cents
+ * e.g. 4 (shuddha Ga, 5/4) -> -13.7
+ */
+function getJustCents(interval) {
+  return getCentsBetween(JUST_RATIOS[interval], 1) - interval * 100;
+}
+
+/**
+ * Get the just-intonation frequency of a swara from the frequency of Sa
+ * @param {number} saFrequency - Frequency of Sa in Hz
+ * @param {number} interval - Semitones above Sa (0-11)
+ * @param {number} register - Octaves above (positive) or below (negative) Sa's octave
+ */
+function getJustFrequency(saFrequency, interval, register = 0) {
+  return saFrequency * JUST_RATIOS[interval] * Math.pow(2, register);
+}
+
+/**
+ * Format a frequency for display, e.g. "329.6 Hz"
+ */
+function formatFrequency(frequency) {
+  return `${frequency.toFixed(1)} Hz`;
+}
+
+/**
+ * Format a cents deviation for display with its sign, e.g. "+12¢", "−3.5¢" or "0¢"
+ */
+function formatCents(cents) {
+  const rounded = Math.round(cents * 10) / 10;
+  if (rounded === 0) return '0¢';
+  return `${rounded > 0 ? '+' : '−'}${Math.abs(rounded)}¢`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DEFAULT_A4, JUST_RATIOS, midiToFrequency, getCentsBetween, getJustCents, getJustFrequency, formatFrequency, formatCents };
+}